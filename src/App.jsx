@@ -1,4 +1,5 @@
-import React, { useState } from 'react';
+import React, { useEffect } from 'react';
+import { useHashLocation, navigate } from './lib/router';
 import DQNVisualization from './demos/dqn_visualization';
 import RLVisualization from './demos/rl-visualization';
 import RMaxVisualization from './demos/rmax-visualization';
@@ -84,24 +85,53 @@ const demos = [
   }
 ];
 
+function NotFound({ path }) {
+  return (
+    <div className="min-h-screen bg-slate-950 text-white flex items-center justify-center px-6">
+      <div className="max-w-md text-center p-8 rounded-2xl border-2 border-slate-700 bg-slate-900/50">
+        <div className="text-5xl mb-4">🧭</div>
+        <h1 className="text-2xl font-bold mb-2 text-slate-200">Demo not found</h1>
+        <p className="text-slate-400 mb-6">
+          There is no demo at <span className="font-mono text-slate-300">#/{path}</span>.
+        </p>
+        <button
+          onClick={() => navigate('')}
+          className="px-4 py-2 bg-slate-800 hover:bg-slate-700 text-white rounded-lg border border-slate-600 transition-all font-semibold"
+        >
+          ← Back to Menu
+        </button>
+      </div>
+    </div>
+  );
+}
+
 function App() {
-  const [selectedDemo, setSelectedDemo] = useState(null);
+  const { path } = useHashLocation();
+  const selectedDemo = demos.find(demo => demo.id === path);
 
-  if (selectedDemo !== null) {
-    const Demo = demos[selectedDemo].component;
+  useEffect(() => {
+    window.scrollTo(0, 0);
+  }, [path]);
+
+  if (selectedDemo) {
+    const Demo = selectedDemo.component;
     return (
       <div className="min-h-screen bg-slate-950">
         <button
-          onClick={() => setSelectedDemo(null)}
+          onClick={() => navigate('')}
           className="fixed top-4 left-4 z-50 px-4 py-2 bg-slate-800 hover:bg-slate-700 text-white rounded-lg border border-slate-600 transition-all flex items-center gap-2 font-semibold"
         >
           <span>←</span> Back to Menu
         </button>
-        <Demo />
+        <Demo key={selectedDemo.id} />
       </div>
     );
   }
 
+  if (path !== '') {
+    return <NotFound path={path} />;
+  }
+
   return (
     <div className="min-h-screen bg-slate-950 text-white">
       <style>{`
@@ -135,11 +165,11 @@ function App() {
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 max-w-7xl mx-auto">
-          {demos.map((demo, index) => (
-            <button
+          {demos.map(demo => (
+            <a
               key={demo.id}
-              onClick={() => setSelectedDemo(index)}
-              className="group relative p-8 rounded-2xl border-2 border-slate-700 bg-slate-900/50 hover:bg-slate-800/50 transition-all duration-300 hover:scale-105 hover:border-slate-600 text-left"
+              href={`#/${demo.id}`}
+              className="group relative block p-8 rounded-2xl border-2 border-slate-700 bg-slate-900/50 hover:bg-slate-800/50 transition-all duration-300 hover:scale-105 hover:border-slate-600 text-left"
             >
               <div className={`absolute inset-0 bg-gradient-to-br ${demo.color} opacity-0 group-hover:opacity-10 rounded-2xl transition-opacity duration-300`}></div>
 
@@ -163,7 +193,7 @@ function App() {
                   <span className="group-hover:translate-x-1 transition-transform">→</span>
                 </div>
               </div>
-            </button>
+            </a>
           ))}
         </div>
 
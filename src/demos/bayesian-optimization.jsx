@@ -1,65 +1,52 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
-
-// Gaussian PDF and CDF helpers
-const gaussianPDF = (x, mean, std) => {
-  const exp = Math.exp(-0.5 * Math.pow((x - mean) / std, 2));
-  return exp / (std * Math.sqrt(2 * Math.PI));
-};
-
-const gaussianCDF = (x, mean, std) => {
-  const z = (x - mean) / std;
-  const t = 1 / (1 + 0.2316419 * Math.abs(z));
-  const d = 0.3989422804 * Math.exp(-z * z / 2);
-  const p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
-  return z > 0 ? 1 - p : p;
-};
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import {
+  choleskyDecomposition,
+  solveTriangularLower,
+  choleskySolve,
+  normalPDF,
+  normalCDF,
+  sampleBeta,
+  createStream,
+  randomInt,
+  DEFAULT_SEED,
+} from '../lib/math';
+import {
+  readUrlState,
+  useUrlStateSync,
+  formatNumber,
+  formatNumberList,
+  parseNumber,
+  parseNumberList,
+  parseEnum,
+} from '../lib/urlState';
 
 // True function to optimize (unknown to the optimizer)
 const trueFunction = (x) => {
   return Math.sin(x * 2) * Math.cos(x * 0.5) + 0.5 * Math.sin(x * 3);
 };
 
-// GP Posterior approximation
-const computeGPPosterior = (x, observations, lengthScale = 1.0, noiseVar = 0.01) => {
+// Exact GP posterior (RBF kernel, unit signal variance) evaluated at every x in xs
+const computeGPPosterior = (xs, observations, lengthScale = 1.0, noiseVar = 0.01) => {
   if (observations.length === 0) {
-    return { mean: 0, std: 1.5 };
+    return xs.map(() => ({ mean: 0, std: 1 }));
   }
   
   const kernel = (x1, x2) => Math.exp(-0.5 * Math.pow((x1 - x2) / lengthScale, 2));
   
+  // K(X, X) + noise, factorized once and reused for every test point
   const K = observations.map((o1, i) => 
     observations.map((o2, j) => kernel(o1.x, o2.x) + (i === j ? noiseVar : 0))
   );
+  const L = choleskyDecomposition(K);
+  const alpha = choleskySolve(L, observations.map(o => o.y));
   
-  const kStar = observations.map(o => kernel(x, o.x));
-  const kStarStar = kernel(x, x) + noiseVar;
-  
-  // Simple matrix inversion for small matrices
-  const n = observations.length;
-  if (n === 1) {
-    const alpha = kStar[0] / K[0][0];
-    const mean = alpha * observations[0].y;
-    const variance = Math.max(0.001, kStarStar - alpha * kStar[0]);
+  return xs.map(x => {
+    const kStar = observations.map(o => kernel(x, o.x));
+    const mean = kStar.reduce((sum, k, i) => sum + k * alpha[i], 0);
+    const v = solveTriangularLower(L, kStar);
+    const variance = Math.max(1e-9, kernel(x, x) - v.reduce((sum, vi) => sum + vi * vi, 0));
     return { mean, std: Math.sqrt(variance) };
-  }
-  
-  // For larger matrices, use Cholesky-like approximation
-  let mean = 0;
-  let totalWeight = 0;
-  
-  observations.forEach((obs, i) => {
-    const dist = Math.abs(x - obs.x);
-    const weight = Math.exp(-dist * dist / (2 * lengthScale * lengthScale));
-    mean += weight * obs.y;
-    totalWeight += weight;
   });
-  
-  mean = totalWeight > 0 ? mean / totalWeight : 0;
-  
-  const minDist = Math.min(...observations.map(o => Math.abs(x - o.x)));
-  const std = Math.max(0.05, 1.5 * (1 - Math.exp(-minDist / lengthScale)));
-  
-  return { mean, std };
 };
 
 // Acquisition functions
@@ -68,52 +55,96 @@ const computeUCB = (mean, std, beta = 2.0) => mean + beta * std;
 const computeEI = (mean, std, bestY) => {
   if (std < 0.001) return 0;
   const z = (mean - bestY) / std;
-  return (mean - bestY) * gaussianCDF(z, 0, 1) + std * gaussianPDF(z, 0, 1);
+  return (mean - bestY) * normalCDF(z) + std * normalPDF(z);
 };
 
 const computePI = (mean, std, bestY, xi = 0.01) => {
   if (std < 0.001) return 0;
   const z = (mean - bestY - xi) / std;
-  return gaussianCDF(z, 0, 1);
+  return normalCDF(z);
 };
 
-// Multi-armed bandit helpers
-const sampleBeta = (alpha, beta) => {
-  // Simple approximation using gamma variates
-  const gammaAlpha = alpha + Math.random() * 0.5;
-  const gammaBeta = beta + Math.random() * 0.5;
-  return gammaAlpha / (gammaAlpha + gammaBeta);
+const ARM_COLORS = ['#ff6b6b', '#4ecdc4', '#ffe66d', '#95e1d3'];
+const DEFAULT_ARM_PROBS = [0.3, 0.5, 0.7, 0.4];
+const DEFAULT_ACQ_OBSERVATIONS = [
+  { x: 1, y: trueFunction(1) },
+  { x: 4, y: trueFunction(4) },
+];
+
+const createArms = (probs) => probs.map((trueProb, id) => ({ id, trueProb, wins: 0, losses: 0, color: ARM_COLORS[id] }));
+
+// Shareable configuration (see lib/urlState)
+const URL_STATE = {
+  version: 1,
+  encode: (state) => ({
+    tab: state.activeTab,
+    obs: formatNumberList(state.acqObservations.flatMap(o => [o.x, o.y])),
+    acq: state.selectedAcq,
+    beta: formatNumber(state.betaParam),
+    ls: formatNumber(state.lengthScale),
+    noise: formatNumber(state.noiseVar),
+    seqAcq: state.seqAcqType,
+    arms: formatNumberList(state.arms.map(a => a.trueProb), 3),
+    strategy: state.banditStrategy,
+    seed: String(state.seed),
+  }),
+  decode: (params) => {
+    const armProbs = parseNumberList(params.get('arms'));
+    const validArms = armProbs && armProbs.length === ARM_COLORS.length && armProbs.every(p => p >= 0 && p <= 1);
+    return {
+      activeTab: parseEnum(params.get('tab'), ['acquisition', 'sequential', 'bandits']),
+      acqObservations: parseNumberList(params.get('obs'), 2)
+        ?.filter(([x]) => x >= 0 && x <= 6)
+        .map(([x, y]) => ({ x, y })),
+      selectedAcq: parseEnum(params.get('acq'), ['all', 'UCB', 'EI', 'PI']),
+      betaParam: parseNumber(params.get('beta'), { min: 0.5, max: 4 }),
+      lengthScale: parseNumber(params.get('ls'), { min: 0.2, max: 2 }),
+      noiseVar: parseNumber(params.get('noise'), { min: 0.001, max: 0.2 }),
+      seqAcqType: parseEnum(params.get('seqAcq'), ['UCB', 'EI', 'PI']),
+      arms: validArms ? createArms(armProbs) : undefined,
+      banditStrategy: parseEnum(params.get('strategy'), ['thompson', 'ucb', 'greedy']),
+      seed: parseNumber(params.get('seed'), { integer: true }),
+    };
+  },
 };
 
 export default function BayesianOptimizationViz() {
-  const [activeTab, setActiveTab] = useState('acquisition');
+  const [initial] = useState(() => readUrlState(URL_STATE));
+  const [activeTab, setActiveTab] = useState(initial.activeTab ?? 'acquisition');
+  
+  // Each tab draws from its own seeded stream so runs can be replayed exactly
+  const [seed, setSeed] = useState(initial.seed ?? DEFAULT_SEED);
+  const acqRngRef = useRef(createStream(seed, 'acquisition'));
+  const seqRngRef = useRef(createStream(seed, 'sequential'));
+  const banditRngRef = useRef(createStream(seed, 'bandits'));
   
   // Acquisition function state
-  const [acqObservations, setAcqObservations] = useState([
-    { x: 1, y: trueFunction(1) },
-    { x: 4, y: trueFunction(4) },
-  ]);
-  const [selectedAcq, setSelectedAcq] = useState('all');
-  const [betaParam, setBetaParam] = useState(2.0);
+  const [acqObservations, setAcqObservations] = useState(initial.acqObservations ?? DEFAULT_ACQ_OBSERVATIONS);
+  const [selectedAcq, setSelectedAcq] = useState(initial.selectedAcq ?? 'all');
+  const [betaParam, setBetaParam] = useState(initial.betaParam ?? 2.0);
+  const [lengthScale, setLengthScale] = useState(initial.lengthScale ?? 1.0);
+  const [noiseVar, setNoiseVar] = useState(initial.noiseVar ?? 0.01);
   
   // Sequential optimization state
   const [seqObservations, setSeqObservations] = useState([]);
   const [seqStep, setSeqStep] = useState(0);
   const [isAnimating, setIsAnimating] = useState(false);
-  const [seqAcqType, setSeqAcqType] = useState('UCB');
+  const [seqAcqType, setSeqAcqType] = useState(initial.seqAcqType ?? 'UCB');
   
   // Multi-armed bandit state
-  const [arms, setArms] = useState([
-    { id: 0, trueProb: 0.3, wins: 0, losses: 0, color: '#ff6b6b' },
-    { id: 1, trueProb: 0.5, wins: 0, losses: 0, color: '#4ecdc4' },
-    { id: 2, trueProb: 0.7, wins: 0, losses: 0, color: '#ffe66d' },
-    { id: 3, trueProb: 0.4, wins: 0, losses: 0, color: '#95e1d3' },
-  ]);
+  const [arms, setArms] = useState(initial.arms ?? createArms(DEFAULT_ARM_PROBS));
   const [banditHistory, setBanditHistory] = useState([]);
-  const [banditStrategy, setBanditStrategy] = useState('thompson');
+  const [banditStrategy, setBanditStrategy] = useState(initial.banditStrategy ?? 'thompson');
   const [totalPulls, setTotalPulls] = useState(0);
   const [cumulativeRegret, setCumulativeRegret] = useState([]);
   
+  useUrlStateSync(URL_STATE, {
+    activeTab, acqObservations, selectedAcq, betaParam, lengthScale, noiseVar,
+    seqAcqType, arms, banditStrategy, seed,
+  });
+  
+  const bestArm = arms.reduce((best, arm) => (arm.trueProb > best.trueProb ? arm : best), arms[0]);
+  
   // Compute GP posterior and acquisition values
   const xRange = useMemo(() => {
     const points = [];
@@ -126,8 +157,10 @@ export default function BayesianOptimizationViz() {
   const computeAllValues = useCallback((observations) => {
     const bestY = observations.length > 0 ? Math.max(...observations.map(o => o.y)) : -Infinity;
     
-    return xRange.map(x => {
-      const { mean, std } = computeGPPosterior(x, observations);
+    const posterior = computeGPPosterior(xRange, observations, lengthScale, noiseVar);
+    
+    return xRange.map((x, i) => {
+      const { mean, std } = posterior[i];
       return {
         x,
         true: trueFunction(x),
@@ -140,7 +173,7 @@ export default function BayesianOptimizationViz() {
         pi: computePI(mean, std, bestY) * 3,
       };
     });
-  }, [xRange, betaParam]);
+  }, [xRange, betaParam, lengthScale, noiseVar]);
   
   const acqValues = useMemo(() => computeAllValues(acqObservations), [computeAllValues, acqObservations]);
   const seqValues = useMemo(() => computeAllValues(seqObservations), [computeAllValues, seqObservations]);
@@ -170,7 +203,7 @@ export default function BayesianOptimizationViz() {
   // Sequential optimization step
   const stepOptimization = useCallback(() => {
     const nextX = findNextQuery(seqValues, seqAcqType);
-    const nextY = trueFunction(nextX) + (Math.random() - 0.5) * 0.1;
+    const nextY = trueFunction(nextX) + (seqRngRef.current() - 0.5) * 0.1;
     setSeqObservations(prev => [...prev, { x: nextX, y: nextY }]);
     setSeqStep(prev => prev + 1);
   }, [seqValues, seqAcqType, findNextQuery]);
@@ -186,7 +219,8 @@ export default function BayesianOptimizationViz() {
   }, [isAnimating, seqStep, stepOptimization]);
   
   // Reset sequential optimization
-  const resetSequential = () => {
+  const resetSequential = (nextSeed = seed) => {
+    seqRngRef.current = createStream(nextSeed, 'sequential');
     setSeqObservations([]);
     setSeqStep(0);
     setIsAnimating(false);
@@ -199,7 +233,7 @@ export default function BayesianOptimizationViz() {
     switch(strategy) {
       case 'thompson':
         // Thompson Sampling
-        const samples = arms.map(arm => sampleBeta(arm.wins + 1, arm.losses + 1));
+        const samples = arms.map(arm => sampleBeta(arm.wins + 1, arm.losses + 1, banditRngRef.current));
         selectedIdx = samples.indexOf(Math.max(...samples));
         break;
       case 'ucb':
@@ -215,8 +249,8 @@ export default function BayesianOptimizationViz() {
         break;
       case 'greedy':
         // Epsilon-greedy
-        if (Math.random() < 0.1) {
-          selectedIdx = Math.floor(Math.random() * arms.length);
+        if (banditRngRef.current() < 0.1) {
+          selectedIdx = randomInt(arms.length, banditRngRef.current);
         } else {
           const means = arms.map(arm => {
             const n = arm.wins + arm.losses;
@@ -235,7 +269,7 @@ export default function BayesianOptimizationViz() {
   const pullArm = useCallback(() => {
     const selectedIdx = selectArm(banditStrategy);
     const arm = arms[selectedIdx];
-    const reward = Math.random() < arm.trueProb ? 1 : 0;
+    const reward = banditRngRef.current() < arm.trueProb ? 1 : 0;
     
     setArms(prev => prev.map((a, i) => 
       i === selectedIdx 
@@ -252,13 +286,27 @@ export default function BayesianOptimizationViz() {
     setCumulativeRegret(prev => [...prev, (prev[prev.length - 1] || 0) + regret]);
   }, [selectArm, banditStrategy, arms]);
   
-  const resetBandit = () => {
+  const resetBandit = (nextSeed = seed) => {
+    banditRngRef.current = createStream(nextSeed, 'bandits');
     setArms(prev => prev.map(a => ({ ...a, wins: 0, losses: 0 })));
     setBanditHistory([]);
     setTotalPulls(0);
     setCumulativeRegret([]);
   };
   
+  const resetAcquisition = (nextSeed = seed) => {
+    acqRngRef.current = createStream(nextSeed, 'acquisition');
+    setAcqObservations(DEFAULT_ACQ_OBSERVATIONS);
+  };
+  
+  const changeSeed = (value) => {
+    const nextSeed = Number.isFinite(value) ? value : 0;
+    setSeed(nextSeed);
+    resetAcquisition(nextSeed);
+    resetSequential(nextSeed);
+    resetBandit(nextSeed);
+  };
+  
   // Auto-pull for bandits
   const [autoPull, setAutoPull] = useState(false);
   
@@ -292,11 +340,42 @@ export default function BayesianOptimizationViz() {
     const clickX = e.clientX - rect.left;
     const x = ((clickX - margin.left) / plotWidth) * 6;
     if (x >= 0 && x <= 6) {
-      const y = trueFunction(x) + (Math.random() - 0.5) * 0.1;
+      const y = trueFunction(x) + (acqRngRef.current() - 0.5) * 0.1;
       setAcqObservations(prev => [...prev, { x, y }]);
     }
   };
 
+  // GP hyperparameters shared by the acquisition and sequential tabs
+  const gpControls = (
+    <>
+      <div className="slider-container">
+        <span style={{ fontSize: 11, color: '#888' }}>ℓ:</span>
+        <input 
+          type="range" 
+          min="0.2" 
+          max="2" 
+          step="0.05"
+          value={lengthScale}
+          onChange={(e) => setLengthScale(parseFloat(e.target.value))}
+        />
+        <span style={{ fontSize: 11, color: '#a5b4fc', minWidth: 30 }}>{lengthScale.toFixed(2)}</span>
+      </div>
+      
+      <div className="slider-container">
+        <span style={{ fontSize: 11, color: '#888' }}>σ²ₙ:</span>
+        <input 
+          type="range" 
+          min="0.001" 
+          max="0.2" 
+          step="0.001"
+          value={noiseVar}
+          onChange={(e) => setNoiseVar(parseFloat(e.target.value))}
+        />
+        <span style={{ fontSize: 11, color: '#a5b4fc', minWidth: 30 }}>{noiseVar.toFixed(3)}</span>
+      </div>
+    </>
+  );
+
   return (
     <div className="min-h-screen bg-slate-950" style={{
       fontFamily: "'JetBrains Mono', 'Fira Code', monospace",
@@ -519,6 +598,17 @@ export default function BayesianOptimizationViz() {
         >
           ⬡ Multi-Armed Bandits
         </button>
+        
+        <div className="slider-container" style={{ marginLeft: 'auto' }}>
+          <span style={{ fontSize: 11, color: '#888' }}>seed:</span>
+          <input 
+            type="number"
+            className="select-styled"
+            style={{ width: 80 }}
+            value={seed}
+            onChange={(e) => changeSeed(parseInt(e.target.value, 10))}
+          />
+        </div>
       </div>
       
       {/* Content */}
@@ -575,9 +665,11 @@ export default function BayesianOptimizationViz() {
                   <span style={{ fontSize: 11, color: '#a5b4fc', minWidth: 30 }}>{betaParam.toFixed(1)}</span>
                 </div>
                 
+                {gpControls}
+                
                 <button 
                   className="control-btn danger"
-                  onClick={() => setAcqObservations([{ x: 1, y: trueFunction(1) }, { x: 4, y: trueFunction(4) }])}
+                  onClick={() => resetAcquisition()}
                 >
                   Reset
                 </button>
@@ -801,6 +893,7 @@ export default function BayesianOptimizationViz() {
                 <strong style={{ color: '#ec4899', marginLeft: 8 }}>EI</strong> (Expected Improvement) measures expected gain over current best.
                 <strong style={{ color: '#14b8a6', marginLeft: 8 }}>PI</strong> (Probability of Improvement) measures likelihood of improving.
                 Arrows indicate where each acquisition function suggests querying next.
+                The GP posterior is exact (RBF kernel): ℓ sets the length scale and σ²ₙ the observation noise.
               </p>
             </div>
           </div>
@@ -833,6 +926,8 @@ export default function BayesianOptimizationViz() {
               </div>
               
               <div style={{ display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap' }}>
+                {gpControls}
+                
                 <select 
                   className="select-styled"
                   value={seqAcqType}
@@ -861,7 +956,7 @@ export default function BayesianOptimizationViz() {
                 
                 <button 
                   className="control-btn danger"
-                  onClick={resetSequential}
+                  onClick={() => resetSequential()}
                 >
                   Reset
                 </button>
@@ -1142,7 +1237,7 @@ export default function BayesianOptimizationViz() {
                 
                 <button 
                   className="control-btn danger"
-                  onClick={resetBandit}
+                  onClick={() => resetBandit()}
                 >
                   Reset
                 </button>
@@ -1327,9 +1422,9 @@ export default function BayesianOptimizationViz() {
                 border: '1px solid rgba(255, 230, 109, 0.2)',
                 borderRadius: 8,
               }}>
-                <div style={{ fontSize: 11, color: '#ffe66d', marginBottom: 4 }}>Best Arm Pulls</div>
+                <div style={{ fontSize: 11, color: bestArm.color, marginBottom: 4 }}>Best Arm Pulls</div>
                 <div style={{ fontSize: 20, fontWeight: 600, color: '#fff' }}>
-                  {arms[2].wins + arms[2].losses} ({totalPulls > 0 ? ((arms[2].wins + arms[2].losses) / totalPulls * 100).toFixed(0) : 0}%)
+                  {bestArm.wins + bestArm.losses} ({totalPulls > 0 ? ((bestArm.wins + bestArm.losses) / totalPulls * 100).toFixed(0) : 0}%)
                 </div>
               </div>
               <div style={{ 
@@ -1,56 +1,65 @@
 import React, { useState, useCallback, useMemo } from 'react';
-
-// Matrix operations for Bayesian regression
-const matMul = (A, B) => {
-  const rowsA = A.length, colsA = A[0].length, colsB = B[0].length;
-  const result = Array(rowsA).fill().map(() => Array(colsB).fill(0));
-  for (let i = 0; i < rowsA; i++) {
-    for (let j = 0; j < colsB; j++) {
-      for (let k = 0; k < colsA; k++) {
-        result[i][j] += A[i][k] * B[k][j];
-      }
-    }
-  }
-  return result;
-};
-
-const transpose = (A) => A[0].map((_, i) => A.map(row => row[i]));
-
-const inverse2x2 = (M) => {
-  const [[a, b], [c, d]] = M;
-  const det = a * d - b * c;
-  if (Math.abs(det) < 1e-10) return [[1e10, 0], [0, 1e10]];
-  return [[d / det, -b / det], [-c / det, a / det]];
-};
-
-const addMat = (A, B) => A.map((row, i) => row.map((val, j) => val + B[i][j]));
-
-// Gaussian PDF for 2D
-const gaussian2D = (x, y, mean, cov) => {
-  const dx = x - mean[0], dy = y - mean[1];
-  const invCov = inverse2x2(cov);
-  const exponent = -0.5 * (dx * (invCov[0][0] * dx + invCov[0][1] * dy) + 
-                          dy * (invCov[1][0] * dx + invCov[1][1] * dy));
-  return Math.exp(exponent);
+import {
+  matMul,
+  transpose,
+  addMat,
+  scaleMat,
+  inverse,
+  choleskyDecomposition,
+  mvnPDF,
+  sampleMVN,
+  createRng,
+  DEFAULT_SEED,
+} from '../lib/math';
+import {
+  readUrlState,
+  useUrlStateSync,
+  formatNumber,
+  formatNumberList,
+  parseNumber,
+  parseNumberList,
+} from '../lib/urlState';
+
+// Shareable configuration (see lib/urlState)
+const URL_STATE = {
+  version: 1,
+  encode: (state) => ({
+    pts: formatNumberList(state.dataPoints.flatMap(p => [p.x, p.y])),
+    prior: formatNumber(state.priorVar),
+    noise: formatNumber(state.noiseVar),
+    samples: String(state.numSamples),
+    seed: String(state.seed),
+  }),
+  decode: (params) => ({
+    dataPoints: parseNumberList(params.get('pts'), 2)?.map(([x, y]) => ({ x, y })),
+    priorVar: parseNumber(params.get('prior'), { min: 0.1, max: 3 }),
+    noiseVar: parseNumber(params.get('noise'), { min: 0.001, max: 0.2 }),
+    numSamples: parseNumber(params.get('samples'), { min: 1, max: 15, integer: true }),
+    seed: parseNumber(params.get('seed'), { integer: true }),
+  }),
 };
 
 export default function BayesianLinearRegression() {
-  const [dataPoints, setDataPoints] = useState([
+  const [initial] = useState(() => readUrlState(URL_STATE));
+  const [dataPoints, setDataPoints] = useState(initial.dataPoints ?? [
     { x: 0.2, y: 0.3 },
     { x: 0.8, y: 0.75 }
   ]);
-  const [priorVar, setPriorVar] = useState(1.0);
-  const [noiseVar, setNoiseVar] = useState(0.05);
+  const [priorVar, setPriorVar] = useState(initial.priorVar ?? 1.0);
+  const [noiseVar, setNoiseVar] = useState(initial.noiseVar ?? 0.05);
   const [showPrior, setShowPrior] = useState(true);
   const [showPosterior, setShowPosterior] = useState(true);
   const [showSamples, setShowSamples] = useState(true);
-  const [numSamples, setNumSamples] = useState(5);
+  const [numSamples, setNumSamples] = useState(initial.numSamples ?? 5);
+  const [seed, setSeed] = useState(initial.seed ?? DEFAULT_SEED);
+
+  useUrlStateSync(URL_STATE, { dataPoints, priorVar, noiseVar, numSamples, seed });
 
   // Bayesian linear regression computation
   const bayesianRegression = useMemo(() => {
     const priorMean = [0.5, 0];
     const priorCov = [[priorVar, 0], [0, priorVar]];
-    const priorPrec = inverse2x2(priorCov);
+    const priorPrec = inverse(priorCov);
 
     if (dataPoints.length === 0) {
       return { priorMean, priorCov, posteriorMean: priorMean, posteriorCov: priorCov };
@@ -63,14 +72,14 @@ export default function BayesianLinearRegression() {
     
     // Posterior precision = prior precision + (1/noise_var) * X^T * X
     const XtX = matMul(Xt, X);
-    const scaledXtX = XtX.map(row => row.map(v => v / noiseVar));
+    const scaledXtX = scaleMat(XtX, 1 / noiseVar);
     const posteriorPrec = addMat(priorPrec, scaledXtX);
-    const posteriorCov = inverse2x2(posteriorPrec);
+    const posteriorCov = inverse(posteriorPrec);
     
     // Posterior mean = posterior_cov * (prior_prec * prior_mean + (1/noise_var) * X^T * y)
     const priorTerm = matMul(priorPrec, [[priorMean[0]], [priorMean[1]]]);
     const Xty = matMul(Xt, y);
-    const dataTerm = Xty.map(row => row.map(v => v / noiseVar));
+    const dataTerm = scaleMat(Xty, 1 / noiseVar);
     const combined = addMat(priorTerm, dataTerm);
     const posteriorMeanVec = matMul(posteriorCov, combined);
     const posteriorMean = [posteriorMeanVec[0][0], posteriorMeanVec[1][0]];
@@ -83,23 +92,15 @@ export default function BayesianLinearRegression() {
     const { posteriorMean, posteriorCov } = bayesianRegression;
     const samples = [];
     
-    // Cholesky-like decomposition for 2x2
-    const a = Math.sqrt(Math.max(0.0001, posteriorCov[0][0]));
-    const b = posteriorCov[0][1] / a;
-    const c = Math.sqrt(Math.max(0.0001, posteriorCov[1][1] - b * b));
+    const L = choleskyDecomposition(posteriorCov);
+    const random = createRng(seed);
     
     for (let i = 0; i < numSamples; i++) {
-      // Box-Muller transform
-      const u1 = Math.random(), u2 = Math.random();
-      const z1 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-      const z2 = Math.sqrt(-2 * Math.log(u1)) * Math.sin(2 * Math.PI * u2);
-      
-      const w0 = posteriorMean[0] + a * z1;
-      const w1 = posteriorMean[1] + b * z1 + c * z2;
+      const [w0, w1] = sampleMVN(posteriorMean, L, random);
       samples.push({ w0, w1, color: `hsl(${(i * 360 / numSamples)}, 70%, 50%)` });
     }
     return samples;
-  }, [bayesianRegression, numSamples, dataPoints]);
+  }, [bayesianRegression, numSamples, seed]);
 
   // Predictive distribution
   const getPredictive = useCallback((x) => {
@@ -134,8 +135,8 @@ export default function BayesianLinearRegression() {
       for (let j = 0; j < gridSize; j++) {
         const w0 = range.w0[0] + (range.w0[1] - range.w0[0]) * i / (gridSize - 1);
         const w1 = range.w1[0] + (range.w1[1] - range.w1[0]) * j / (gridSize - 1);
-        const priorDensity = gaussian2D(w0, w1, priorMean, priorCov);
-        const posteriorDensity = gaussian2D(w0, w1, posteriorMean, posteriorCov);
+        const priorDensity = mvnPDF([w0, w1], priorMean, priorCov);
+        const posteriorDensity = mvnPDF([w0, w1], posteriorMean, posteriorCov);
         grid.push({ w0, w1, i, j, priorDensity, posteriorDensity });
       }
     }
@@ -357,7 +358,7 @@ export default function BayesianLinearRegression() {
         {/* Controls */}
         <div className="bg-slate-800 rounded-xl p-4">
           <h2 className="text-lg font-semibold mb-3 text-amber-400">Parameters</h2>
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
             <div>
               <label className="block text-sm text-slate-400 mb-1">
                 Prior Variance (σ²₀): {priorVar.toFixed(2)}
@@ -385,6 +386,21 @@ export default function BayesianLinearRegression() {
                      className="w-full accent-amber-500" />
               <p className="text-xs text-slate-500 mt-1">Number of sampled regression lines</p>
             </div>
+            <div>
+              <label className="block text-sm text-slate-400 mb-1">
+                Sampling Seed
+              </label>
+              <div className="flex gap-2">
+                <input type="number" value={seed}
+                       onChange={e => setSeed(parseInt(e.target.value, 10) || 0)}
+                       className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-sm font-mono" />
+                <button onClick={() => setSeed(s => s + 1)}
+                        className="px-3 py-1 bg-slate-700 hover:bg-slate-600 rounded text-sm">
+                  🎲
+                </button>
+              </div>
+              <p className="text-xs text-slate-500 mt-1">Same seed, same sampled lines</p>
+            </div>
           </div>
         </div>
 
@@ -1,118 +1,455 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { createRng, createStream, randomInt, sampleCategorical, DEFAULT_SEED } from '../lib/math';
+import { createMLP, cloneMLP, forward, backward, sgdStep, sumGradients, flattenMLP, polyakUpdate, parameterDistance } from '../lib/mlp';
+import { readUrlState, useUrlStateSync, formatNumber, parseNumber, parseEnum } from '../lib/urlState';
+
+// Five-state chain: the agent starts in the middle; the left end pays 0.1 and the right end 1.
+// Both ends are terminal, so the optimal policy walks right.
+const CHAIN_LENGTH = 5;
+const CHAIN_START = 2;
+const CHAIN_ACTIONS = [
+  { name: 'left', arrow: '←', dx: -1 },
+  { name: 'right', arrow: '→', dx: 1 },
+];
+const END_REWARDS = { 0: 0.1, [CHAIN_LENGTH - 1]: 1 };
+
+const chainStep = (s, a) => {
+  const next = s + CHAIN_ACTIONS[a].dx;
+  const done = next === 0 || next === CHAIN_LENGTH - 1;
+  return { next, reward: END_REWARDS[next] ?? 0, done };
+};
+
+// Network input: one-hot encoding of the chain position
+const encodeState = (s) => Array.from({ length: CHAIN_LENGTH }, (_, i) => (i === s ? 1 : 0));
+
+const HIDDEN_SIZE = 4;
+const GAMMA = 0.9;
+const LEARNING_RATE = 0.1;
+const EPSILON = 0.3;
+
+// Replay buffer: when full, FIFO drops the oldest transition; reservoir sampling keeps every
+// transition seen so far with equal probability capacity/seen
+const EVICTION_STRATEGIES = ['fifo', 'reservoir'];
+const DEFAULT_CAPACITY = 8;
+const MIN_CAPACITY = 4;
+const MAX_CAPACITY = 32;
+const DEFAULT_BATCH_SIZE = 1;
+const MAX_BATCH_SIZE = 8;
+const AGE_HISTORY_LENGTH = 1000;
+
+// Prioritized replay: P(i) ∝ p_i^α with p_i = |δ_i| + ε, corrected by weights (N·P(i))^−β
+const PER_ALPHA = 0.6;
+const PER_BETA = 0.4;
+const PER_EPSILON = 0.01;
+
+// Target updates: a hard copy every SYNC_INTERVAL steps, or Polyak averaging with rate τ every step
+const SYNC_MODES = ['hard', 'soft'];
+const DEFAULT_TAU = 0.1;
+const MIN_TAU = 0.01;
+const MAX_TAU = 0.5;
+const DISTANCE_HISTORY_LENGTH = 200;
+
+// Each variant changes one piece of the loop; its descriptions replace the vanilla ones
+const VARIANTS = {
+  dqn: {
+    label: 'DQN',
+    phaseDescriptions: {},
+  },
+  double: {
+    label: 'Double DQN',
+    insight: 'max over noisy estimates is biased upwards. Letting θ choose the action and θ⁻ score it removes most of that overestimation.',
+    phaseDescriptions: {
+      compute_target: 'Online network SELECTS a* = argmax Q(s\',·;θ), target network EVALUATES it: y = r + γ·Q(s\',a*;θ⁻)',
+      compute_loss: 'Compute TD loss: L = (y - Q(s,a;θ))², with a target that no longer takes the max over noisy estimates',
+    },
+  },
+  dueling: {
+    label: 'Dueling',
+    insight: 'V(s) is learned from every transition in s, whichever action was taken; A(s,a) only has to learn how actions differ.',
+    phaseDescriptions: {
+      collect: 'Agent acts ε-greedily on Q = V(s) + A(s,a) − mean A(s,·), collecting experience (s, a, r, s\')',
+      compute_loss: 'Compute TD loss on the combined head: L = (y - (V(s) + A(s,a) − mean A))²',
+      update: 'Backpropagate through the aggregation: V gets the full gradient, every advantage a share of it',
+    },
+  },
+  per: {
+    label: 'Prioritized Replay',
+    insight: 'Surprising transitions (large |δ|) are replayed more often. Importance weights undo the bias this puts on the gradient.',
+    phaseDescriptions: {
+      store: 'Store transition with the highest priority seen so far, so it is replayed at least once',
+      sample: `Sample by priority: P(i) ∝ (|δ_i| + ε)^${PER_ALPHA}, importance weight w_i = (N·P(i))^−${PER_BETA} / max w`,
+      update: 'Gradient step scaled by the importance weight w_i, then priority p_i ← |δ| + ε',
+    },
+  },
+};
+
+// The dueling head outputs [V(s), A(s,·)] instead of Q(s,·)
+const isDueling = (net) => net.layers[net.layers.length - 1].b.length === CHAIN_ACTIONS.length + 1;
+
+const combineDueling = ([value, ...advantages]) => {
+  const mean = advantages.reduce((sum, a) => sum + a, 0) / advantages.length;
+  return advantages.map(a => value + a - mean);
+};
+
+const qValuesFor = (net, s) => {
+  const { output } = forward(net, encodeState(s));
+  return isDueling(net) ? combineDueling(output) : output;
+};
+
+// dL/dQ to dL/d(output): through Q_a = V + A_a − mean A, dQ_a/dV = 1 and dQ_a/dA_k = [a = k] − 1/|A|
+const outputGradient = (net, qGrad) => {
+  if (!isDueling(net)) return qGrad;
+  const total = qGrad.reduce((sum, g) => sum + g, 0);
+  return [total, ...qGrad.map(g => g - total / qGrad.length)];
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const argmax = (values) => values.indexOf(Math.max(...values));
+
+const createNetwork = (seed, variant) => createMLP(
+  [CHAIN_LENGTH, HIDDEN_SIZE, CHAIN_ACTIONS.length + (variant === 'dueling' ? 1 : 0)],
+  createStream(seed, 'weights'),
+);
+
+// y for a transition; Double DQN picks a* with the online net and evaluates it with the target net
+const computeTarget = (variant, onlineNet, targetNet, exp) => {
+  if (exp.done) return { value: exp.r, action: null, bootstrap: 0 };
+  const targetQ = qValuesFor(targetNet, exp.s_next);
+  const action = argmax(variant === 'double' ? qValuesFor(onlineNet, exp.s_next) : targetQ);
+  return { value: exp.r + GAMMA * targetQ[action], action, bootstrap: targetQ[action] };
+};
+
+const samplingProbabilities = (buffer) => {
+  const scaled = buffer.map(exp => Math.pow(exp.priority, PER_ALPHA));
+  const total = scaled.reduce((sum, p) => sum + p, 0);
+  return scaled.map(p => p / total);
+};
+
+// Ages (in collected transitions, 0 = newest) grouped into at most maxBins bars
+const ageHistogram = (ages, maxBins = 16) => {
+  const maxAge = Math.max(...ages);
+  const width = Math.max(1, Math.ceil((maxAge + 1) / maxBins));
+  const counts = Array(Math.floor(maxAge / width) + 1).fill(0);
+  ages.forEach(age => counts[Math.floor(age / width)]++);
+  return counts.map((count, i) => ({ age: width === 1 ? String(i) : `${i * width}–${(i + 1) * width - 1}`, count }));
+};
+
+const importanceWeights = (probs) => {
+  const weights = probs.map(p => Math.pow(probs.length * p, -PER_BETA));
+  const max = Math.max(...weights);
+  return weights.map(w => w / max);
+};
+
+// Defined outside the demo so its SVG persists between renders and weight changes can animate
+const NeuralNetwork = ({ net, label, isTarget, isActive, isSyncing, isBlending, changes, probeState }) => {
+  const sizes = [net.layers[0].W[0].length, ...net.layers.map(layer => layer.b.length)];
+  const nodeX = (l) => 15 + l * (90 / (sizes.length - 1));
+  const nodeY = (l, i) => 50 + (i - (sizes[l] - 1) / 2) * Math.min(18, 84 / sizes[l]);
+  // Offsets of each layer's weights in flattenMLP order, to look up their changes
+  const offsets = net.layers.reduce((acc, { W, b }) => [...acc, acc[acc.length - 1] + W.length * W[0].length + b.length], [0]);
+  const dueling = isDueling(net);
+  const head = forward(net, encodeState(probeState)).output;
+  const probe = dueling ? combineDueling(head) : head;
+  const outputLabels = [...(dueling ? ['V'] : []), ...CHAIN_ACTIONS.map(action => (dueling ? `A${action.arrow}` : action.arrow))];
+  
+  return (
+    <div className={`relative p-4 rounded-2xl border-2 transition-all duration-500 ${
+      isSyncing ? 'border-yellow-400 bg-yellow-400/20 scale-105' :
+      isTarget ? 'border-cyan-500/50 bg-gradient-to-br from-slate-900 to-cyan-950' :
+      'border-emerald-500/50 bg-gradient-to-br from-slate-900 to-emerald-950'
+    } ${isActive ? 'ring-2 ring-white/50' : ''}`}>
+      
+      <div className={`text-xs font-bold mb-3 tracking-wider ${isTarget ? 'text-cyan-400' : 'text-emerald-400'}`}>
+        {label}
+      </div>
+      
+      {isTarget && (
+        <div className={`absolute -top-2 -right-2 text-black text-xs px-2 py-0.5 rounded-full font-bold ${
+          isBlending ? 'bg-yellow-400' : 'bg-cyan-500'
+        }`}>
+          {isBlending ? 'BLENDING' : 'FROZEN'}
+        </div>
+      )}
+      
+      <svg viewBox="0 0 120 100" className="w-full h-32">
+        {/* Edges: width shows |w|, colour the sign; weights changed by the last update glow */}
+        {net.layers.map(({ W }, l) =>
+          W.map((row, j) => row.map((w, i) => {
+            const changed = changes && Math.abs(changes[offsets[l] + j * row.length + i]) > 1e-4;
+            return (
+              <line key={`w${l}-${j}-${i}`}
+                x1={nodeX(l) + 5} y1={nodeY(l, i)} x2={nodeX(l + 1) - 5} y2={nodeY(l + 1, j)}
+                className={changed ? 'stroke-yellow-400' : w >= 0 ? (isTarget ? 'stroke-cyan-600' : 'stroke-emerald-600') : 'stroke-rose-600'}
+                style={{
+                  strokeWidth: 0.3 + Math.min(Math.abs(w), 2) * 1.2,
+                  opacity: changed ? 0.9 : 0.25 + Math.min(Math.abs(w), 1) * 0.5,
+                  transition: 'stroke-width 0.6s, opacity 0.6s',
+                }}
+              />
+            );
+          }))
+        )}
+        
+        {sizes.map((size, l) =>
+          Array.from({ length: size }, (_, i) => (
+            <circle key={`n${l}-${i}`} cx={nodeX(l)} cy={nodeY(l, i)} r="5"
+              className={`${isTarget ? 'fill-cyan-500' : 'fill-emerald-500'} transition-all`}
+              style={{ opacity: l === 0 && i !== probeState ? 0.35 : 1 }}
+            />
+          ))
+        )}
+        
+        {outputLabels.map((text, i) => (
+          <text key={text} x={nodeX(sizes.length - 1) + 7} y={nodeY(sizes.length - 1, i) + 2}
+            className="fill-slate-400" style={{ fontSize: '6px' }}>
+            {text}
+          </text>
+        ))}
+      </svg>
+      
+      <div className={`text-xs mt-2 font-mono ${isTarget ? 'text-cyan-300' : 'text-emerald-300'}`}>
+        Q(s{probeState},·;θ{isTarget ? '⁻' : ''}) = [{probe.map(q => q.toFixed(3)).join(', ')}]
+      </div>
+      {dueling && (
+        <div className="text-xs font-mono text-slate-400">
+          V = {head[0].toFixed(3)}, A = [{head.slice(1).map(a => a.toFixed(3)).join(', ')}]
+        </div>
+      )}
+      <div className="text-xs font-mono text-slate-500">
+        {flattenMLP(net).length} params · {sizes.join('→')}
+      </div>
+    </div>
+  );
+};
+
+// Shareable configuration (see lib/urlState)
+const URL_STATE = {
+  version: 1,
+  encode: (state) => ({
+    seed: String(state.seed),
+    variant: state.variant,
+    capacity: String(state.capacity),
+    batch: String(state.batchSize),
+    eviction: state.eviction,
+    sync: state.syncMode,
+    tau: formatNumber(state.tau),
+  }),
+  decode: (params) => ({
+    seed: parseNumber(params.get('seed'), { integer: true }),
+    variant: parseEnum(params.get('variant'), Object.keys(VARIANTS)),
+    capacity: parseNumber(params.get('capacity'), { min: MIN_CAPACITY, max: MAX_CAPACITY, integer: true }),
+    batchSize: parseNumber(params.get('batch'), { min: 1, max: MAX_BATCH_SIZE, integer: true }),
+    eviction: parseEnum(params.get('eviction'), EVICTION_STRATEGIES),
+    syncMode: parseEnum(params.get('sync'), SYNC_MODES),
+    tau: parseNumber(params.get('tau'), { min: MIN_TAU, max: MAX_TAU }),
+  }),
+};
 
 const DQNVisualization = () => {
+  const [initial] = useState(() => readUrlState(URL_STATE));
   const [step, setStep] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
   const [speed, setSpeed] = useState(1500);
   const [replayBuffer, setReplayBuffer] = useState([]);
-  const [onlineWeights, setOnlineWeights] = useState([0.5, 0.3, 0.7, 0.4, 0.6, 0.5]);
-  const [targetWeights, setTargetWeights] = useState([0.5, 0.3, 0.7, 0.4, 0.6, 0.5]);
-  const [currentPhase, setCurrentPhase] = useState('collect');
+  const [seed, setSeed] = useState(initial.seed ?? DEFAULT_SEED);
+  const [variant, setVariant] = useState(initial.variant ?? 'dqn');
+  const [onlineNet, setOnlineNet] = useState(() => createNetwork(seed, variant));
+  const [targetNet, setTargetNet] = useState(() => cloneMLP(onlineNet));
+  const [currentPhase, setCurrentPhase] = useState('ready');
   const [syncCounter, setSyncCounter] = useState(0);
-  const [highlightedSample, setHighlightedSample] = useState(null);
+  const [capacity, setCapacity] = useState(initial.capacity ?? DEFAULT_CAPACITY);
+  const [batchSize, setBatchSize] = useState(initial.batchSize ?? DEFAULT_BATCH_SIZE);
+  const [eviction, setEviction] = useState(initial.eviction ?? 'fifo');
+  const [storedCount, setStoredCount] = useState(0);
+  const [lastStore, setLastStore] = useState(null);
+  const [sampledAges, setSampledAges] = useState([]);
+  // The minibatch is a snapshot of the sampled transitions; the arrays below line up with it
+  const [batch, setBatch] = useState([]);
   const [showTarget, setShowTarget] = useState(false);
   const [showLoss, setShowLoss] = useState(false);
   const [lossValue, setLossValue] = useState(null);
-  const [qPrediction, setQPrediction] = useState(null);
-  const [targetValue, setTargetValue] = useState(null);
+  const [predictions, setPredictions] = useState(null);
+  const [targets, setTargets] = useState(null);
+  const [sampleWeights, setSampleWeights] = useState(null);
+  const [weightChanges, setWeightChanges] = useState(null);
   const [justSynced, setJustSynced] = useState(false);
-  const [agentPosition, setAgentPosition] = useState(0);
+  const [syncMode, setSyncMode] = useState(initial.syncMode ?? 'hard');
+  const [tau, setTau] = useState(initial.tau ?? DEFAULT_TAU);
+  const [distanceHistory, setDistanceHistory] = useState([]);
+  const [agentPosition, setAgentPosition] = useState(CHAIN_START);
+  const [lastTransition, setLastTransition] = useState(null);
+  const [episode, setEpisode] = useState(1);
+  const rngRef = useRef(createRng(seed));
+  const nextIdRef = useRef(0);
+
+  useUrlStateSync(URL_STATE, { seed, variant, capacity, batchSize, eviction, syncMode, tau });
 
   const SYNC_INTERVAL = 4;
-  const BUFFER_MAX = 8;
+
+  const batchIds = batch.map(exp => exp.id);
 
   const phases = ['collect', 'store', 'sample', 'compute_target', 'compute_loss', 'update', 'check_sync'];
   const phaseDescriptions = {
-    collect: 'Agent interacts with environment, collecting experience (s, a, r, s\')',
-    store: 'Store transition in replay buffer',
-    sample: 'Sample random minibatch from replay buffer',
+    ready: 'Press Step or Play to start collecting experience',
+    collect: 'Agent acts ε-greedily on Q(s,·;θ) in the chain, collecting experience (s, a, r, s\')',
+    store: eviction === 'fifo'
+      ? 'Store transition in replay buffer; when full, the oldest one is evicted (FIFO)'
+      : 'Store transition in replay buffer; when full, it replaces a random slot with probability capacity/seen (reservoir)',
+    sample: `Sample random minibatch of ${batchSize} from replay buffer`,
     compute_target: 'Compute target using FROZEN target network: y = r + γ·max Q(s\',a\';θ⁻)',
-    compute_loss: 'Compute TD loss: L = (y - Q(s,a;θ))²',
-    update: 'Update online network weights via gradient descent',
-    check_sync: syncCounter >= SYNC_INTERVAL - 1 ? '⚡ SYNC! Copy online weights to target network' : `Steps until sync: ${SYNC_INTERVAL - syncCounter - 1}`
+    compute_loss: batchSize > 1 ? 'Compute TD loss averaged over the minibatch: L = (1/B)·Σ (y - Q(s,a;θ))²' : 'Compute TD loss: L = (y - Q(s,a;θ))²',
+    update: 'Backpropagate ∂L/∂θ through the online network and take a gradient step',
+    check_sync: syncMode === 'soft'
+      ? `Soft update: blend θ⁻ ← τ·θ + (1−τ)·θ⁻ with τ = ${tau}`
+      : syncCounter >= SYNC_INTERVAL - 1 ? '⚡ SYNC! Copy online weights to target network' : `Steps until sync: ${SYNC_INTERVAL - syncCounter - 1}`,
+    ...VARIANTS[variant].phaseDescriptions,
   };
+  const samplingProbs = variant === 'per' && replayBuffer.length > 0 ? samplingProbabilities(replayBuffer) : null;
 
-  const generateExperience = useCallback(() => {
-    const states = ['s₁', 's₂', 's₃', 's₄', 's₅'];
-    const actions = ['←', '→', '↑', '↓'];
-    const s = states[Math.floor(Math.random() * states.length)];
-    const a = actions[Math.floor(Math.random() * actions.length)];
-    const r = (Math.random() * 2 - 0.5).toFixed(1);
-    const s_next = states[Math.floor(Math.random() * states.length)];
-    return { s, a, r, s_next, id: Date.now() + Math.random() };
-  }, []);
+  // One ε-greedy environment step from the current position
+  const collectExperience = useCallback(() => {
+    const random = rngRef.current;
+    const a = random() < EPSILON
+      ? randomInt(CHAIN_ACTIONS.length, random)
+      : argmax(qValuesFor(onlineNet, agentPosition));
+    const { next, reward, done } = chainStep(agentPosition, a);
+    return { s: agentPosition, a, r: reward, s_next: next, done, id: nextIdRef.current++ };
+  }, [onlineNet, agentPosition]);
 
   const advancePhase = useCallback(() => {
     setStep(prev => prev + 1);
     
-    setCurrentPhase(prev => {
-      const currentIndex = phases.indexOf(prev);
-      const nextIndex = (currentIndex + 1) % phases.length;
-      const nextPhase = phases[nextIndex];
-
-      if (nextPhase === 'collect') {
-        setAgentPosition(p => (p + 1) % 5);
-        setShowTarget(false);
-        setShowLoss(false);
-        setHighlightedSample(null);
-        setLossValue(null);
-        setQPrediction(null);
-        setTargetValue(null);
-      }
+    const nextPhase = phases[(phases.indexOf(currentPhase) + 1) % phases.length];
+    setCurrentPhase(nextPhase);
 
-      if (nextPhase === 'store') {
-        const newExp = generateExperience();
-        setReplayBuffer(buf => {
-          const newBuf = [...buf, newExp];
-          if (newBuf.length > BUFFER_MAX) newBuf.shift();
-          return newBuf;
-        });
-      }
+    if (nextPhase === 'collect') {
+      setShowTarget(false);
+      setShowLoss(false);
+      setBatch([]);
+      setLossValue(null);
+      setPredictions(null);
+      setTargets(null);
+      setSampleWeights(null);
+      setWeightChanges(null);
+      setLastStore(null);
+      
+      const exp = collectExperience();
+      setLastTransition(exp);
+      setAgentPosition(exp.s_next);
+    }
 
-      if (nextPhase === 'sample' && replayBuffer.length > 0) {
-        const randomIndex = Math.floor(Math.random() * replayBuffer.length);
-        setHighlightedSample(replayBuffer[randomIndex]?.id);
+    if (nextPhase === 'store' && lastTransition) {
+      const maxPriority = Math.max(1, ...replayBuffer.map(exp => exp.priority));
+      const entry = { ...lastTransition, priority: maxPriority, sampleCount: 0 };
+      if (replayBuffer.length < capacity) {
+        setReplayBuffer([...replayBuffer, entry]);
+        setLastStore({ evicted: null, discarded: false });
+      } else if (eviction === 'fifo') {
+        setReplayBuffer([...replayBuffer.slice(1), entry]);
+        setLastStore({ evicted: replayBuffer[0], discarded: false });
+      } else {
+        // Reservoir: this is transition number storedCount + 1, kept with probability capacity/(storedCount + 1)
+        const slot = randomInt(storedCount + 1, rngRef.current);
+        if (slot < capacity) {
+          setReplayBuffer(replayBuffer.map((exp, i) => (i === slot ? entry : exp)));
+          setLastStore({ evicted: replayBuffer[slot], discarded: false });
+        } else {
+          setLastStore({ evicted: null, discarded: true });
+        }
       }
-
-      if (nextPhase === 'compute_target') {
-        setShowTarget(true);
-        const target = (Math.random() * 10 + 5).toFixed(2);
-        setTargetValue(target);
+      setStoredCount(count => count + 1);
+      // A finished episode restarts from the middle of the chain
+      if (lastTransition.done) {
+        setAgentPosition(CHAIN_START);
+        setEpisode(e => e + 1);
       }
+    }
 
-      if (nextPhase === 'compute_loss') {
-        setShowLoss(true);
-        const pred = (Math.random() * 10 + 3).toFixed(2);
-        setQPrediction(pred);
-        if (targetValue) {
-          const loss = Math.pow(parseFloat(targetValue) - parseFloat(pred), 2).toFixed(3);
-          setLossValue(loss);
+    if (nextPhase === 'sample' && replayBuffer.length > 0) {
+      const random = rngRef.current;
+      let indices;
+      if (samplingProbs) {
+        // Prioritized replay draws with replacement
+        indices = Array.from({ length: batchSize }, () => sampleCategorical(samplingProbs, random));
+        const weights = importanceWeights(samplingProbs);
+        setSampleWeights(indices.map(i => weights[i]));
+      } else {
+        // Uniform replay draws without replacement (partial Fisher–Yates shuffle)
+        const order = replayBuffer.map((_, i) => i);
+        indices = [];
+        for (let k = 0; k < Math.min(batchSize, order.length); k++) {
+          const j = k + randomInt(order.length - k, random);
+          [order[k], order[j]] = [order[j], order[k]];
+          indices.push(order[k]);
         }
       }
+      const newestId = nextIdRef.current - 1;
+      setBatch(indices.map(i => replayBuffer[i]));
+      setSampledAges(ages => [...ages, ...indices.map(i => newestId - replayBuffer[i].id)].slice(-AGE_HISTORY_LENGTH));
+      setReplayBuffer(replayBuffer.map((exp, i) => {
+        const draws = indices.filter(index => index === i).length;
+        return draws > 0 ? { ...exp, sampleCount: exp.sampleCount + draws } : exp;
+      }));
+    }
+
+    if (nextPhase === 'compute_target' && batch.length > 0) {
+      setShowTarget(true);
+      setTargets(batch.map(exp => computeTarget(variant, onlineNet, targetNet, exp)));
+    }
+
+    if (nextPhase === 'compute_loss' && batch.length > 0 && targets) {
+      setShowLoss(true);
+      const preds = batch.map(exp => qValuesFor(onlineNet, exp.s)[exp.a]);
+      setPredictions(preds);
+      setLossValue(batch.reduce((sum, _, i) => sum + (sampleWeights?.[i] ?? 1) * (targets[i].value - preds[i]) ** 2, 0) / batch.length);
+    }
 
-      if (nextPhase === 'update') {
-        setOnlineWeights(prev => prev.map(w => {
-          const delta = (Math.random() - 0.5) * 0.1;
-          return Math.max(0, Math.min(1, w + delta));
+    if (nextPhase === 'update' && batch.length > 0 && predictions) {
+      // dL/dQ(s,a) = 2·(Q − y)/B per transition, scaled by the importance weight under prioritized
+      // replay; the other action's Q gets no gradient
+      const tdErrors = batch.map((_, i) => targets[i].value - predictions[i]);
+      const grads = sumGradients(batch.map((exp, i) => {
+        const { activations } = forward(onlineNet, encodeState(exp.s));
+        const weight = sampleWeights?.[i] ?? 1;
+        const qGrad = CHAIN_ACTIONS.map((_, a) => (a === exp.a ? -2 * weight * tdErrors[i] / batch.length : 0));
+        return backward(onlineNet, activations, outputGradient(onlineNet, qGrad));
+      }));
+      const updated = sgdStep(onlineNet, grads, LEARNING_RATE);
+      const before = flattenMLP(onlineNet);
+      setWeightChanges(flattenMLP(updated).map((w, i) => w - before[i]));
+      setOnlineNet(updated);
+      if (variant === 'per') {
+        setReplayBuffer(buf => buf.map(exp => {
+          const i = batchIds.lastIndexOf(exp.id);
+          return i >= 0 ? { ...exp, priority: Math.abs(tdErrors[i]) + PER_EPSILON } : exp;
         }));
       }
+    }
 
-      if (nextPhase === 'check_sync') {
-        setSyncCounter(prev => {
-          const newCount = prev + 1;
-          if (newCount >= SYNC_INTERVAL) {
-            setTargetWeights([...onlineWeights]);
-            setJustSynced(true);
-            setTimeout(() => setJustSynced(false), 800);
-            return 0;
-          }
-          return newCount;
-        });
+    if (nextPhase === 'check_sync') {
+      let newTarget = targetNet;
+      if (syncMode === 'soft') {
+        newTarget = polyakUpdate(targetNet, onlineNet, tau);
+      } else {
+        const newCount = syncCounter + 1;
+        if (newCount >= SYNC_INTERVAL) {
+          newTarget = cloneMLP(onlineNet);
+          setJustSynced(true);
+          setTimeout(() => setJustSynced(false), 800);
+          setSyncCounter(0);
+        } else {
+          setSyncCounter(newCount);
+        }
       }
-
-      return nextPhase;
-    });
-  }, [generateExperience, replayBuffer, onlineWeights, targetValue, phases]);
+      setTargetNet(newTarget);
+      setDistanceHistory(history => [
+        ...history,
+        { update: history.length > 0 ? history[history.length - 1].update + 1 : 1, distance: parameterDistance(onlineNet, newTarget) },
+      ].slice(-DISTANCE_HISTORY_LENGTH));
+    }
+  }, [currentPhase, collectExperience, lastTransition, replayBuffer, capacity, eviction, storedCount, samplingProbs, batchSize, batch, batchIds, variant, onlineNet, targetNet, targets, predictions, sampleWeights, syncMode, tau, syncCounter, phases]);
 
   useEffect(() => {
     if (!isPlaying) return;
@@ -120,93 +457,60 @@ const DQNVisualization = () => {
     return () => clearInterval(interval);
   }, [isPlaying, speed, advancePhase]);
 
-  const reset = () => {
+  const reset = (nextSeed = seed, nextVariant = variant) => {
+    rngRef.current = createRng(nextSeed);
+    const net = createNetwork(nextSeed, nextVariant);
     setStep(0);
     setIsPlaying(false);
     setReplayBuffer([]);
-    setOnlineWeights([0.5, 0.3, 0.7, 0.4, 0.6, 0.5]);
-    setTargetWeights([0.5, 0.3, 0.7, 0.4, 0.6, 0.5]);
-    setCurrentPhase('collect');
+    setOnlineNet(net);
+    setTargetNet(cloneMLP(net));
+    setCurrentPhase('ready');
     setSyncCounter(0);
-    setHighlightedSample(null);
+    setBatch([]);
     setShowTarget(false);
     setShowLoss(false);
     setLossValue(null);
-    setQPrediction(null);
-    setTargetValue(null);
-    setAgentPosition(0);
+    setPredictions(null);
+    setTargets(null);
+    setSampleWeights(null);
+    setWeightChanges(null);
+    setStoredCount(0);
+    setLastStore(null);
+    setSampledAges([]);
+    setAgentPosition(CHAIN_START);
+    setLastTransition(null);
+    setEpisode(1);
+    setDistanceHistory([]);
   };
 
-  const NeuralNetwork = ({ weights, label, isTarget, isActive, isSyncing }) => (
-    <div className={`relative p-4 rounded-2xl border-2 transition-all duration-500 ${
-      isSyncing ? 'border-yellow-400 bg-yellow-400/20 scale-105' :
-      isTarget ? 'border-cyan-500/50 bg-gradient-to-br from-slate-900 to-cyan-950' :
-      'border-emerald-500/50 bg-gradient-to-br from-slate-900 to-emerald-950'
-    } ${isActive ? 'ring-2 ring-white/50' : ''}`}>
-      
-      <div className={`text-xs font-bold mb-3 tracking-wider ${isTarget ? 'text-cyan-400' : 'text-emerald-400'}`}>
-        {label}
-      </div>
-      
-      {isTarget && (
-        <div className="absolute -top-2 -right-2 bg-cyan-500 text-black text-xs px-2 py-0.5 rounded-full font-bold">
-          FROZEN
-        </div>
-      )}
-      
-      <svg viewBox="0 0 120 100" className="w-full h-32">
-        {[0, 1, 2].map(i => (
-          <circle key={`i${i}`} cx="20" cy={25 + i * 25} r="8" 
-            className={`${isTarget ? 'fill-cyan-600' : 'fill-emerald-600'} transition-all`}
-            style={{ opacity: 0.5 + weights[i] * 0.5 }}
-          />
-        ))}
-        
-        {[0, 1, 2, 3].map(i => (
-          <circle key={`h${i}`} cx="60" cy={15 + i * 23} r="8"
-            className={`${isTarget ? 'fill-cyan-500' : 'fill-emerald-500'} transition-all`}
-            style={{ opacity: 0.5 + weights[(i + 2) % 6] * 0.5 }}
-          />
-        ))}
-        
-        {[0, 1].map(i => (
-          <circle key={`o${i}`} cx="100" cy={35 + i * 30} r="8"
-            className={`${isTarget ? 'fill-cyan-400' : 'fill-emerald-400'} transition-all`}
-            style={{ opacity: 0.5 + weights[(i + 4) % 6] * 0.5 }}
-          />
-        ))}
-        
-        {[0, 1, 2].map(i => 
-          [0, 1, 2, 3].map(j => (
-            <line key={`ih${i}${j}`} x1="28" y1={25 + i * 25} x2="52" y2={15 + j * 23}
-              className={`${isTarget ? 'stroke-cyan-700' : 'stroke-emerald-700'}`}
-              strokeWidth={0.5 + weights[(i + j) % 6] * 1.5}
-              opacity={0.3 + weights[(i + j) % 6] * 0.4}
-            />
-          ))
-        )}
-        
-        {[0, 1, 2, 3].map(i => 
-          [0, 1].map(j => (
-            <line key={`ho${i}${j}`} x1="68" y1={15 + i * 23} x2="92" y2={35 + j * 30}
-              className={`${isTarget ? 'stroke-cyan-700' : 'stroke-emerald-700'}`}
-              strokeWidth={0.5 + weights[(i + j + 2) % 6] * 1.5}
-              opacity={0.3 + weights[(i + j + 2) % 6] * 0.4}
-            />
-          ))
-        )}
-      </svg>
-      
-      <div className={`text-xs mt-2 font-mono ${isTarget ? 'text-cyan-300' : 'text-emerald-300'}`}>
-        θ{isTarget ? '⁻' : ''} = [{weights.map(w => w.toFixed(2)).join(', ')}]
-      </div>
-    </div>
-  );
+  const changeSeed = (value) => {
+    const nextSeed = Number.isFinite(value) ? value : 0;
+    setSeed(nextSeed);
+    reset(nextSeed);
+  };
 
-  const gridPositions = [
-    { x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 },
-    { x: 1, y: 1 }, { x: 2, y: 1 }
-  ];
+  // A smaller buffer keeps its newest transitions
+  const changeCapacity = (nextCapacity) => {
+    setCapacity(nextCapacity);
+    setReplayBuffer(buf => buf.slice(-nextCapacity));
+  };
+
+  // Both networks are kept; only the hard-sync countdown restarts
+  const changeSyncMode = (nextMode) => {
+    setSyncMode(nextMode);
+    setSyncCounter(0);
+  };
+
+  // The dueling head has a different output layer, so switching variants starts over
+  const changeVariant = (nextVariant) => {
+    setVariant(nextVariant);
+    reset(seed, nextVariant);
+  };
+
+  // The network diagrams show the Q-values of the state being learned from
+  const probeState = batch.length > 0 ? batch[0].s : agentPosition;
+  const weightChangeNorm = weightChanges && Math.sqrt(weightChanges.reduce((sum, d) => sum + d * d, 0));
 
   return (
     <div className="min-h-screen bg-slate-950 text-white p-6 font-sans">
@@ -259,11 +563,51 @@ const DQNVisualization = () => {
             Step →
           </button>
           <button
-            onClick={reset}
+            onClick={() => reset()}
             className="px-6 py-2 rounded-lg font-semibold bg-slate-700/50 text-slate-300 border border-slate-600 hover:bg-slate-600/50"
           >
             ↺ Reset
           </button>
+          <label className="flex items-center gap-2 px-3 py-2 rounded-lg bg-slate-800 border border-slate-600 text-slate-400 text-sm">
+            Seed
+            <input
+              type="number"
+              value={seed}
+              onChange={(e) => changeSeed(parseInt(e.target.value, 10))}
+              className="w-20 bg-slate-900 border border-slate-700 rounded px-2 py-0.5 text-slate-300 mono"
+            />
+          </label>
+          <select
+            value={variant}
+            onChange={(e) => changeVariant(e.target.value)}
+            className="px-4 py-2 rounded-lg bg-slate-800 border border-slate-600 text-slate-300"
+          >
+            {Object.entries(VARIANTS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={syncMode}
+            onChange={(e) => changeSyncMode(e.target.value)}
+            className="px-4 py-2 rounded-lg bg-slate-800 border border-slate-600 text-slate-300"
+          >
+            <option value="hard">Hard sync</option>
+            <option value="soft">Soft (Polyak)</option>
+          </select>
+          {syncMode === 'soft' && (
+            <label className="flex items-center gap-2 px-3 py-2 rounded-lg bg-slate-800 border border-slate-600 text-slate-400 text-sm">
+              τ = {tau.toFixed(2)}
+              <input
+                type="range"
+                min={MIN_TAU}
+                max={MAX_TAU}
+                step="0.01"
+                value={tau}
+                onChange={(e) => setTau(Number(e.target.value))}
+                className="w-24"
+              />
+            </label>
+          )}
           <select
             value={speed}
             onChange={(e) => setSpeed(Number(e.target.value))}
@@ -304,19 +648,26 @@ const DQNVisualization = () => {
                 {phaseDescriptions[currentPhase]}
               </div>
             </div>
-            <div className="text-right">
-              <div className="text-xs text-slate-500">Sync Progress</div>
-              <div className="flex gap-1 mt-1">
-                {[...Array(SYNC_INTERVAL)].map((_, i) => (
-                  <div
-                    key={i}
-                    className={`w-3 h-3 rounded-full transition-all ${
-                      i < syncCounter ? 'bg-yellow-500' : 'bg-slate-700'
-                    }`}
-                  />
-                ))}
+            {syncMode === 'hard' ? (
+              <div className="text-right">
+                <div className="text-xs text-slate-500">Sync Progress</div>
+                <div className="flex gap-1 mt-1">
+                  {[...Array(SYNC_INTERVAL)].map((_, i) => (
+                    <div
+                      key={i}
+                      className={`w-3 h-3 rounded-full transition-all ${
+                        i < syncCounter ? 'bg-yellow-500' : 'bg-slate-700'
+                      }`}
+                    />
+                  ))}
+                </div>
               </div>
-            </div>
+            ) : (
+              <div className="text-right">
+                <div className="text-xs text-slate-500">Soft Update</div>
+                <div className="font-mono text-sm text-yellow-400 mt-1">τ = {tau.toFixed(2)}</div>
+              </div>
+            )}
           </div>
         </div>
 
@@ -326,24 +677,37 @@ const DQNVisualization = () => {
               currentPhase === 'collect' ? 'border-purple-500 bg-purple-500/10' : 'border-slate-700 bg-slate-900/50'
             }`}>
               <div className="text-xs text-purple-400 font-bold mb-3 tracking-wider">ENVIRONMENT</div>
-              <div className="grid grid-cols-3 gap-1 mb-3">
-                {gridPositions.map((pos, i) => (
-                  <div
-                    key={i}
-                    className={`aspect-square rounded flex items-center justify-center text-lg transition-all ${
-                      i === agentPosition 
-                        ? 'bg-purple-500 text-white scale-110' 
-                        : 'bg-slate-800 text-slate-600'
-                    }`}
-                    style={{ gridColumn: pos.x + 1, gridRow: pos.y + 1 }}
-                  >
-                    {i === agentPosition ? '🤖' : '·'}
-                  </div>
-                ))}
+              <div className="flex gap-1 mb-2">
+                {Array.from({ length: CHAIN_LENGTH }, (_, i) => {
+                  const terminal = i in END_REWARDS;
+                  const greedy = terminal ? null : CHAIN_ACTIONS[argmax(qValuesFor(onlineNet, i))];
+                  return (
+                    <div
+                      key={i}
+                      className={`flex-1 aspect-square rounded flex flex-col items-center justify-center transition-all ${
+                        i === agentPosition
+                          ? 'bg-purple-500 text-white scale-110'
+                          : terminal ? 'bg-slate-700 text-amber-300' : 'bg-slate-800 text-slate-500'
+                      }`}
+                    >
+                      <div className="text-lg leading-none">{i === agentPosition ? '🤖' : terminal ? END_REWARDS[i] : '·'}</div>
+                      {greedy && <div className="text-xs leading-none mt-1">{greedy.arrow}</div>}
+                    </div>
+                  );
+                })}
               </div>
               <div className="text-xs text-slate-500 text-center">
-                Agent at s{agentPosition + 1}
+                Agent at s{agentPosition} · episode {episode}
               </div>
+              <div className="text-xs text-slate-600 text-center mt-1">
+                Arrows: greedy action of Q(s,·;θ)
+              </div>
+              {lastTransition && (
+                <div className="text-xs text-purple-300 text-center font-mono mt-2">
+                  last: s{lastTransition.s} {CHAIN_ACTIONS[lastTransition.a].arrow} s{lastTransition.s_next}, r = {lastTransition.r}
+                  {lastTransition.done ? ' (terminal)' : ''}
+                </div>
+              )}
             </div>
 
             <div className={`mt-4 p-4 rounded-xl border-2 transition-all ${
@@ -352,8 +716,43 @@ const DQNVisualization = () => {
                 : 'border-slate-700 bg-slate-900/50'
             }`}>
               <div className="text-xs text-amber-400 font-bold mb-3 tracking-wider">
-                REPLAY BUFFER ({replayBuffer.length}/{BUFFER_MAX})
+                REPLAY BUFFER ({replayBuffer.length}/{capacity})
               </div>
+              <div className="grid grid-cols-2 gap-2 mb-3 text-xs text-slate-400">
+                <label>
+                  Capacity {capacity}
+                  <input
+                    type="range" min={MIN_CAPACITY} max={MAX_CAPACITY} value={capacity}
+                    onChange={(e) => changeCapacity(Number(e.target.value))}
+                    className="w-full"
+                  />
+                </label>
+                <label>
+                  Batch {batchSize}
+                  <input
+                    type="range" min="1" max={MAX_BATCH_SIZE} value={batchSize}
+                    onChange={(e) => setBatchSize(Number(e.target.value))}
+                    className="w-full"
+                  />
+                </label>
+                <select
+                  value={eviction}
+                  onChange={(e) => setEviction(e.target.value)}
+                  className="col-span-2 px-2 py-1 rounded bg-slate-800 border border-slate-600 text-slate-300"
+                >
+                  <option value="fifo">FIFO eviction</option>
+                  <option value="reservoir">Reservoir sampling</option>
+                </select>
+              </div>
+              {currentPhase === 'store' && lastStore && (
+                <div className="text-xs text-amber-300 mb-2">
+                  {lastStore.discarded
+                    ? `Reservoir full: new transition discarded (kept with prob ${capacity}/${storedCount})`
+                    : lastStore.evicted
+                      ? `Evicted (s${lastStore.evicted.s}, ${CHAIN_ACTIONS[lastStore.evicted.a].arrow}, s${lastStore.evicted.s_next}) after ${lastStore.evicted.sampleCount} samples`
+                      : 'Stored in a free slot'}
+                </div>
+              )}
               <div className="space-y-1 max-h-48 overflow-y-auto">
                 {replayBuffer.length === 0 ? (
                   <div className="text-slate-600 text-xs text-center py-4">Empty</div>
@@ -362,45 +761,75 @@ const DQNVisualization = () => {
                     <div
                       key={exp.id}
                       className={`text-xs p-2 rounded font-mono transition-all ${
-                        highlightedSample === exp.id
+                        batchIds.includes(exp.id)
                           ? 'bg-amber-500 text-black scale-105 pulse-glow'
                           : 'bg-slate-800 text-slate-400'
-                      } ${currentPhase === 'store' && i === replayBuffer.length - 1 ? 'bounce-in' : ''}`}
+                      } ${currentPhase === 'store' && exp.id === lastTransition?.id ? 'bounce-in' : ''}`}
                     >
-                      ({exp.s}, {exp.a}, {exp.r}, {exp.s_next})
+                      (s{exp.s}, {CHAIN_ACTIONS[exp.a].arrow}, {exp.r}, s{exp.s_next}{exp.done ? ' ✓' : ''})
+                      <span className="float-right" title="Times sampled">×{exp.sampleCount}</span>
+                      {samplingProbs && (
+                        <div>
+                          p={exp.priority.toFixed(2)} P={samplingProbs[i].toFixed(2)}
+                        </div>
+                      )}
                     </div>
                   ))
                 )}
               </div>
             </div>
+
+            <div className="mt-4 p-4 rounded-xl border-2 border-slate-700 bg-slate-900/50">
+              <div className="text-xs text-amber-400 font-bold mb-1 tracking-wider">AGE WHEN SAMPLED</div>
+              <div className="text-xs text-slate-500 mb-2">
+                Transitions collected since, 0 = newest
+                {sampledAges.length > 0 && ` · mean ${(sampledAges.reduce((sum, age) => sum + age, 0) / sampledAges.length).toFixed(1)}`}
+              </div>
+              {sampledAges.length === 0 ? (
+                <div className="text-slate-600 text-xs text-center py-4">Nothing sampled yet</div>
+              ) : (
+                <ResponsiveContainer width="100%" height={120}>
+                  <BarChart data={ageHistogram(sampledAges)} margin={{ top: 5, right: 5, left: -30, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
+                    <XAxis dataKey="age" stroke="#4b5563" tick={{ fill: '#6b7280', fontSize: 9 }} />
+                    <YAxis stroke="#4b5563" tick={{ fill: '#6b7280', fontSize: 9 }} allowDecimals={false} />
+                    <Bar dataKey="count" fill="#f59e0b" isAnimationActive={false} />
+                  </BarChart>
+                </ResponsiveContainer>
+              )}
+            </div>
           </div>
 
           <div className="col-span-6">
             <div className="grid grid-cols-2 gap-4">
               <NeuralNetwork
-                weights={onlineWeights}
+                net={onlineNet}
                 label="ONLINE NETWORK Q(s,a;θ)"
                 isTarget={false}
                 isActive={currentPhase === 'update' || currentPhase === 'compute_loss'}
                 isSyncing={false}
+                changes={currentPhase === 'update' ? weightChanges : null}
+                probeState={probeState}
               />
               <NeuralNetwork
-                weights={targetWeights}
+                net={targetNet}
                 label="TARGET NETWORK Q(s,a;θ⁻)"
                 isTarget={true}
                 isActive={currentPhase === 'compute_target'}
                 isSyncing={justSynced}
+                isBlending={syncMode === 'soft'}
+                probeState={probeState}
               />
             </div>
 
             <svg className="w-full h-16 -mt-2" viewBox="0 0 400 60">
-              {justSynced && (
+              {(justSynced || (syncMode === 'soft' && currentPhase === 'check_sync')) && (
                 <>
                   <line x1="200" y1="30" x2="300" y2="30" 
-                    className="stroke-yellow-400 flow-line" strokeWidth="3" />
+                    className="stroke-yellow-400 flow-line" strokeWidth={justSynced ? 3 : 1 + tau * 4} />
                   <polygon points="295,25 305,30 295,35" className="fill-yellow-400" />
                   <text x="250" y="50" className="fill-yellow-400 text-xs" textAnchor="middle">
-                    θ⁻ ← θ
+                    {justSynced ? 'θ⁻ ← θ' : `θ⁻ ← ${tau.toFixed(2)}·θ + ${(1 - tau).toFixed(2)}·θ⁻`}
                   </text>
                 </>
               )}
@@ -413,30 +842,74 @@ const DQNVisualization = () => {
               
               <div className="grid grid-cols-3 gap-4 text-center">
                 <div className={`p-3 rounded-lg transition-all ${showTarget ? 'bg-cyan-900/50' : 'bg-slate-800/50'}`}>
-                  <div className="text-xs text-cyan-400 mb-1">Target (from θ⁻)</div>
+                  <div className="text-xs text-cyan-400 mb-1">Target (from θ⁻){batch.length > 1 ? ', mean' : ''}</div>
                   <div className="font-mono text-lg text-cyan-300">
-                    {showTarget ? `y = ${targetValue}` : '—'}
+                    {showTarget ? `y = ${mean(targets.map(t => t.value)).toFixed(3)}` : '—'}
                   </div>
                 </div>
                 
                 <div className={`p-3 rounded-lg transition-all ${showLoss ? 'bg-emerald-900/50' : 'bg-slate-800/50'}`}>
-                  <div className="text-xs text-emerald-400 mb-1">Prediction (from θ)</div>
+                  <div className="text-xs text-emerald-400 mb-1">Prediction (from θ){batch.length > 1 ? ', mean' : ''}</div>
                   <div className="font-mono text-lg text-emerald-300">
-                    {showLoss ? `Q = ${qPrediction}` : '—'}
+                    {showLoss ? `Q = ${mean(predictions).toFixed(3)}` : '—'}
                   </div>
                 </div>
                 
                 <div className={`p-3 rounded-lg transition-all ${showLoss ? 'bg-rose-900/50' : 'bg-slate-800/50'}`}>
                   <div className="text-xs text-rose-400 mb-1">TD Loss</div>
                   <div className="font-mono text-lg text-rose-300">
-                    {showLoss ? `L = ${lossValue}` : '—'}
+                    {showLoss ? `L = ${lossValue.toFixed(4)}` : '—'}
                   </div>
                 </div>
               </div>
               
-              {showLoss && (
+              {batch.length > 0 && (
+                <table className="w-full mt-3 font-mono text-xs text-slate-400">
+                  <thead>
+                    <tr className="text-slate-500">
+                      <th className="text-left font-normal">(s, a, r, s')</th>
+                      <th className="text-right font-normal">y</th>
+                      <th className="text-right font-normal">Q(s,a;θ)</th>
+                      <th className="text-right font-normal">δ = y − Q</th>
+                      {sampleWeights && <th className="text-right font-normal">w</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {batch.map((exp, i) => (
+                      <tr key={i}>
+                        <td>(s{exp.s}, {CHAIN_ACTIONS[exp.a].arrow}, {exp.r}, s{exp.s_next})</td>
+                        <td className="text-right text-cyan-300">{targets ? targets[i].value.toFixed(3) : '—'}</td>
+                        <td className="text-right text-emerald-300">{predictions ? predictions[i].toFixed(3) : '—'}</td>
+                        <td className="text-right text-rose-300">{predictions ? (targets[i].value - predictions[i]).toFixed(3) : '—'}</td>
+                        {sampleWeights && <td className="text-right text-amber-300">{sampleWeights[i].toFixed(3)}</td>}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {targets && (
                 <div className="mt-3 p-2 bg-slate-800 rounded font-mono text-xs text-center text-slate-400">
-                  L = (y - Q(s,a;θ))² = ({targetValue} - {qPrediction})² = {lossValue}
+                  {batch.length > 1 && 'e.g. '}
+                  {batch[0].done
+                    ? `s${batch[0].s_next} is terminal: y = r = ${batch[0].r}`
+                    : variant === 'double'
+                      ? `a* = argmax Q(s${batch[0].s_next},·;θ) = ${CHAIN_ACTIONS[targets[0].action].arrow} → y = r + γ·Q(s${batch[0].s_next},a*;θ⁻) = ${batch[0].r} + ${GAMMA}·${targets[0].bootstrap.toFixed(3)}`
+                      : `y = r + γ·max Q(s${batch[0].s_next},·;θ⁻) = ${batch[0].r} + ${GAMMA}·${targets[0].bootstrap.toFixed(3)}`}
+                </div>
+              )}
+              {sampleWeights && (
+                <div className="mt-2 p-2 bg-amber-900/30 rounded font-mono text-xs text-center text-amber-300">
+                  importance weights w_i = (N·P(i))^−{PER_BETA} / max w
+                </div>
+              )}
+              {showLoss && (
+                <div className="mt-2 p-2 bg-slate-800 rounded font-mono text-xs text-center text-slate-400">
+                  L = {batch.length > 1 ? `(1/${batch.length})·Σ ` : ''}{sampleWeights ? 'w·' : ''}(y - Q(s,a;θ))² = {lossValue.toFixed(4)}
+                </div>
+              )}
+              {currentPhase === 'update' && weightChanges && (
+                <div className="mt-2 p-2 bg-emerald-900/40 rounded font-mono text-xs text-center text-emerald-300">
+                  θ ← θ − {LEARNING_RATE}·∂L/∂θ · ‖Δθ‖ = {weightChangeNorm.toFixed(4)}
                 </div>
               )}
             </div>
@@ -447,6 +920,12 @@ const DQNVisualization = () => {
               <div className="text-xs text-slate-400 font-bold mb-3 tracking-wider">KEY INSIGHT</div>
               
               <div className="space-y-4 text-sm">
+                {VARIANTS[variant].insight && (
+                  <div className="p-3 rounded-lg bg-violet-900/30 border border-violet-500/50">
+                    <div className="text-violet-400 font-semibold mb-1">✨ {VARIANTS[variant].label}</div>
+                    <div className="text-slate-400 text-xs">{VARIANTS[variant].insight}</div>
+                  </div>
+                )}
                 <div className={`p-3 rounded-lg transition-all ${
                   currentPhase === 'compute_target' ? 'bg-cyan-900/30 border border-cyan-500/50' : 'bg-slate-800/30'
                 }`}>
@@ -470,10 +949,21 @@ const DQNVisualization = () => {
                     ? 'bg-yellow-900/30 border border-yellow-500/50' 
                     : 'bg-slate-800/30'
                 }`}>
-                  <div className="text-yellow-400 font-semibold mb-1">⚡ Periodic Sync</div>
-                  <div className="text-slate-400 text-xs">
-                    Every {SYNC_INTERVAL} steps, we copy θ → θ⁻. This slowly incorporates learning into the target.
-                  </div>
+                  {syncMode === 'hard' ? (
+                    <>
+                      <div className="text-yellow-400 font-semibold mb-1">⚡ Periodic Sync</div>
+                      <div className="text-slate-400 text-xs">
+                        Every {SYNC_INTERVAL} steps, we copy θ → θ⁻. This slowly incorporates learning into the target.
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <div className="text-yellow-400 font-semibold mb-1">🌊 Soft Updates</div>
+                      <div className="text-slate-400 text-xs">
+                        Every step θ⁻ moves a fraction τ towards θ, so the target trails the online network by roughly 1/τ = {(1 / tau).toFixed(0)} steps instead of jumping.
+                      </div>
+                    </>
+                  )}
                 </div>
                 
                 <div className={`p-3 rounded-lg transition-all ${
@@ -489,6 +979,35 @@ const DQNVisualization = () => {
           </div>
         </div>
 
+        <div className="mt-6 p-4 rounded-xl border border-slate-700 bg-slate-900/30">
+          <div className="text-xs text-yellow-400 font-bold mb-2 tracking-wider">
+            PARAMETER DISTANCE ‖θ − θ⁻‖ AFTER EACH TARGET UPDATE
+          </div>
+          {distanceHistory.length === 0 ? (
+            <div className="text-slate-600 text-xs text-center py-8">No target updates yet</div>
+          ) : (
+            <ResponsiveContainer width="100%" height={160}>
+              <LineChart data={distanceHistory} margin={{ top: 5, right: 5, left: -20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
+                <XAxis dataKey="update" stroke="#4b5563" tick={{ fill: '#6b7280', fontSize: 10 }} />
+                <YAxis stroke="#4b5563" tick={{ fill: '#6b7280', fontSize: 10 }} domain={[0, 'auto']} />
+                <Tooltip
+                  contentStyle={{ background: '#0f172a', border: '1px solid #334155', fontSize: 12 }}
+                  formatter={(value) => value.toFixed(4)}
+                />
+                <Line
+                  type="stepAfter"
+                  dataKey="distance"
+                  stroke="#facc15"
+                  strokeWidth={2}
+                  dot={false}
+                  isAnimationActive={false}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+
         <div className="mt-6 p-4 rounded-xl border border-slate-700 bg-slate-900/30">
           <div className="text-xs text-slate-500 font-bold mb-2">WHY TWO NETWORKS?</div>
           <div className="grid grid-cols-2 gap-4 text-sm">
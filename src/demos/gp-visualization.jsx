@@ -1,53 +1,21 @@
-import React, { useState, useCallback, useMemo, useEffect } from 'react';
-
-// Matrix utilities
-const choleskyDecomposition = (A) => {
-  const n = A.length;
-  const L = Array(n).fill(null).map(() => Array(n).fill(0));
-  
-  for (let i = 0; i < n; i++) {
-    for (let j = 0; j <= i; j++) {
-      let sum = 0;
-      for (let k = 0; k < j; k++) {
-        sum += L[i][k] * L[j][k];
-      }
-      if (i === j) {
-        L[i][j] = Math.sqrt(Math.max(A[i][i] - sum, 1e-10));
-      } else {
-        L[i][j] = (A[i][j] - sum) / L[j][j];
-      }
-    }
-  }
-  return L;
-};
-
-const solveTriangularLower = (L, b) => {
-  const n = L.length;
-  const x = Array(n).fill(0);
-  for (let i = 0; i < n; i++) {
-    let sum = b[i];
-    for (let j = 0; j < i; j++) {
-      sum -= L[i][j] * x[j];
-    }
-    x[i] = sum / L[i][i];
-  }
-  return x;
-};
-
-const solveTriangularUpper = (U, b) => {
-  const n = U.length;
-  const x = Array(n).fill(0);
-  for (let i = n - 1; i >= 0; i--) {
-    let sum = b[i];
-    for (let j = i + 1; j < n; j++) {
-      sum -= U[j][i] * x[j];
-    }
-    x[i] = sum / U[i][i];
-  }
-  return x;
-};
-
-const matVecMult = (M, v) => M.map(row => row.reduce((sum, val, i) => sum + val * v[i], 0));
+import React, { useState, useCallback, useMemo, useEffect, useRef } from 'react';
+import {
+  choleskyDecomposition,
+  solveTriangularLower,
+  choleskySolve,
+  sampleMVN,
+  createStream,
+  DEFAULT_SEED,
+} from '../lib/math';
+import {
+  readUrlState,
+  useUrlStateSync,
+  formatNumber,
+  formatNumberList,
+  parseNumber,
+  parseNumberList,
+  parseEnum,
+} from '../lib/urlState';
 
 // Kernel functions
 const rbfKernel = (x1, x2, lengthScale, variance) => {
@@ -75,33 +43,49 @@ const periodicKernel = (x1, x2, lengthScale, variance, period = 2) => {
   return variance * Math.exp(-2 * sinTerm * sinTerm / (lengthScale * lengthScale));
 };
 
-// Random number generation
-const boxMuller = () => {
-  const u1 = Math.random();
-  const u2 = Math.random();
-  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-};
-
-const sampleMVN = (mean, L) => {
-  const n = mean.length;
-  const z = Array(n).fill(0).map(() => boxMuller());
-  const Lz = matVecMult(L, z);
-  return mean.map((m, i) => m + Lz[i]);
+// Shareable configuration (see lib/urlState)
+const URL_STATE = {
+  version: 1,
+  encode: (state) => ({
+    kernel: state.kernelType,
+    ls: formatNumber(state.lengthScale),
+    var: formatNumber(state.variance),
+    noise: formatNumber(state.noiseVariance),
+    seed: String(state.seed),
+    pts: formatNumberList(state.dataPoints.flatMap(p => [p.x, p.y])),
+  }),
+  decode: (params) => ({
+    kernelType: parseEnum(params.get('kernel'), ['rbf', 'matern12', 'matern32', 'matern52', 'periodic']),
+    lengthScale: parseNumber(params.get('ls'), { min: 0.1, max: 2 }),
+    variance: parseNumber(params.get('var'), { min: 0.1, max: 3 }),
+    noiseVariance: parseNumber(params.get('noise'), { min: 0.001, max: 0.3 }),
+    seed: parseNumber(params.get('seed'), { integer: true }),
+    dataPoints: parseNumberList(params.get('pts'), 2)?.map(([x, y], i) => ({ x, y, id: i })),
+  }),
 };
 
 export default function GaussianProcessExplorer() {
-  const [kernelType, setKernelType] = useState('rbf');
-  const [lengthScale, setLengthScale] = useState(0.3);
-  const [variance, setVariance] = useState(1.0);
-  const [noiseVariance, setNoiseVariance] = useState(0.05);
-  const [dataPoints, setDataPoints] = useState([]);
+  const [initial] = useState(() => readUrlState(URL_STATE));
+  const [kernelType, setKernelType] = useState(initial.kernelType ?? 'rbf');
+  const [lengthScale, setLengthScale] = useState(initial.lengthScale ?? 0.3);
+  const [variance, setVariance] = useState(initial.variance ?? 1.0);
+  const [noiseVariance, setNoiseVariance] = useState(initial.noiseVariance ?? 0.05);
+  const [dataPoints, setDataPoints] = useState(initial.dataPoints ?? []);
   const [showPriorSamples, setShowPriorSamples] = useState(true);
   const [showPosterior, setShowPosterior] = useState(true);
   const [showEpistemic, setShowEpistemic] = useState(true);
   const [showAleatoric, setShowAleatoric] = useState(true);
-  const [priorSeed, setPriorSeed] = useState(0);
+  const [seed, setSeed] = useState(initial.seed ?? DEFAULT_SEED);
   const [activeTab, setActiveTab] = useState('explore');
 
+  useUrlStateSync(URL_STATE, { kernelType, lengthScale, variance, noiseVariance, seed, dataPoints });
+
+  // Random-data draws advance their own stream, restarted whenever the seed changes
+  const dataRngRef = useRef(createStream(seed, 'data'));
+  useEffect(() => {
+    dataRngRef.current = createStream(seed, 'data');
+  }, [seed]);
+
   const xMin = -3;
   const xMax = 3;
   const nGrid = 100;
@@ -137,32 +121,20 @@ export default function GaussianProcessExplorer() {
 
   // Sample from prior
   const priorSamples = useMemo(() => {
-    // Reset random seed for reproducibility
-    let seed = priorSeed + kernelType.length + Math.floor(lengthScale * 100) + Math.floor(variance * 100);
-    const seededRandom = () => {
-      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
-      return seed / 0x7fffffff;
-    };
-    
-    const boxMullerSeeded = () => {
-      const u1 = seededRandom();
-      const u2 = seededRandom();
-      return Math.sqrt(-2 * Math.log(u1 + 1e-10)) * Math.cos(2 * Math.PI * u2);
-    };
+    // Same seed draws the same standard-normal vectors, so kernel changes reshape the same samples
+    const random = createStream(seed, 'prior');
 
     try {
       const L = choleskyDecomposition(priorCov);
       const samples = [];
       for (let s = 0; s < 5; s++) {
-        const z = xGrid.map(() => boxMullerSeeded());
-        const Lz = matVecMult(L, z);
-        samples.push(Lz);
+        samples.push(sampleMVN(xGrid.map(() => 0), L, random));
       }
       return samples;
     } catch (e) {
       return [];
     }
-  }, [priorCov, xGrid, priorSeed, kernelType, lengthScale, variance]);
+  }, [priorCov, xGrid, seed]);
 
   // Compute posterior
   const posterior = useMemo(() => {
@@ -193,8 +165,7 @@ export default function GaussianProcessExplorer() {
       const L = choleskyDecomposition(Kxx);
       
       // Solve L * alpha_temp = y, then L^T * alpha = alpha_temp
-      const alphaTemp = solveTriangularLower(L, y);
-      const alpha = solveTriangularUpper(L, alphaTemp);
+      const alpha = choleskySolve(L, y);
 
       // Posterior mean = Ksx * alpha
       const mean = Ksx.map(row => row.reduce((sum, k, i) => sum + k * alpha[i], 0));
@@ -577,12 +548,21 @@ export default function GaussianProcessExplorer() {
                   </div>
                 </div>
 
-                <button
-                  onClick={() => setPriorSeed(s => s + 1)}
-                  className="w-full py-2 bg-slate-800 hover:bg-slate-700 rounded-lg text-slate-300 transition-colors"
-                >
-                  🎲 Resample Prior
-                </button>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    value={seed}
+                    onChange={(e) => setSeed(parseInt(e.target.value, 10) || 0)}
+                    title="Random seed"
+                    className="w-24 bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-slate-200 font-mono focus:outline-none focus:border-violet-500"
+                  />
+                  <button
+                    onClick={() => setSeed(s => s + 1)}
+                    className="flex-1 py-2 bg-slate-800 hover:bg-slate-700 rounded-lg text-slate-300 transition-colors"
+                  >
+                    🎲 Resample Prior
+                  </button>
+                </div>
               </div>
 
               {/* Uncertainty & display */}
@@ -656,10 +636,11 @@ export default function GaussianProcessExplorer() {
                   </button>
                   <button
                     onClick={() => {
+                      const random = dataRngRef.current;
                       const newPoints = [];
                       for (let i = 0; i < 5; i++) {
-                        const x = xMin + Math.random() * (xMax - xMin);
-                        const y = Math.sin(2 * x) + (Math.random() - 0.5) * 0.5;
+                        const x = xMin + random() * (xMax - xMin);
+                        const y = Math.sin(2 * x) + (random() - 0.5) * 0.5;
                         newPoints.push({ x, y, id: Date.now() + i });
                       }
                       setDataPoints(newPoints);
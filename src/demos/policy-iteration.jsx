@@ -1,155 +1,224 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  ACTIONS,
+  createGridworld,
+  evaluatePolicyExactly,
+  getActionValue,
+  getTransitions,
+  setCellType,
+  toState,
+} from '../lib/gridworld';
+import { downloadEnvironment, useEnvironmentImport } from '../lib/environmentFile';
+import { DEFAULT_SEED, createStream, randomInt } from '../lib/math';
+import { readUrlState, useUrlStateSync, formatNumber, parseEnum, parseNumber } from '../lib/urlState';
 
-const GRID_SIZE = 4;
 const GAMMA = 0.9;
 const THETA = 0.001;
+const MAX_GAMMA = 0.99;
+// Slider stops for θ
+const THETAS = [0.1, 0.01, 0.001, 0.0001, 0.00001, 0.000001];
+const MAX_SLIP = 0.5;
 
-const ACTIONS = [
-  { name: 'up', dx: 0, dy: -1, arrow: '↑' },
-  { name: 'right', dx: 1, dy: 0, arrow: '→' },
-  { name: 'down', dx: 0, dy: 1, arrow: '↓' },
-  { name: 'left', dx: -1, dy: 0, arrow: '←' }
-];
-
-const CELL_TYPES = {
-  NORMAL: 'normal',
-  GOAL: 'goal',
-  PIT: 'pit',
-  START: 'start'
+// Clicking a cell in edit mode cycles its type (at most one start cell)
+const EDIT_CYCLE = ['empty', 'wall', 'goal', 'pit', 'start'];
+
+// The policy the first evaluation starts from; 'drawn' is set by clicking arrows before running
+const START_POLICIES = ['up', 'random', 'drawn'];
+
+const START_POLICY_LABELS = { up: 'All up', random: 'Random', drawn: 'Hand-drawn' };
+
+// Evaluation sweeps per iteration: k = 1 is value iteration, 'full' sweeps until θ (policy
+// iteration) and 'exact' solves the linear system instead of sweeping
+const EVAL_DEPTHS = ['1', '2', '3', '5', '10', 'full', 'exact'];
+
+const evalDepthLabel = (depth) => (depth === 'exact' ? 'Exact' : depth === 'full' ? 'k = ∞' : `k = ${depth}`);
+
+const DEFAULT_SPEC = {
+  layout: [
+    'S...',
+    '..P.',
+    '.P..',
+    '...G',
+  ],
+  rewards: { empty: -0.1, start: -0.1, goal: 10, pit: -10 },
 };
 
-const initialGrid = () => {
-  const grid = Array(GRID_SIZE).fill(null).map(() => 
-    Array(GRID_SIZE).fill(CELL_TYPES.NORMAL)
-  );
-  grid[0][0] = CELL_TYPES.START;
-  grid[GRID_SIZE-1][GRID_SIZE-1] = CELL_TYPES.GOAL;
-  grid[1][2] = CELL_TYPES.PIT;
-  grid[2][1] = CELL_TYPES.PIT;
-  return grid;
+const formatReward = (r) => `${r > 0 ? '+' : ''}${r}`;
+
+// Every distinct reward paid by cells of a type on the map, or the type's reward if there are none
+const legendRewards = (env, type) => {
+  const rewards = [...new Set(env.cells.filter(cell => cell.type === type).map(cell => cell.reward))];
+  return (rewards.length > 0 ? rewards : [env.rewards[type]]).map(formatReward).join(', ');
 };
 
-const getReward = (cellType) => {
-  switch(cellType) {
-    case CELL_TYPES.GOAL: return 10;
-    case CELL_TYPES.PIT: return -10;
-    default: return -0.1;
+// θ from a URL snapped to the nearest slider stop
+const nearestTheta = (value) => THETAS.reduce((best, t) => (
+  Math.abs(Math.log10(t / value)) < Math.abs(Math.log10(best / value)) ? t : best
+));
+
+// The random start policy depends only on the seed, so a reset reproduces it
+const createStartPolicy = (startPolicy, numStates, drawnPolicy, seed) => {
+  if (startPolicy === 'random') {
+    const random = createStream(seed, 'start-policy');
+    return Array.from({ length: numStates }, () => randomInt(ACTIONS.length, random));
   }
+  if (startPolicy === 'drawn' && drawnPolicy.length === numStates) return [...drawnPolicy];
+  return Array(numStates).fill(0);
 };
 
-const isTerminal = (cellType) => cellType === CELL_TYPES.GOAL || cellType === CELL_TYPES.PIT;
+// Shareable configuration (see lib/urlState)
+const URL_STATE = {
+  version: 1,
+  encode: (state) => ({
+    gamma: formatNumber(state.gamma),
+    theta: formatNumber(state.theta, 6),
+    slip: formatNumber(state.slip),
+    eval: state.evalDepth,
+    start: state.startPolicy,
+    seed: String(state.seed),
+  }),
+  decode: (params) => {
+    const theta = parseNumber(params.get('theta'), { min: THETAS[THETAS.length - 1], max: THETAS[0] });
+    return {
+      gamma: parseNumber(params.get('gamma'), { min: 0, max: MAX_GAMMA }),
+      theta: theta === undefined ? undefined : nearestTheta(theta),
+      slip: parseNumber(params.get('slip'), { min: 0, max: MAX_SLIP }),
+      evalDepth: parseEnum(params.get('eval'), EVAL_DEPTHS),
+      startPolicy: parseEnum(params.get('start'), START_POLICIES),
+      seed: parseNumber(params.get('seed'), { integer: true }),
+    };
+  },
+};
+
+const startPolicyLabel = (startPolicy, seed) => (
+  startPolicy === 'random' ? `Random (seed ${seed})` : START_POLICY_LABELS[startPolicy]
+);
 
 export default function PolicyIterationViz() {
-  const [grid] = useState(initialGrid);
-  const [values, setValues] = useState(() => 
-    Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(0))
-  );
-  const [policy, setPolicy] = useState(() => 
-    Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(0))
-  );
+  const [initial] = useState(() => readUrlState(URL_STATE));
+  const [spec, setSpec] = useState(DEFAULT_SPEC);
+  const env = useMemo(() => createGridworld(spec), [spec]);
+  const [gamma, setGamma] = useState(initial.gamma ?? GAMMA);
+  const [theta, setTheta] = useState(initial.theta ?? THETA);
+  const [slip, setSlip] = useState(initial.slip ?? 0);
+  const [evalDepth, setEvalDepth] = useState(initial.evalDepth ?? 'full');
+  const [startPolicy, setStartPolicy] = useState(initial.startPolicy ?? 'up');
+  const [seed, setSeed] = useState(initial.seed ?? DEFAULT_SEED);
+  const [drawnPolicy, setDrawnPolicy] = useState(() => Array(env.numStates).fill(0));
+  const [editMode, setEditMode] = useState(false);
+  const [values, setValues] = useState(() => Array(env.numStates).fill(0));
+  const [policy, setPolicy] = useState(() => createStartPolicy(startPolicy, env.numStates, drawnPolicy, seed));
   const [phase, setPhase] = useState('idle');
   const [iteration, setIteration] = useState(0);
   const [evalSweeps, setEvalSweeps] = useState(0);
+  // Largest change of the last evaluation; truncated evaluations may leave V far from V^π
+  const [lastDelta, setLastDelta] = useState(Infinity);
+  const [totalSweeps, setTotalSweeps] = useState(0);
+  const [solves, setSolves] = useState(0);
+  // Finished runs on this environment, to compare evaluation depths and start policies
+  const [runs, setRuns] = useState([]);
   const [isRunning, setIsRunning] = useState(false);
   const [speed, setSpeed] = useState(500);
   const [highlightedCell, setHighlightedCell] = useState(null);
   const [policyStable, setPolicyStable] = useState(false);
   const [history, setHistory] = useState([]);
 
-  const getNextState = useCallback((x, y, action) => {
-    const nx = Math.max(0, Math.min(GRID_SIZE - 1, x + action.dx));
-    const ny = Math.max(0, Math.min(GRID_SIZE - 1, y + action.dy));
-    return { nx, ny };
-  }, []);
+  useUrlStateSync(URL_STATE, { gamma, theta, slip, evalDepth, startPolicy, seed });
+
+  const hovered = highlightedCell ? toState(env, highlightedCell.x, highlightedCell.y) : null;
 
   const policyEvaluationStep = useCallback(() => {
     let maxDelta = 0;
-    const newValues = values.map(row => [...row]);
+    const newValues = [...values];
     
-    for (let y = 0; y < GRID_SIZE; y++) {
-      for (let x = 0; x < GRID_SIZE; x++) {
-        if (isTerminal(grid[y][x])) {
-          newValues[y][x] = getReward(grid[y][x]);
-          continue;
-        }
-        
-        const action = ACTIONS[policy[y][x]];
-        const { nx, ny } = getNextState(x, y, action);
-        const reward = getReward(grid[ny][nx]);
-        const newValue = reward + GAMMA * values[ny][nx];
-        maxDelta = Math.max(maxDelta, Math.abs(newValue - values[y][x]));
-        newValues[y][x] = newValue;
-      }
-    }
+    env.cells.forEach((cell, s) => {
+      // Terminal states have no future value and walls are never entered
+      if (cell.terminal || cell.type === 'wall') return;
+      
+      const newValue = getActionValue(env, values, s, policy[s], gamma, slip);
+      maxDelta = Math.max(maxDelta, Math.abs(newValue - values[s]));
+      newValues[s] = newValue;
+    });
     
     setValues(newValues);
-    return maxDelta < THETA;
-  }, [values, policy, grid, getNextState]);
+    return maxDelta;
+  }, [env, values, policy, gamma, slip]);
 
   const policyImprovement = useCallback(() => {
     let stable = true;
-    const newPolicy = policy.map(row => [...row]);
+    const newPolicy = [...policy];
     
-    for (let y = 0; y < GRID_SIZE; y++) {
-      for (let x = 0; x < GRID_SIZE; x++) {
-        if (isTerminal(grid[y][x])) continue;
-        
-        const oldAction = policy[y][x];
-        let bestValue = -Infinity;
-        let bestAction = 0;
+    env.cells.forEach((cell, s) => {
+      if (cell.terminal || cell.type === 'wall') return;
+      
+      const oldAction = policy[s];
+      let bestValue = -Infinity;
+      let bestAction = 0;
+      
+      for (let a = 0; a < ACTIONS.length; a++) {
+        const value = getActionValue(env, values, s, a, gamma, slip);
         
-        for (let a = 0; a < ACTIONS.length; a++) {
-          const action = ACTIONS[a];
-          const { nx, ny } = getNextState(x, y, action);
-          const reward = getReward(grid[ny][nx]);
-          const value = reward + GAMMA * values[ny][nx];
-          
-          if (value > bestValue) {
-            bestValue = value;
-            bestAction = a;
-          }
+        if (value > bestValue) {
+          bestValue = value;
+          bestAction = a;
         }
-        
-        newPolicy[y][x] = bestAction;
-        if (oldAction !== bestAction) stable = false;
       }
-    }
+      
+      newPolicy[s] = bestAction;
+      if (oldAction !== bestAction) stable = false;
+    });
     
     setPolicy(newPolicy);
     return stable;
-  }, [values, policy, grid, getNextState]);
+  }, [env, values, policy, gamma, slip]);
 
   const step = useCallback(() => {
     if (policyStable) return;
     
-    if (phase === 'idle' || phase === 'improvement') {
-      setPhase('evaluation');
-      setEvalSweeps(0);
-      setHistory(h => [...h, { type: 'start_eval', iteration: iteration + 1 }]);
-    } else if (phase === 'evaluation') {
-      const converged = policyEvaluationStep();
-      setEvalSweeps(s => s + 1);
+    if (phase === 'evaluation') {
+      if (evalDepth === 'exact') {
+        setValues(evaluatePolicyExactly(env, policy, gamma, slip));
+        setLastDelta(0);
+        setSolves(n => n + 1);
+        setPhase('improvement');
+        setHistory(h => [...h, { type: 'eval_exact' }]);
+        return;
+      }
+
+      const maxDelta = policyEvaluationStep();
+      const sweeps = evalSweeps + 1;
+      setEvalSweeps(sweeps);
+      setTotalSweeps(n => n + 1);
+      setLastDelta(maxDelta);
       
-      if (converged) {
+      const converged = maxDelta < theta;
+      if (converged || (evalDepth !== 'full' && sweeps >= Number(evalDepth))) {
         setPhase('improvement');
-        setHistory(h => [...h, { type: 'eval_done', sweeps: evalSweeps + 1 }]);
+        setHistory(h => [...h, { type: 'eval_done', sweeps, converged, delta: maxDelta }]);
       }
+      return;
     }
     
     if (phase === 'improvement') {
       const stable = policyImprovement();
-      setIteration(i => i + 1);
-      setPolicyStable(stable);
+      setIteration(iteration + 1);
       
-      if (stable) {
+      // A greedy policy that did not change is only optimal once V has converged for it
+      if (stable && lastDelta < theta) {
+        setPolicyStable(true);
         setPhase('done');
-        setHistory(h => [...h, { type: 'done' }]);
+        setHistory(h => [...h, { type: 'done', improvements: iteration + 1, sweeps: totalSweeps, solves }]);
+        setRuns(r => [...r, { evalDepth, start: startPolicyLabel(startPolicy, seed), improvements: iteration + 1, sweeps: totalSweeps, solves }]);
         setIsRunning(false);
-      } else {
-        setHistory(h => [...h, { type: 'improved' }]);
+        return;
       }
+      setHistory(h => [...h, { type: stable ? 'unchanged' : 'improved' }]);
     }
-  }, [phase, policyStable, policyEvaluationStep, policyImprovement, iteration, evalSweeps]);
+    
+    setPhase('evaluation');
+    setEvalSweeps(0);
+    setHistory(h => [...h, { type: 'start_eval', iteration: phase === 'improvement' ? iteration + 2 : iteration + 1 }]);
+  }, [phase, policyStable, policyEvaluationStep, policyImprovement, iteration, evalSweeps, evalDepth, startPolicy, seed, env, policy, gamma, theta, slip, lastDelta, totalSweeps, solves]);
 
   useEffect(() => {
     if (!isRunning || policyStable) return;
@@ -157,18 +226,74 @@ export default function PolicyIterationViz() {
     return () => clearTimeout(timer);
   }, [isRunning, step, speed, policyStable]);
 
-  const reset = () => {
-    setValues(Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(0)));
-    setPolicy(Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(0)));
+  const reset = (numStates = env.numStates, start = startPolicy, drawn = drawnPolicy, nextSeed = seed) => {
+    setValues(Array(numStates).fill(0));
+    setPolicy(createStartPolicy(start, numStates, drawn, nextSeed));
     setPhase('idle');
     setIteration(0);
     setEvalSweeps(0);
+    setLastDelta(Infinity);
+    setTotalSweeps(0);
+    setSolves(0);
     setIsRunning(false);
     setPolicyStable(false);
     setHistory([]);
     setHighlightedCell(null);
   };
 
+  // Changing the MDP also drops the runs compared so far
+  const restart = (numStates = env.numStates, drawn = drawnPolicy) => {
+    setRuns([]);
+    reset(numStates, startPolicy, drawn);
+  };
+
+  const changeSeed = (value) => {
+    const nextSeed = Number.isFinite(value) ? value : 0;
+    setSeed(nextSeed);
+    reset(env.numStates, startPolicy, drawnPolicy, nextSeed);
+  };
+
+  const environmentImport = useEnvironmentImport((imported) => {
+    const numStates = imported.layout.length * imported.layout[0].length;
+    const drawn = Array(numStates).fill(0);
+    setSpec(imported);
+    if (imported.gamma !== undefined) setGamma(Math.min(imported.gamma, MAX_GAMMA));
+    setSlip(Math.min(imported.slip ?? 0, MAX_SLIP));
+    setDrawnPolicy(drawn);
+    setEditMode(false);
+    restart(numStates, drawn);
+  });
+
+  const cycleCellType = (x, y) => {
+    const current = env.cells[toState(env, x, y)].type;
+    const type = EDIT_CYCLE[(EDIT_CYCLE.indexOf(current) + 1) % EDIT_CYCLE.length];
+    let nextSpec = setCellType(spec, x, y, type);
+    if (type === 'start') {
+      env.cells
+        .filter(cell => cell.type === 'start')
+        .forEach(cell => { nextSpec = setCellType(nextSpec, cell.x, cell.y, 'empty'); });
+    }
+    setSpec(nextSpec);
+    restart();
+  };
+
+  // Hand-drawn start policy: before the first step, clicking a cell turns its arrow clockwise
+  const canDraw = startPolicy === 'drawn' && phase === 'idle' && !editMode;
+
+  const cycleArrow = (s) => {
+    const drawn = drawnPolicy.map((a, i) => (i === s ? (a + 1) % ACTIONS.length : a));
+    setDrawnPolicy(drawn);
+    setPolicy([...drawn]);
+  };
+
+  const handleCellClick = (cell, s) => {
+    if (editMode) {
+      cycleCellType(cell.x, cell.y);
+    } else if (canDraw && !cell.terminal && cell.type !== 'wall') {
+      cycleArrow(s);
+    }
+  };
+
   const getValueColor = (value) => {
     const normalized = Math.max(-1, Math.min(1, value / 10));
     if (normalized > 0) {
@@ -179,11 +304,12 @@ export default function PolicyIterationViz() {
     return 'rgba(100, 116, 139, 0.2)';
   };
 
-  const getCellStyle = (cellType) => {
-    switch(cellType) {
-      case CELL_TYPES.GOAL: return 'bg-emerald-500/30 border-emerald-400';
-      case CELL_TYPES.PIT: return 'bg-red-500/30 border-red-400';
-      case CELL_TYPES.START: return 'border-amber-400';
+  const getCellStyle = (cell) => {
+    switch(cell.type) {
+      case 'goal': return 'bg-emerald-500/30 border-emerald-400';
+      case 'pit': return 'bg-red-500/30 border-red-400';
+      case 'start': return 'border-amber-400';
+      case 'wall': return 'bg-slate-800 border-slate-700';
       default: return 'border-slate-600';
     }
   };
@@ -251,12 +377,17 @@ export default function PolicyIterationViz() {
                     phase === 'done' ? 'bg-emerald-500/20 text-emerald-400 border border-emerald-500/50' :
                     'bg-slate-700/50 text-slate-400 border border-slate-600'
                   }`}>
-                    {phase === 'evaluation' && `📊 Evaluating (sweep ${evalSweeps})`}
+                    {phase === 'evaluation' && (evalDepth === 'exact'
+                      ? '📊 Evaluating (linear solve)'
+                      : `📊 Evaluating (sweep ${evalSweeps}${evalDepth === 'full' ? '' : ` of ${evalDepth}`})`)}
                     {phase === 'improvement' && '🔄 Improving Policy'}
                     {phase === 'done' && '✓ Optimal Policy Found'}
                     {phase === 'idle' && '⏸ Ready'}
                   </div>
                   <span className="text-slate-500">Iteration: {iteration}</span>
+                  <span className="text-slate-500">
+                    {evalDepth === 'exact' ? `Solves: ${solves}` : `Total sweeps: ${totalSweeps}`}
+                  </span>
                 </div>
               </div>
 
@@ -267,12 +398,13 @@ export default function PolicyIterationViz() {
                 <div 
                   className="grid gap-2 mx-auto"
                   style={{ 
-                    gridTemplateColumns: `repeat(${GRID_SIZE}, 1fr)`,
+                    gridTemplateColumns: `repeat(${env.width}, 1fr)`,
                     maxWidth: '500px'
                   }}
                 >
-                  {grid.map((row, y) => 
-                    row.map((cell, x) => (
+                  {env.cells.map((cell, s) => {
+                    const { x, y } = cell;
+                    return (
                       <div
                         key={`${x}-${y}`}
                         className={`
@@ -280,42 +412,44 @@ export default function PolicyIterationViz() {
                           flex flex-col items-center justify-center relative
                           ${getCellStyle(cell)}
                           ${highlightedCell?.x === x && highlightedCell?.y === y ? 'ring-2 ring-cyan-400' : ''}
+                          ${editMode || (canDraw && !cell.terminal && cell.type !== 'wall') ? 'cursor-pointer' : ''}
                         `}
                         style={{ 
-                          backgroundColor: isTerminal(cell) ? undefined : getValueColor(values[y][x])
+                          backgroundColor: cell.terminal || cell.type === 'wall' ? undefined : getValueColor(values[s])
                         }}
+                        onClick={() => handleCellClick(cell, s)}
                         onMouseEnter={() => setHighlightedCell({ x, y })}
                         onMouseLeave={() => setHighlightedCell(null)}
                       >
-                        {cell === CELL_TYPES.GOAL && (
+                        {cell.type === 'goal' && (
                           <span className="text-3xl">🎯</span>
                         )}
-                        {cell === CELL_TYPES.PIT && (
+                        {cell.type === 'pit' && (
                           <span className="text-3xl">🕳️</span>
                         )}
-                        {cell === CELL_TYPES.START && (
+                        {cell.type === 'start' && (
                           <span className="absolute top-1 left-1 text-xs text-amber-400">START</span>
                         )}
                         
-                        {!isTerminal(cell) && (
+                        {!cell.terminal && cell.type !== 'wall' && (
                           <>
-                            <span className={`text-3xl mb-1 arrow-bounce`} key={policy[y][x]}>
-                              {ACTIONS[policy[y][x]].arrow}
+                            <span className={`text-3xl mb-1 arrow-bounce`} key={policy[s]}>
+                              {ACTIONS[policy[s]].arrow}
                             </span>
                             <span className="text-xs text-slate-300 font-semibold">
-                              {values[y][x].toFixed(2)}
+                              {values[s].toFixed(2)}
                             </span>
                           </>
                         )}
                         
-                        {isTerminal(cell) && (
+                        {cell.terminal && (
                           <span className="text-xs text-slate-300 font-semibold mt-1">
-                            R: {getReward(cell)}
+                            R: {cell.reward}
                           </span>
                         )}
                       </div>
-                    ))
-                  )}
+                    );
+                  })}
                 </div>
               </div>
 
@@ -347,7 +481,7 @@ export default function PolicyIterationViz() {
                 </button>
                 
                 <button
-                  onClick={reset}
+                  onClick={() => reset()}
                   className="px-6 py-3 rounded-xl font-semibold bg-slate-700/50 text-slate-300 border border-slate-600 hover:bg-slate-700 transition-all"
                 >
                   ↺ Reset
@@ -366,6 +500,53 @@ export default function PolicyIterationViz() {
                   />
                 </div>
               </div>
+
+              <div className="mt-4 flex flex-wrap items-center justify-center gap-2 text-sm">
+                <button
+                  onClick={() => setEditMode(!editMode)}
+                  className={`px-4 py-2 rounded-lg border transition-all ${
+                    editMode
+                      ? 'bg-emerald-500/20 text-emerald-400 border-emerald-500/50'
+                      : 'bg-slate-700/50 text-slate-300 border-slate-600 hover:bg-slate-700'
+                  }`}
+                >
+                  {editMode ? '✓ Editing' : '✎ Edit Map'}
+                </button>
+                <span className="text-slate-500 ml-2">Start policy:</span>
+                {START_POLICIES.map(option => (
+                  <button
+                    key={option}
+                    onClick={() => {
+                      setStartPolicy(option);
+                      reset(env.numStates, option);
+                    }}
+                    className={`px-3 py-2 rounded-lg border transition-all ${
+                      startPolicy === option
+                        ? 'bg-cyan-500/20 text-cyan-400 border-cyan-500/50'
+                        : 'bg-slate-800/50 text-slate-400 border-slate-700 hover:bg-slate-700'
+                    }`}
+                  >
+                    {START_POLICY_LABELS[option]}
+                  </button>
+                ))}
+                {startPolicy === 'random' && (
+                  <label className="flex items-center gap-2 text-slate-500">
+                    Seed:
+                    <input
+                      type="number"
+                      value={seed}
+                      onChange={(e) => changeSeed(parseInt(e.target.value, 10))}
+                      className="w-20 px-2 py-1 rounded-lg bg-slate-900 border border-slate-700 text-slate-200"
+                    />
+                  </label>
+                )}
+              </div>
+              <p className="mt-2 text-center text-xs text-slate-500">
+                {editMode && 'Click a cell to cycle empty → wall → goal → pit → start. Every edit resets the run.'}
+                {!editMode && canDraw && 'Click a cell to turn its arrow, then run from this policy.'}
+                {!editMode && !canDraw && startPolicy === 'drawn' && 'Reset to draw the start policy again.'}
+                {!editMode && startPolicy === 'random' && 'The same seed always draws the same policy; change it for another.'}
+              </p>
             </div>
 
             <div className="mt-6 bg-slate-900/50 rounded-2xl p-6 border border-slate-800">
@@ -373,11 +554,11 @@ export default function PolicyIterationViz() {
               <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
                 <div className="flex items-center gap-2">
                   <div className="w-8 h-8 rounded-lg bg-emerald-500/30 border-2 border-emerald-400 flex items-center justify-center">🎯</div>
-                  <span className="text-slate-400">Goal (+10)</span>
+                  <span className="text-slate-400">Goal ({legendRewards(env, 'goal')})</span>
                 </div>
                 <div className="flex items-center gap-2">
                   <div className="w-8 h-8 rounded-lg bg-red-500/30 border-2 border-red-400 flex items-center justify-center">🕳️</div>
-                  <span className="text-slate-400">Pit (-10)</span>
+                  <span className="text-slate-400">Pit ({legendRewards(env, 'pit')})</span>
                 </div>
                 <div className="flex items-center gap-2">
                   <div className="w-8 h-8 rounded-lg border-2 border-slate-600" style={{ backgroundColor: 'rgba(34, 197, 94, 0.5)' }}></div>
@@ -401,10 +582,25 @@ export default function PolicyIterationViz() {
                     : 'bg-slate-800/50 border-slate-700 text-slate-400'
                 }`}>
                   <div className="font-semibold mb-2">1. Policy Evaluation</div>
-                  <p>Compute value function V(s) for current policy π by iterating until convergence:</p>
-                  <div className="mt-2 p-2 bg-slate-900/50 rounded font-mono text-xs">
-                    V(s) ← R(s') + γ·V(s')
-                  </div>
+                  {evalDepth === 'exact' ? (
+                    <>
+                      <p>Compute value function V(s) for current policy π by solving the linear system:</p>
+                      <div className="mt-2 p-2 bg-slate-900/50 rounded font-mono text-xs">
+                        (I − γ·P_π)·V = R_π
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <p>
+                        {evalDepth === 'full'
+                          ? 'Compute value function V(s) for current policy π by iterating until convergence:'
+                          : `Move V(s) towards the value of π with at most ${evalDepth} sweep${evalDepth === '1' ? '' : 's'} (modified policy iteration):`}
+                      </p>
+                      <div className="mt-2 p-2 bg-slate-900/50 rounded font-mono text-xs">
+                        V(s) ← Σ P(s'|s,π(s))·[R(s') + γ·V(s')]
+                      </div>
+                    </>
+                  )}
                 </div>
                 
                 <div className={`p-4 rounded-xl border transition-all ${
@@ -415,7 +611,7 @@ export default function PolicyIterationViz() {
                   <div className="font-semibold mb-2">2. Policy Improvement</div>
                   <p>Update policy to be greedy with respect to value function:</p>
                   <div className="mt-2 p-2 bg-slate-900/50 rounded font-mono text-xs">
-                    π(s) ← argmax_a [R + γ·V(s')]
+                    π(s) ← argmax_a Σ P(s'|s,a)·[R(s') + γ·V(s')]
                   </div>
                 </div>
                 
@@ -425,7 +621,11 @@ export default function PolicyIterationViz() {
                     : 'bg-slate-800/50 border-slate-700 text-slate-400'
                 }`}>
                   <div className="font-semibold mb-2">3. Check Convergence</div>
-                  <p>If policy unchanged → optimal! Otherwise, repeat from step 1.</p>
+                  <p>
+                    {evalDepth === 'exact' || evalDepth === 'full'
+                      ? 'If policy unchanged → optimal! Otherwise, repeat from step 1.'
+                      : 'If policy unchanged and the last sweep moved V by less than θ → optimal! Otherwise, repeat from step 1.'}
+                  </p>
                 </div>
               </div>
             </div>
@@ -433,28 +633,163 @@ export default function PolicyIterationViz() {
             <div className="bg-slate-900/50 rounded-2xl p-6 border border-slate-800">
               <h3 className="font-display text-lg font-semibold text-slate-200 mb-4">Parameters</h3>
               <div className="space-y-3 text-sm">
-                <div className="flex justify-between">
-                  <span className="text-slate-400">Discount (γ):</span>
-                  <span className="text-cyan-400 font-semibold">{GAMMA}</span>
+                <div>
+                  <div className="flex justify-between mb-1">
+                    <span className="text-slate-400">Discount (γ):</span>
+                    <span className="text-cyan-400 font-semibold">{gamma.toFixed(2)}</span>
+                  </div>
+                  <input
+                    type="range"
+                    min="0"
+                    max={MAX_GAMMA}
+                    step="0.01"
+                    value={gamma}
+                    onChange={(e) => {
+                      setGamma(Number(e.target.value));
+                      restart();
+                    }}
+                    className="w-full accent-cyan-500"
+                  />
                 </div>
-                <div className="flex justify-between">
-                  <span className="text-slate-400">Threshold (θ):</span>
-                  <span className="text-cyan-400 font-semibold">{THETA}</span>
+                <div>
+                  <div className="flex justify-between mb-1">
+                    <span className="text-slate-400">Threshold (θ):</span>
+                    <span className="text-cyan-400 font-semibold">{theta}</span>
+                  </div>
+                  <input
+                    type="range"
+                    min="0"
+                    max={THETAS.length - 1}
+                    step="1"
+                    value={THETAS.indexOf(theta)}
+                    onChange={(e) => {
+                      setTheta(THETAS[Number(e.target.value)]);
+                      restart();
+                    }}
+                    className="w-full accent-cyan-500"
+                  />
+                  <p className="text-xs text-slate-500 mt-1">
+                    Evaluation stops once no value changes by more than θ in a sweep
+                  </p>
                 </div>
                 <div className="flex justify-between">
                   <span className="text-slate-400">Grid Size:</span>
-                  <span className="text-cyan-400 font-semibold">{GRID_SIZE}×{GRID_SIZE}</span>
+                  <span className="text-cyan-400 font-semibold">{env.width}×{env.height}</span>
                 </div>
                 <div className="flex justify-between">
                   <span className="text-slate-400">Step Cost:</span>
-                  <span className="text-cyan-400 font-semibold">-0.1</span>
+                  <span className="text-cyan-400 font-semibold">{env.rewards.empty}</span>
                 </div>
+                <div>
+                  <div className="flex justify-between mb-1">
+                    <span className="text-slate-400">Slip Probability:</span>
+                    <span className="text-cyan-400 font-semibold">{slip.toFixed(2)}</span>
+                  </div>
+                  <input
+                    type="range"
+                    min="0"
+                    max={MAX_SLIP}
+                    step="0.05"
+                    value={slip}
+                    onChange={(e) => {
+                      setSlip(Number(e.target.value));
+                      restart();
+                    }}
+                    className="w-full accent-cyan-500"
+                  />
+                  <p className="text-xs text-slate-500 mt-1">
+                    {slip === 0
+                      ? 'Deterministic moves'
+                      : `${Math.round((1 - slip) * 100)}% intended, ${Math.round(slip * 50)}% each perpendicular`}
+                  </p>
+                </div>
+                <div>
+                  <div className="flex justify-between mb-1">
+                    <span className="text-slate-400">Evaluation per Iteration:</span>
+                    <span className="text-cyan-400 font-semibold">{evalDepthLabel(evalDepth)}</span>
+                  </div>
+                  <div className="flex flex-wrap gap-1">
+                    {EVAL_DEPTHS.map(depth => (
+                      <button
+                        key={depth}
+                        onClick={() => {
+                          setEvalDepth(depth);
+                          reset();
+                        }}
+                        className={`px-2 py-1 rounded-lg text-xs border transition-all ${
+                          evalDepth === depth
+                            ? 'bg-cyan-500/20 text-cyan-400 border-cyan-500/50'
+                            : 'bg-slate-800/50 text-slate-400 border-slate-700 hover:bg-slate-700'
+                        }`}
+                      >
+                        {depth === 'full' ? '∞' : depth === 'exact' ? 'Exact' : depth}
+                      </button>
+                    ))}
+                  </div>
+                  <p className="text-xs text-slate-500 mt-1">
+                    {evalDepth === 'exact' && 'Solves (I − γP_π)V = R_π, no sweeps'}
+                    {evalDepth === 'full' && 'Sweeps until Δ < θ (policy iteration)'}
+                    {evalDepth === '1' && 'One sweep, then improve (value iteration)'}
+                    {!['exact', 'full', '1'].includes(evalDepth) && `At most ${evalDepth} sweeps, then improve (modified policy iteration)`}
+                  </p>
+                </div>
+                <div className="flex gap-2 pt-2">
+                  <button
+                    onClick={() => downloadEnvironment(env, { gamma, slip }, 'policy-iteration.json')}
+                    className="flex-1 px-3 py-2 rounded-lg bg-slate-700/50 text-slate-300 border border-slate-600 hover:bg-slate-700 transition-all"
+                  >
+                    ⬇ Export
+                  </button>
+                  <button
+                    onClick={environmentImport.open}
+                    className="flex-1 px-3 py-2 rounded-lg bg-slate-700/50 text-slate-300 border border-slate-600 hover:bg-slate-700 transition-all"
+                  >
+                    ⬆ Import
+                  </button>
+                  <input
+                    ref={environmentImport.inputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={environmentImport.onChange}
+                    className="hidden"
+                  />
+                </div>
+                {environmentImport.error && (
+                  <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/40 text-red-300 text-xs whitespace-pre-line">
+                    {environmentImport.error}
+                    <button onClick={environmentImport.clearError} className="block mt-2 text-red-400 hover:text-red-300">
+                      Dismiss
+                    </button>
+                  </div>
+                )}
               </div>
             </div>
 
             <div className="bg-slate-900/50 rounded-2xl p-6 border border-slate-800 max-h-64 overflow-y-auto">
               <h3 className="font-display text-lg font-semibold text-slate-200 mb-4">Activity Log</h3>
               <div className="space-y-2 text-xs">
+                {runs.length > 0 && (
+                  <table className="w-full mb-3 text-slate-300">
+                    <thead>
+                      <tr className="text-slate-500 text-right">
+                        <th className="text-left font-normal">Evaluation</th>
+                        <th className="text-left font-normal">Start</th>
+                        <th className="font-normal">Improvements</th>
+                        <th className="font-normal">Sweeps</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {runs.map((run, i) => (
+                        <tr key={i} className="text-right">
+                          <td className="text-left">{evalDepthLabel(run.evalDepth)}</td>
+                          <td className="text-left">{run.start}</td>
+                          <td>{run.improvements}</td>
+                          <td>{run.evalDepth === 'exact' ? `${run.solves} solves` : run.sweeps}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
                 {history.length === 0 && (
                   <p className="text-slate-500 italic">Press "Auto Run" or "Step" to begin...</p>
                 )}
@@ -462,19 +797,25 @@ export default function PolicyIterationViz() {
                   <div key={i} className={`p-2 rounded-lg ${
                     entry.type === 'done' ? 'bg-emerald-500/10 text-emerald-400' :
                     entry.type === 'improved' ? 'bg-purple-500/10 text-purple-400' :
-                    entry.type === 'eval_done' ? 'bg-blue-500/10 text-blue-400' :
+                    entry.type === 'eval_done' || entry.type === 'eval_exact' ? 'bg-blue-500/10 text-blue-400' :
                     'bg-slate-800/50 text-slate-400'
                   }`}>
                     {entry.type === 'start_eval' && `▶ Starting iteration ${entry.iteration}`}
-                    {entry.type === 'eval_done' && `✓ Evaluation converged in ${entry.sweeps} sweeps`}
+                    {entry.type === 'eval_done' && (entry.converged
+                      ? `✓ Evaluation converged in ${entry.sweeps} sweeps`
+                      : `✓ Evaluation stopped after ${entry.sweeps} sweeps (Δ = ${entry.delta.toFixed(4)})`)}
+                    {entry.type === 'eval_exact' && '✓ Evaluation solved exactly'}
                     {entry.type === 'improved' && '↻ Policy improved, continuing...'}
-                    {entry.type === 'done' && '★ Optimal policy found!'}
+                    {entry.type === 'unchanged' && '= Policy unchanged, values not converged yet...'}
+                    {entry.type === 'done' && `★ Optimal policy found after ${entry.improvements} improvements, ${
+                      entry.sweeps > 0 ? `${entry.sweeps} sweeps` : `${entry.solves} solves`
+                    }`}
                   </div>
                 ))}
               </div>
             </div>
 
-            {highlightedCell && (
+            {hovered !== null && (
               <div className="bg-slate-900/50 rounded-2xl p-6 border border-cyan-500/30">
                 <h3 className="font-display text-lg font-semibold text-cyan-400 mb-3">
                   Cell ({highlightedCell.x}, {highlightedCell.y})
@@ -482,24 +823,59 @@ export default function PolicyIterationViz() {
                 <div className="space-y-2 text-sm">
                   <div className="flex justify-between">
                     <span className="text-slate-400">Type:</span>
-                    <span className="text-slate-200 capitalize">{grid[highlightedCell.y][highlightedCell.x]}</span>
+                    <span className="text-slate-200 capitalize">{env.cells[hovered].type}</span>
                   </div>
                   <div className="flex justify-between">
                     <span className="text-slate-400">Value:</span>
-                    <span className="text-slate-200">{values[highlightedCell.y][highlightedCell.x].toFixed(4)}</span>
+                    <span className="text-slate-200">{values[hovered].toFixed(4)}</span>
                   </div>
                   <div className="flex justify-between">
                     <span className="text-slate-400">Policy:</span>
-                    <span className="text-slate-200">{ACTIONS[policy[highlightedCell.y][highlightedCell.x]].name} {ACTIONS[policy[highlightedCell.y][highlightedCell.x]].arrow}</span>
+                    <span className="text-slate-200">{ACTIONS[policy[hovered]].name} {ACTIONS[policy[hovered]].arrow}</span>
                   </div>
                 </div>
+                {!env.cells[hovered].terminal && env.cells[hovered].type !== 'wall' && (
+                  <div className="mt-4">
+                    <div className="text-xs text-slate-400 mb-2">Successors under π(s)</div>
+                    <table className="w-full text-xs">
+                      <thead>
+                        <tr className="text-slate-500 text-right">
+                          <th className="text-left font-normal">s'</th>
+                          <th className="font-normal">P</th>
+                          <th className="font-normal">R(s')</th>
+                          <th className="font-normal">V(s')</th>
+                          <th className="font-normal">P·[R+γV]</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {getTransitions(env, hovered, policy[hovered], slip).map(({ state, prob, reward }) => (
+                          <tr key={state} className="text-right text-slate-300">
+                            <td className="text-left">({env.cells[state].x}, {env.cells[state].y})</td>
+                            <td>{prob.toFixed(2)}</td>
+                            <td>{reward}</td>
+                            <td>{values[state].toFixed(2)}</td>
+                            <td className="text-cyan-400">
+                              {(prob * (reward + gamma * values[state])).toFixed(3)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <div className="mt-2 text-xs text-slate-400 flex justify-between">
+                      <span>Q(s, π(s)):</span>
+                      <span className="text-cyan-400 font-semibold">
+                        {getActionValue(env, values, hovered, policy[hovered], gamma, slip).toFixed(4)}
+                      </span>
+                    </div>
+                  </div>
+                )}
               </div>
             )}
           </div>
         </div>
 
         <footer className="mt-8 text-center text-slate-500 text-sm">
-          <p>Hover over cells to see details • γ = {GAMMA} (discount factor) • θ = {THETA} (convergence threshold)</p>
+          <p>Hover over cells to see details • γ = {gamma} (discount factor) • θ = {theta} (convergence threshold)</p>
         </footer>
       </div>
     </div>
@@ -1,201 +1,482 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { ComposedChart, LineChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { createRng, createStream, DEFAULT_SEED } from '../lib/math';
+import { ACTIONS, createGridworld, parseEnvironment, sampleStep, serializeEnvironment } from '../lib/gridworld';
+import {
+  TD_ALGORITHMS, EPSILON_SCHEDULES, STEP_SIZES, TRACE_TYPES, createLearner, actionValues, greedyAction,
+  epsilonGreedyAction, choosesNextAction, scheduledEpsilon, runEpisodes,
+} from '../lib/tdLearning';
+import { downloadEnvironment, useEnvironmentImport } from '../lib/environmentFile';
+import {
+  readUrlState, useUrlStateSync, parseNumber, parseEnum, parseBoolean, formatNumber, formatBoolean,
+} from '../lib/urlState';
 
-const GRID_SIZE = 4;
-const ACTIONS = ['↑', '→', '↓', '←'];
-const ACTION_DELTAS = { '↑': [-1, 0], '→': [0, 1], '↓': [1, 0], '←': [0, -1] };
+const ENVIRONMENT = createGridworld({
+  layout: [
+    '...G',
+    '.PP.',
+    '....',
+    'S...',
+  ],
+  rewards: { empty: -0.1, start: -0.1, goal: 10, pit: -5 },
+  // Danger cells only cost reward; the episode ends at the goal
+  terminals: [{ x: 3, y: 0 }],
+});
 
-const initialQTable = () => {
-  const q = {};
-  for (let r = 0; r < GRID_SIZE; r++) {
-    for (let c = 0; c < GRID_SIZE; c++) {
-      q[`${r},${c}`] = { '↑': 0, '→': 0, '↓': 0, '←': 0 };
-    }
-  }
-  return q;
+// Sutton & Barto's Cliff Walking: −1 per step, and stepping off the cliff costs −100 and
+// restarts from S. SARSA learns the safe path, Q-learning the optimal edge it keeps falling off.
+const CLIFF_WALKING = createGridworld({
+  layout: [
+    '............',
+    '............',
+    '............',
+    'SPPPPPPPPPPG',
+  ],
+  rewards: { empty: -1, start: -1, goal: -1, pit: -100 },
+  terminals: [{ x: 11, y: 3 }],
+  resets: Array.from({ length: 10 }, (_, i) => ({ x: i + 1, y: 3 })),
+  gamma: 1,
+});
+
+const PRESETS = {
+  danger: { label: '4×4 Danger Zones', env: ENVIRONMENT },
+  cliff: { label: 'Cliff Walking 4×12', env: CLIFF_WALKING },
+};
+
+const formatReward = (r) => `${r > 0 ? '+' : ''}${r}`;
+
+const formatState = (env, s) => `${env.cells[s].x},${env.cells[s].y}`;
+
+const ALGORITHM_IDS = Object.keys(TD_ALGORITHMS);
+const MIN_COMPARED = 2;
+const MAX_COMPARED = 3;
+const MAX_N_STEPS = 8;
+
+// Headless benchmark settings
+const BENCHMARK_EPISODES = [100, 200, 500];
+const BENCHMARK_RUNS = [5, 10, 20, 30];
+const SMOOTHING_WINDOWS = [1, 5, 10, 20];
+
+const EPSILON_SCHEDULE_LABELS = {
+  constant: 'Constant',
+  linear: 'Linear decay',
+  exponential: 'Exponential decay',
+  glie: 'GLIE (ε / episode)',
 };
+const STEP_SIZE_LABELS = {
+  constant: 'Constant α',
+  visits: '1 / N(s, a)',
+};
+const MIN_DECAY_STEPS = 100;
+const MAX_DECAY_STEPS = 5000;
+const GLIE_CHART_EPISODES = 50;
+const STEP_SIZE_CHART_VISITS = 20;
 
-const getReward = (row, col) => {
-  if (row === 0 && col === GRID_SIZE - 1) return 10; // Goal
-  if (row === 1 && (col === 1 || col === 2)) return -5; // Danger
-  return -0.1; // Step cost
+const TRACE_TYPE_LABELS = {
+  accumulating: 'Accumulating',
+  replacing: 'Replacing',
 };
 
-const isGoal = (row, col) => row === 0 && col === GRID_SIZE - 1;
-const isDanger = (row, col) => row === 1 && (col === 1 || col === 2);
+// Alternate renderings of each grid's Q table
+const CELL_VIEWS = {
+  numbers: 'Q values',
+  heatmap: 'max Q heatmap',
+  policy: 'Greedy policy',
+  triangles: 'Q per action',
+};
 
-const clamp = (val, min, max) => Math.max(min, Math.min(max, val));
+// One triangle per action in a 100×100 cell, meeting in the centre
+const TRIANGLES = {
+  up: '0,0 100,0 50,50',
+  right: '100,0 100,100 50,50',
+  down: '0,100 100,100 50,50',
+  left: '0,0 0,100 50,50',
+};
 
-const getNextState = (row, col, action) => {
-  const [dr, dc] = ACTION_DELTAS[action];
-  return [clamp(row + dr, 0, GRID_SIZE - 1), clamp(col + dc, 0, GRID_SIZE - 1)];
+// Red (low) to green (high) on a scale shared by every panel
+const valueColor = (value, { low, high }) => {
+  const normalized = high > low ? (value - low) / (high - low) : 0.5;
+  return `hsl(${normalized * 120}, 65%, ${25 + normalized * 12}%)`;
 };
 
-const getMaxAction = (qTable, state) => {
-  const actions = qTable[state];
-  let maxA = '↑', maxV = -Infinity;
-  for (const a of ACTIONS) {
-    if (actions[a] > maxV) { maxV = actions[a]; maxA = a; }
-  }
-  return maxA;
+// Diverging: green where the first table is higher, red where it is lower
+const diffColor = (diff, maxAbs) => {
+  const normalized = maxAbs > 0 ? diff / maxAbs : 0;
+  if (normalized === 0) return 'rgba(100, 116, 139, 0.2)';
+  return normalized > 0
+    ? `rgba(34, 197, 94, ${normalized * 0.8 + 0.1})`
+    : `rgba(239, 68, 68, ${-normalized * 0.8 + 0.1})`;
 };
 
-const getEpsilonGreedyAction = (qTable, state, epsilon = 0.3) => {
-  if (Math.random() < epsilon) {
-    return ACTIONS[Math.floor(Math.random() * ACTIONS.length)];
+// Cells whose Q-values are ever updated: terminals and cells that send the agent back never are
+const isValued = (cell) => cell.type !== 'wall' && !cell.terminal && !cell.reset;
+
+// Presentation of each algorithm; colour classes are spelled out so Tailwind keeps them
+const ALGORITHM_VIEWS = {
+  sarsa: {
+    dot: 'bg-orange-500', title: 'text-orange-400', badge: 'bg-orange-600/30 text-orange-300',
+    border: 'border-orange-500/30', accent: 'bg-orange-500', chip: 'bg-orange-600',
+    insight: 'bg-orange-900/40 border-orange-400', insightTitle: 'text-orange-300',
+    formula: 'bg-orange-950/50 border-orange-500/50', stroke: '#f97316',
+    description: <>Uses the <span className="text-orange-400 font-bold">actual next action a'</span> that will be taken
+      (sampled from the same ε-greedy policy). Learns Q<sup>π</sup> — the value of the policy being followed.</>,
+    keyTarget: "Q(s', a')",
+    keyNote: 'where a\' is the action we WILL actually take next',
+    legend: "a' (next action)",
+    why: 'accounts for exploration mistakes — it learns the value including the risk of ε-greedy exploration.',
+  },
+  qlearning: {
+    dot: 'bg-purple-500', title: 'text-purple-400', badge: 'bg-purple-600/30 text-purple-300',
+    border: 'border-purple-500/30', accent: 'bg-purple-500', chip: 'bg-purple-600',
+    insight: 'bg-purple-900/40 border-purple-400', insightTitle: 'text-purple-300',
+    formula: 'bg-purple-950/50 border-purple-500/50', stroke: '#a855f7',
+    description: <>Uses <span className="text-purple-400 font-bold">max over all actions</span> regardless of what
+      action will actually be taken. Learns Q* — the optimal value function.</>,
+    keyTarget: "max Q(s', a)",
+    keyNote: "regardless of what action we'll actually take",
+    legend: 'max action',
+    why: 'assumes optimal future behavior — it can learn from any data but may underestimate danger.',
+  },
+  expectedSarsa: {
+    dot: 'bg-teal-500', title: 'text-teal-400', badge: 'bg-teal-600/30 text-teal-300',
+    border: 'border-teal-500/30', accent: 'bg-teal-500', chip: 'bg-teal-600',
+    insight: 'bg-teal-900/40 border-teal-400', insightTitle: 'text-teal-300',
+    formula: 'bg-teal-950/50 border-teal-500/50', stroke: '#14b8a6',
+    description: <>Averages over <span className="text-teal-400 font-bold">every next action, weighted by π</span> instead
+      of sampling one. Same fixed point as SARSA, without the noise of the sampled a'.</>,
+    keyTarget: "Σ π(a|s')·Q(s', a)",
+    keyNote: 'the expected value of s\' under the ε-greedy policy',
+    legend: null,
+    why: 'removes the variance of sampling a\', so it tolerates larger step sizes than SARSA.',
+  },
+  nStepSarsa: {
+    dot: 'bg-pink-500', title: 'text-pink-400', badge: 'bg-pink-600/30 text-pink-300',
+    border: 'border-pink-500/30', accent: 'bg-pink-500', chip: 'bg-pink-600',
+    insight: 'bg-pink-900/40 border-pink-400', insightTitle: 'text-pink-300',
+    formula: 'bg-pink-950/50 border-pink-500/50', stroke: '#ec4899',
+    description: <>Waits for <span className="text-pink-400 font-bold">n real rewards</span> before bootstrapping, then
+      updates the state-action pair from n steps ago. n = 1 is SARSA; large n approaches Monte Carlo.</>,
+    keyTarget: "r + γr' + … + γⁿQ(sₙ, aₙ)",
+    keyNote: 'rewards propagate n cells per update instead of one',
+    legend: "aₙ (bootstrap action)",
+    why: 'trades bias for variance: longer returns carry reward back faster but are noisier.',
+  },
+  doubleQ: {
+    dot: 'bg-sky-500', title: 'text-sky-400', badge: 'bg-sky-600/30 text-sky-300',
+    border: 'border-sky-500/30', accent: 'bg-sky-500', chip: 'bg-sky-600',
+    insight: 'bg-sky-900/40 border-sky-400', insightTitle: 'text-sky-300',
+    formula: 'bg-sky-950/50 border-sky-500/50', stroke: '#0ea5e9',
+    description: <>Keeps <span className="text-sky-400 font-bold">two Q tables</span>: one picks the best next action,
+      the other scores it. The grid shows their mean, which the agent also acts on.</>,
+    keyTarget: "Q_B(s', argmax Q_A(s', a))",
+    keyNote: 'a coin flip decides which table is updated',
+    legend: 'selected a*',
+    why: 'decouples choosing from evaluating, removing the maximisation bias of max over noisy estimates.',
+  },
+  sarsaLambda: {
+    dot: 'bg-lime-500', title: 'text-lime-400', badge: 'bg-lime-600/30 text-lime-300',
+    border: 'border-lime-500/30', accent: 'bg-lime-500', chip: 'bg-lime-600',
+    insight: 'bg-lime-900/40 border-lime-400', insightTitle: 'text-lime-300',
+    formula: 'bg-lime-950/50 border-lime-500/50', stroke: '#84cc16',
+    description: <>Remembers <span className="text-lime-400 font-bold">recently visited pairs</span> in eligibility
+      traces and updates all of them with each TD error. λ = 0 is SARSA; λ = 1 approaches Monte Carlo.</>,
+    keyTarget: "Q(s', a')",
+    keyNote: 'every traced pair moves by α·δ·e(s, a), then the traces fade by γλ',
+    legend: "a' (next action)",
+    why: 'sends each reward back along the whole recent path at once instead of one step per visit.',
+  },
+  watkinsQ: {
+    dot: 'bg-indigo-500', title: 'text-indigo-400', badge: 'bg-indigo-600/30 text-indigo-300',
+    border: 'border-indigo-500/30', accent: 'bg-indigo-500', chip: 'bg-indigo-600',
+    insight: 'bg-indigo-900/40 border-indigo-400', insightTitle: 'text-indigo-300',
+    formula: 'bg-indigo-950/50 border-indigo-500/50', stroke: '#6366f1',
+    description: <>Q-learning with eligibility traces. Traces only describe the greedy policy, so they are <span
+      className="text-indigo-400 font-bold">cut to zero after an exploratory action</span>.</>,
+    keyTarget: "max Q(s', a)",
+    keyNote: "traces survive only while a' is greedy",
+    legend: 'max action',
+    why: 'learns Q* with traces, but every exploratory step cuts them, so with much exploration it is little faster than Q-learning.',
+  },
+};
+
+const parseAlgorithms = (raw) => {
+  if (raw === null) return undefined;
+  const ids = [...new Set(raw.split('_'))].filter(id => ALGORITHM_IDS.includes(id));
+  return ids.length >= MIN_COMPARED && ids.length <= MAX_COMPARED ? ids : undefined;
+};
+
+// Per-episode mean return over runs with a 95% confidence band, after a trailing moving average
+const summarizeRuns = (runs, window) => {
+  const smoothed = runs.map(returns => returns.map((_, e) => {
+    const recent = returns.slice(Math.max(0, e - window + 1), e + 1);
+    return recent.reduce((sum, r) => sum + r, 0) / recent.length;
+  }));
+  return smoothed[0].map((_, e) => {
+    const values = smoothed.map(returns => returns[e]);
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / Math.max(1, values.length - 1);
+    const halfWidth = 1.96 * Math.sqrt(variance / values.length);
+    return { mean, low: mean - halfWidth, high: mean + halfWidth };
+  });
+};
+
+// Imported environment from its file contents in the link; undefined when missing or invalid
+const decodeEnvironment = (raw) => {
+  if (!raw) return undefined;
+  try {
+    return parseEnvironment(raw);
+  } catch {
+    return undefined;
   }
-  return getMaxAction(qTable, state);
 };
 
+// Shareable configuration (see lib/urlState). A preset is linked by id, an imported environment
+// by its whole file.
+const URL_STATE = {
+  version: 1,
+  encode: (state) => ({
+    seed: String(state.seed),
+    algorithms: state.algorithms.join('_'),
+    n: String(state.n),
+    alpha: formatNumber(state.alpha),
+    gamma: formatNumber(state.gamma),
+    eps: formatNumber(state.epsilon),
+    epsSchedule: state.epsilonSchedule,
+    epsMin: formatNumber(state.epsilonMin),
+    decay: String(state.decaySteps),
+    stepSize: state.stepSize,
+    lambda: formatNumber(state.lambda),
+    traces: state.traceType,
+    cells: state.cellView,
+    diff: formatBoolean(state.showDiff),
+    ...(state.preset
+      ? { map: state.preset }
+      : { env: JSON.stringify(serializeEnvironment(state.env, { gamma: state.gamma })) }),
+  }),
+  decode: (params) => ({
+    seed: parseNumber(params.get('seed'), { integer: true }),
+    preset: parseEnum(params.get('map'), Object.keys(PRESETS)),
+    spec: decodeEnvironment(params.get('env')),
+    algorithms: parseAlgorithms(params.get('algorithms')),
+    n: parseNumber(params.get('n'), { min: 1, max: MAX_N_STEPS, integer: true }),
+    alpha: parseNumber(params.get('alpha'), { min: 0.01, max: 1 }),
+    gamma: parseNumber(params.get('gamma'), { min: 0, max: 1 }),
+    epsilon: parseNumber(params.get('eps'), { min: 0, max: 1 }),
+    epsilonSchedule: parseEnum(params.get('epsSchedule'), EPSILON_SCHEDULES),
+    epsilonMin: parseNumber(params.get('epsMin'), { min: 0.01, max: 0.5 }),
+    decaySteps: parseNumber(params.get('decay'), { min: MIN_DECAY_STEPS, max: MAX_DECAY_STEPS, integer: true }),
+    stepSize: parseEnum(params.get('stepSize'), STEP_SIZES),
+    lambda: parseNumber(params.get('lambda'), { min: 0, max: 1 }),
+    traceType: parseEnum(params.get('traces'), TRACE_TYPES),
+    cellView: parseEnum(params.get('cells'), Object.keys(CELL_VIEWS)),
+    showDiff: parseBoolean(params.get('diff')),
+  }),
+};
+
+// Per-algorithm runtime state: the learner, where its agent is in the current step, and its
+// own episode bookkeeping (each agent restarts as soon as it reaches a terminal state). `steps`
+// counts every step across episodes and drives the ε schedule.
+const createAgent = (id, env) => ({
+  learner: createLearner(TD_ALGORITHMS[id], env),
+  position: env.start,
+  action: null,
+  pendingAction: null,
+  info: null,
+  episode: 1,
+  steps: 0,
+  episodeSteps: 0,
+  episodeReturn: 0,
+  history: [], // finished episodes: { episode, length, return }
+});
+
+const PHASE_LABELS = {
+  idle: 'Ready',
+  action: 'Choose Action',
+  nextState: 'Observe Next',
+  update: 'Update Q',
+};
+
+// Oldest frames are dropped beyond either limit, so very long runs cannot exhaust memory. The
+// size is an estimate in stored numbers (see frameSize); a million is roughly 30 MB of heap.
+const MAX_FRAMES = 20000;
+const MAX_TIMELINE_SIZE = 2000000;
+
+// A frame is everything on screen after one phase transition. Frames are never mutated and share
+// every Q, visit and trace row they did not change, but a λ method still copies the rows of all
+// traced pairs on each step, so frames are counted by what they add rather than by number alone.
+const createFrame = (algorithms, env) => ({
+  step: 0,
+  phase: 'idle', // idle, action, nextState, update
+  agents: algorithms.map(id => createAgent(id, env)), // one per compared algorithm, in order
+  size: 0,
+});
+
+// Fields of an update description, counted as numbers
+const UPDATE_SIZE = 12;
+
+const newRows = (rows, previousRows) => rows.reduce((n, row, s) => n + (row === previousRows?.[s] ? 0 : row.length), 0);
+
+// Rough count of the numbers a frame adds to the one before it: the learner rows an update did
+// not share, its update descriptions and a copied episode history
+const frameSize = (frame, previous) => frame.agents.reduce((size, agent, i) => {
+  const before = previous.agents[i];
+  let added = 0;
+  if (agent.info && agent.info !== before.info) {
+    const { learner, updates } = agent.info;
+    added += updates.length * UPDATE_SIZE;
+    learner.tables.forEach((table, k) => { added += newRows(table, agent.learner.tables[k]); });
+    learner.visits.forEach((visits, k) => { added += newRows(visits, agent.learner.visits[k]); });
+    if (learner.traces) added += newRows(learner.traces, agent.learner.traces);
+  }
+  if (agent.history !== before.history) added += agent.history.length * 3;
+  return size + added;
+}, 0);
+
 export default function RLVisualization() {
-  const [step, setStep] = useState(0);
+  const [initial] = useState(() => readUrlState(URL_STATE));
   const [isPlaying, setIsPlaying] = useState(false);
   const [speed, setSpeed] = useState(800);
-  const [episode, setEpisode] = useState(1);
-  
-  // Separate states for each algorithm
-  const [sarsaState, setSarsaState] = useState({ row: GRID_SIZE - 1, col: 0 });
-  const [qLearningState, setQLearningState] = useState({ row: GRID_SIZE - 1, col: 0 });
-  
-  const [sarsaQ, setSarsaQ] = useState(initialQTable);
-  const [qLearningQ, setQLearningQ] = useState(initialQTable);
-  
-  const [sarsaHighlight, setSarsaHighlight] = useState(null);
-  const [qLearningHighlight, setQLearningHighlight] = useState(null);
-  
-  const [sarsaAction, setSarsaAction] = useState(null);
-  const [sarsaNextAction, setSarsaNextAction] = useState(null);
-  const [qLearningAction, setQLearningAction] = useState(null);
-  const [qLearningMaxAction, setQLearningMaxAction] = useState(null);
+  const [seed, setSeed] = useState(initial.seed ?? DEFAULT_SEED);
+  const rngRef = useRef(createRng(seed));
+  // Preset id, or null for an imported environment
+  const [preset, setPreset] = useState(initial.preset ?? (initial.spec ? null : 'danger'));
+  const [env, setEnv] = useState(() => (preset ? PRESETS[preset].env : createGridworld(initial.spec)));
+  const [algorithms, setAlgorithms] = useState(initial.algorithms ?? ['sarsa', 'qlearning']);
+  const [n, setN] = useState(initial.n ?? 3);
+  const [alpha, setAlpha] = useState(initial.alpha ?? 0.5);
+  const [gamma, setGamma] = useState(initial.gamma ?? env.gamma);
+  const [epsilon, setEpsilon] = useState(initial.epsilon ?? 0.3);
+  const [epsilonSchedule, setEpsilonSchedule] = useState(initial.epsilonSchedule ?? 'constant');
+  const [epsilonMin, setEpsilonMin] = useState(initial.epsilonMin ?? 0.01);
+  const [decaySteps, setDecaySteps] = useState(initial.decaySteps ?? 1000);
+  const [stepSize, setStepSize] = useState(initial.stepSize ?? 'constant');
+  const [lambda, setLambda] = useState(initial.lambda ?? 0.8);
+  const [traceType, setTraceType] = useState(initial.traceType ?? 'accumulating');
+  const [cellView, setCellView] = useState(initial.cellView ?? 'numbers');
+  const [showDiff, setShowDiff] = useState(initial.showDiff ?? false);
+
+  const [benchmarkEpisodes, setBenchmarkEpisodes] = useState(200);
+  const [benchmarkRuns, setBenchmarkRuns] = useState(10);
+  const [smoothing, setSmoothing] = useState(10);
+  const [benchmark, setBenchmark] = useState(null);
+  // { done, total } runs while the benchmark is in progress
+  const [benchmarkProgress, setBenchmarkProgress] = useState(null);
+  const benchmarkTimerRef = useRef(null);
+
+  useUrlStateSync(URL_STATE, {
+    seed, algorithms, n, preset, env, alpha, gamma, epsilon, epsilonSchedule, epsilonMin, decaySteps, stepSize, lambda, traceType,
+    cellView, showDiff,
+  });
   
-  const [updatePhase, setUpdatePhase] = useState('idle'); // idle, action, nextState, update
-  const [sarsaUpdateInfo, setSarsaUpdateInfo] = useState(null);
-  const [qLearningUpdateInfo, setQLearningUpdateInfo] = useState(null);
-
-  const alpha = 0.5;
-  const gamma = 0.9;
-  const epsilon = 0.3;
-
-  const resetEpisode = useCallback(() => {
-    setSarsaState({ row: GRID_SIZE - 1, col: 0 });
-    setQLearningState({ row: GRID_SIZE - 1, col: 0 });
-    setSarsaAction(null);
-    setSarsaNextAction(null);
-    setQLearningAction(null);
-    setQLearningMaxAction(null);
-    setSarsaHighlight(null);
-    setQLearningHighlight(null);
-    setUpdatePhase('idle');
-    setSarsaUpdateInfo(null);
-    setQLearningUpdateInfo(null);
-  }, []);
+  // Every frame since the last reset; `position` is the one on screen, which can be scrubbed back
+  const [timeline, setTimeline] = useState(() => ({ frames: [createFrame(algorithms, env)], position: 0, size: 0 }));
+  const { step, phase: updatePhase, agents } = timeline.frames[timeline.position];
+  const isLive = timeline.position === timeline.frames.length - 1;
+  const [jump, setJump] = useState({ agent: 0, episode: 1, step: 0, error: null });
 
+  // Changes take effect from the next step; epsilon here is the schedule's starting value
+  const params = { alpha, gamma, epsilon, n, lambda, traceType, epsilonSchedule, epsilonMin, decaySteps, stepSize };
+  const agentParams = (agent) => ({ ...params, epsilon: scheduledEpsilon(params, agent.steps, agent.episode) });
+
+  // Steps through recorded frames while scrubbed back; only the newest frame advances the simulation
   const performStep = useCallback(() => {
-    const sState = `${sarsaState.row},${sarsaState.col}`;
-    const qState = `${qLearningState.row},${qLearningState.col}`;
-    
-    // Check if either agent reached goal
-    if (isGoal(sarsaState.row, sarsaState.col) && isGoal(qLearningState.row, qLearningState.col)) {
-      setEpisode(e => e + 1);
-      resetEpisode();
+    if (!isLive) {
+      setTimeline({ ...timeline, position: timeline.position + 1 });
       return;
     }
+    const random = rngRef.current;
+    let next;
 
     if (updatePhase === 'idle') {
-      // Phase 1: Choose actions
-      const sAction = getEpsilonGreedyAction(sarsaQ, sState, epsilon);
-      const qAction = getEpsilonGreedyAction(qLearningQ, qState, epsilon);
-      setSarsaAction(sAction);
-      setQLearningAction(qAction);
-      setUpdatePhase('action');
+      // Phase 1: Choose actions. On-policy methods already committed to theirs in the last step.
+      next = {
+        step,
+        phase: 'action',
+        agents: agents.map(agent => ({
+          ...agent,
+          action: agent.pendingAction ?? epsilonGreedyAction(actionValues(agent.learner)[agent.position], agentParams(agent).epsilon, random),
+        })),
+      };
       
     } else if (updatePhase === 'action') {
-      // Phase 2: Execute actions, observe next state
-      const [sNextRow, sNextCol] = getNextState(sarsaState.row, sarsaState.col, sarsaAction);
-      const [qNextRow, qNextCol] = getNextState(qLearningState.row, qLearningState.col, qLearningAction);
-      
-      const sNextState = `${sNextRow},${sNextCol}`;
-      const qNextState = `${qNextRow},${qNextCol}`;
-      
-      // SARSA: choose next action (ON-POLICY - this is what we'll actually do!)
-      const sNextAction = getEpsilonGreedyAction(sarsaQ, sNextState, epsilon);
-      setSarsaNextAction(sNextAction);
-      
-      // Q-Learning: find max action (OFF-POLICY - we won't necessarily do this!)
-      const qMaxAction = getMaxAction(qLearningQ, qNextState);
-      setQLearningMaxAction(qMaxAction);
-      
-      setSarsaHighlight({ row: sNextRow, col: sNextCol });
-      setQLearningHighlight({ row: qNextRow, col: qNextCol });
-      
-      // Prepare update info
-      const sReward = getReward(sNextRow, sNextCol);
-      const qReward = getReward(qNextRow, qNextCol);
-      
-      setSarsaUpdateInfo({
-        state: sState,
-        action: sarsaAction,
-        reward: sReward,
-        nextState: sNextState,
-        nextAction: sNextAction,
-        nextQ: sarsaQ[sNextState][sNextAction],
-        oldQ: sarsaQ[sState][sarsaAction]
-      });
-      
-      setQLearningUpdateInfo({
-        state: qState,
-        action: qLearningAction,
-        reward: qReward,
-        nextState: qNextState,
-        maxAction: qMaxAction,
-        maxQ: qLearningQ[qNextState][qMaxAction],
-        oldQ: qLearningQ[qState][qLearningAction]
-      });
-      
-      setUpdatePhase('nextState');
+      // Phase 2: Execute actions, observe next state, and work out each algorithm's update
+      next = {
+        step,
+        phase: 'nextState',
+        agents: agents.map((agent, i) => {
+          const algorithm = TD_ALGORITHMS[algorithms[i]];
+          const stepParams = agentParams(agent);
+          const { state: nextState, reward, done } = sampleStep(env, agent.position, agent.action, random);
+          // On-policy (and Watkins's Q(λ)): choose a' now; it is used by the update and taken next
+          const nextAction = choosesNextAction(algorithm)
+            ? epsilonGreedyAction(actionValues(agent.learner)[nextState], stepParams.epsilon, random)
+            : null;
+          const transition = { state: agent.position, action: agent.action, reward, nextState, done };
+          const { learner, updates, tracesCut } = algorithm.update(agent.learner, transition, nextAction, stepParams, random);
+          return { ...agent, info: { transition, nextAction, updates, tracesCut, learner, params: stepParams } };
+        }),
+      };
       
     } else if (updatePhase === 'nextState') {
       // Phase 3: Update Q-values
-      if (sarsaUpdateInfo && qLearningUpdateInfo) {
-        // SARSA Update
-        setSarsaQ(prev => {
-          const newQ = JSON.parse(JSON.stringify(prev));
-          const { state, action, reward, nextQ, oldQ } = sarsaUpdateInfo;
-          newQ[state][action] = oldQ + alpha * (reward + gamma * nextQ - oldQ);
-          return newQ;
-        });
-        
-        // Q-Learning Update
-        setQLearningQ(prev => {
-          const newQ = JSON.parse(JSON.stringify(prev));
-          const { state, action, reward, maxQ, oldQ } = qLearningUpdateInfo;
-          newQ[state][action] = oldQ + alpha * (reward + gamma * maxQ - oldQ);
-          return newQ;
-        });
-      }
-      
-      setUpdatePhase('update');
+      next = { step, phase: 'update', agents: agents.map(agent => ({ ...agent, learner: agent.info.learner })) };
       
     } else if (updatePhase === 'update') {
-      // Phase 4: Move to next state
-      const [sNextRow, sNextCol] = getNextState(sarsaState.row, sarsaState.col, sarsaAction);
-      const [qNextRow, qNextCol] = getNextState(qLearningState.row, qLearningState.col, qLearningAction);
-      
-      setSarsaState({ row: sNextRow, col: sNextCol });
-      setQLearningState({ row: qNextRow, col: qNextCol });
-      
-      setSarsaAction(null);
-      setSarsaNextAction(null);
-      setQLearningAction(null);
-      setQLearningMaxAction(null);
-      setSarsaHighlight(null);
-      setQLearningHighlight(null);
-      setSarsaUpdateInfo(null);
-      setQLearningUpdateInfo(null);
-      setUpdatePhase('idle');
-      setStep(s => s + 1);
+      // Phase 4: Move to next state; an agent that reached a terminal state logs its episode and restarts
+      next = {
+        step: step + 1,
+        phase: 'idle',
+        agents: agents.map(agent => {
+          const { transition, nextAction } = agent.info;
+          const episodeSteps = agent.episodeSteps + 1;
+          const episodeReturn = agent.episodeReturn + transition.reward;
+          const moved = { ...agent, action: null, info: null, steps: agent.steps + 1 };
+          if (!transition.done) {
+            return { ...moved, position: transition.nextState, pendingAction: nextAction, episodeSteps, episodeReturn };
+          }
+          return {
+            ...moved,
+            position: env.start,
+            pendingAction: null,
+            episode: agent.episode + 1,
+            episodeSteps: 0,
+            episodeReturn: 0,
+            history: [...agent.history, { episode: agent.episode, length: episodeSteps, return: episodeReturn }],
+          };
+        }),
+      };
+    }
+
+    const frame = { ...next, size: frameSize(next, timeline.frames[timeline.frames.length - 1]) };
+    const frames = [...timeline.frames, frame];
+    let size = timeline.size + frame.size;
+    let dropped = 0;
+    while (frames.length - dropped > 1 && (frames.length - dropped > MAX_FRAMES || size > MAX_TIMELINE_SIZE)) {
+      size -= frames[dropped].size;
+      dropped++;
+    }
+    setTimeline({ frames: frames.slice(dropped), position: frames.length - dropped - 1, size });
+  }, [timeline, isLive, step, updatePhase, agents, algorithms, agentParams, env]);
+
+  const stepBack = () => setTimeline({ ...timeline, position: Math.max(0, timeline.position - 1) });
+
+  const scrubTo = (position) => setTimeline({ ...timeline, position });
+
+  // First recorded frame where one agent is about to take the given step of the given episode
+  const jumpToEpisodeStep = () => {
+    const position = timeline.frames.findIndex(frame => (
+      frame.phase === 'idle'
+      && frame.agents[jump.agent].episode === jump.episode
+      && frame.agents[jump.agent].episodeSteps === jump.step
+    ));
+    if (position === -1) {
+      setJump({ ...jump, error: `${TD_ALGORITHMS[algorithms[jump.agent]].name} has not reached step ${jump.step} of episode ${jump.episode} in the recorded history` });
+      return;
     }
-  }, [sarsaState, qLearningState, sarsaQ, qLearningQ, sarsaAction, qLearningAction, 
-      sarsaNextAction, updatePhase, sarsaUpdateInfo, qLearningUpdateInfo, epsilon, resetEpisode]);
+    setIsPlaying(false);
+    setJump({ ...jump, error: null });
+    scrubTo(position);
+  };
 
   useEffect(() => {
     if (isPlaying) {
@@ -204,71 +485,232 @@ export default function RLVisualization() {
     }
   }, [isPlaying, performStep, speed]);
 
-  const reset = () => {
-    setStep(0);
-    setEpisode(1);
+  const reset = (nextSeed = seed, nextEnv = env, nextAlgorithms = algorithms) => {
     setIsPlaying(false);
-    setSarsaQ(initialQTable());
-    setQLearningQ(initialQTable());
-    resetEpisode();
+    setTimeline({ frames: [createFrame(nextAlgorithms, nextEnv)], position: 0, size: 0 });
+    setJump({ agent: 0, episode: 1, step: 0, error: null });
+    rngRef.current = createRng(nextSeed);
   };
 
-  const GridCell = ({ row, col, qTable, agentPos, highlight, algorithm, selectedAction, nextAction, maxAction }) => {
-    const isAgent = agentPos.row === row && agentPos.col === col;
-    const isHighlighted = highlight && highlight.row === row && highlight.col === col;
-    const isGoalCell = isGoal(row, col);
-    const isDangerCell = isDanger(row, col);
-    const isStart = row === GRID_SIZE - 1 && col === 0;
+  const changeEnvironment = (nextEnv, nextPreset) => {
+    setEnv(nextEnv);
+    setPreset(nextPreset);
+    setGamma(nextEnv.gamma);
+    cancelBenchmark();
+    setBenchmark(null);
+    reset(seed, nextEnv);
+  };
+
+  const environmentImport = useEnvironmentImport((spec) => changeEnvironment(createGridworld(spec), null));
+
+  const changeSeed = (value) => {
+    const nextSeed = Number.isFinite(value) ? value : 0;
+    setSeed(nextSeed);
+    reset(nextSeed);
+  };
+
+  // Between MIN_COMPARED and MAX_COMPARED algorithms, kept in menu order; changing them restarts
+  const toggleAlgorithm = (id) => {
+    const next = algorithms.includes(id)
+      ? algorithms.filter(other => other !== id)
+      : ALGORITHM_IDS.filter(other => other === id || algorithms.includes(other));
+    if (next.length < MIN_COMPARED || next.length > MAX_COMPARED) return;
+    setAlgorithms(next);
+    reset(seed, env, next);
+  };
+
+  const cancelBenchmark = () => {
+    clearTimeout(benchmarkTimerRef.current);
+    setBenchmarkProgress(null);
+  };
+
+  useEffect(() => () => clearTimeout(benchmarkTimerRef.current), []);
+
+  // Trains every compared algorithm from scratch, benchmarkRuns times each, without animation.
+  // One run per timer tick keeps the page responsive while the settings at the start are used.
+  const runBenchmark = () => {
+    const jobs = algorithms.flatMap(id => Array.from({ length: benchmarkRuns }, (_, k) => ({ id, k })));
+    const runs = Object.fromEntries(algorithms.map(id => [id, []]));
+    let done = 0;
+    const runNext = () => {
+      const { id, k } = jobs[done];
+      runs[id].push(runEpisodes(env, TD_ALGORITHMS[id], params, benchmarkEpisodes, createStream(seed, `benchmark-${k}`)));
+      done++;
+      if (done < jobs.length) {
+        setBenchmarkProgress({ done, total: jobs.length });
+        benchmarkTimerRef.current = setTimeout(runNext, 0);
+      } else {
+        setBenchmark({ algorithms, runs });
+        setBenchmarkProgress(null);
+      }
+    };
+    setBenchmarkProgress({ done: 0, total: jobs.length });
+    benchmarkTimerRef.current = setTimeout(runNext, 20);
+  };
+
+  const benchmarkData = useMemo(() => {
+    if (!benchmark) return null;
+    const summaries = Object.fromEntries(benchmark.algorithms.map(id => [id, summarizeRuns(benchmark.runs[id], smoothing)]));
+    const rows = summaries[benchmark.algorithms[0]].map((_, e) => ({
+      episode: e + 1,
+      ...Object.fromEntries(benchmark.algorithms.flatMap(id => [
+        [id, summaries[id][e].mean],
+        [`${id}Band`, [summaries[id][e].low, summaries[id][e].high]],
+      ])),
+    }));
+    // The first episodes are far worse than the rest; scale the axis to what follows them
+    const settled = rows.slice(Math.floor(rows.length / 10));
+    const lowest = Math.min(...settled.flatMap(row => benchmark.algorithms.map(id => row[`${id}Band`][0])));
+    return { rows, yMin: Math.floor(lowest) };
+  }, [benchmark, smoothing]);
+
+  // ε over an agent's steps (episodes for GLIE) and α over the visits of one state-action pair
+  const epsilonScheduleData = useMemo(() => {
+    const schedule = { epsilon, epsilonSchedule, epsilonMin, decaySteps };
+    if (epsilonSchedule === 'glie') {
+      return Array.from({ length: GLIE_CHART_EPISODES }, (_, k) => ({ t: k + 1, epsilon: scheduledEpsilon(schedule, 0, k + 1) }));
+    }
+    const horizon = Math.round(decaySteps * 1.5);
+    return Array.from({ length: 61 }, (_, k) => {
+      const t = Math.round(horizon * k / 60);
+      return { t, epsilon: scheduledEpsilon(schedule, t, 1) };
+    });
+  }, [epsilon, epsilonSchedule, epsilonMin, decaySteps]);
+
+  const stepSizeData = useMemo(() => Array.from({ length: STEP_SIZE_CHART_VISITS }, (_, k) => ({
+    visits: k + 1,
+    alpha: stepSize === 'visits' ? 1 / (k + 1) : alpha,
+  })), [alpha, stepSize]);
+
+  const cellSize = env.width > 6 ? 'w-16 h-16' : 'w-24 h-24';
+
+  // Colour scale of the heatmap and triangle views over every compared table
+  const valueScale = useMemo(() => {
+    const values = agents.flatMap(agent => {
+      const qTable = actionValues(agent.learner);
+      return env.cells.flatMap((cell, s) => {
+        if (!isValued(cell)) return [];
+        return cellView === 'heatmap' ? [Math.max(...qTable[s])] : qTable[s];
+      });
+    });
+    return values.length > 0 ? { low: Math.min(...values), high: Math.max(...values) } : { low: 0, high: 0 };
+  }, [agents, env, cellView]);
+
+  // Q_A − Q_B of two compared algorithms, SARSA − Q-learning whenever both are shown
+  const diffPair = algorithms.includes('sarsa') && algorithms.includes('qlearning')
+    ? ['sarsa', 'qlearning']
+    : algorithms.slice(0, 2);
+  const qDiff = (() => {
+    const tables = diffPair.map(id => agents[algorithms.indexOf(id)]).filter(Boolean).map(agent => actionValues(agent.learner));
+    if (tables.length < 2) return null;
+    const diffs = tables[0].map((row, s) => row.map((q, a) => q - tables[1][s][a]));
+    const maxAbs = Math.max(0, ...env.cells.flatMap((cell, s) => (isValued(cell) ? diffs[s].map(Math.abs) : [])));
+    return { diffs, maxAbs };
+  })();
+
+  const GridCell = ({ state, qTable, traces, agentPos, highlight, accent, selectedAction, targetAction }) => {
+    const isAgent = agentPos === state;
+    const isHighlighted = highlight === state;
+    const cell = env.cells[state];
+    const isGoalCell = cell.type === 'goal';
+    const isDangerCell = cell.type === 'pit';
+    const isStart = cell.type === 'start';
     
-    const state = `${row},${col}`;
     const qValues = qTable[state];
-    const bestAction = getMaxAction(qTable, state);
+    const bestAction = greedyAction(qValues);
+    const valued = isValued(cell);
+    
+    if (cell.type === 'wall') {
+      return <div className={`${cellSize} border-2 bg-slate-950 border-slate-800`} />;
+    }
     
     return (
       <div className={`
-        relative w-24 h-24 border-2 transition-all duration-300
+        relative ${cellSize} border-2 transition-all duration-300
         ${isGoalCell ? 'bg-emerald-900/60 border-emerald-400' : 
           isDangerCell ? 'bg-red-900/60 border-red-400' : 
           isStart ? 'bg-blue-900/40 border-blue-400' :
           'bg-slate-800/60 border-slate-600'}
         ${isHighlighted ? 'ring-4 ring-yellow-400 ring-opacity-80 scale-105' : ''}
         ${isAgent ? 'ring-4 ring-cyan-400' : ''}
-      `}>
+      `} style={valued && cellView === 'heatmap' ? { backgroundColor: valueColor(Math.max(...qValues), valueScale) } : undefined}>
         {/* Q-value arrows */}
-        <div className="absolute inset-0 flex items-center justify-center">
-          {ACTIONS.map((action, i) => {
-            const isSelected = selectedAction === action && isAgent;
-            const isNext = algorithm === 'sarsa' && nextAction === action && isHighlighted;
-            const isMax = algorithm === 'qlearning' && maxAction === action && isHighlighted;
-            const isBest = bestAction === action;
-            
-            const positions = {
-              '↑': 'top-1 left-1/2 -translate-x-1/2',
-              '→': 'right-1 top-1/2 -translate-y-1/2',
-              '↓': 'bottom-1 left-1/2 -translate-x-1/2',
-              '←': 'left-1 top-1/2 -translate-y-1/2'
-            };
-            
-            return (
-              <div key={action} className={`
-                absolute ${positions[action]} text-xs font-mono px-1.5 py-0.5 rounded
-                transition-all duration-300
-                ${isSelected ? 'bg-cyan-500 text-white scale-125 font-bold' : ''}
-                ${isNext ? 'bg-orange-500 text-white scale-125 font-bold animate-pulse' : ''}
-                ${isMax ? 'bg-purple-500 text-white scale-125 font-bold animate-pulse' : ''}
-                ${!isSelected && !isNext && !isMax && isBest ? 'text-emerald-400 font-semibold' : ''}
-                ${!isSelected && !isNext && !isMax && !isBest ? 'text-slate-400' : ''}
-              `}>
-                {qValues[action].toFixed(1)}
-              </div>
-            );
-          })}
-        </div>
+        {cellView === 'numbers' && (
+          <div className="absolute inset-0 flex items-center justify-center">
+            {ACTIONS.map((action, a) => {
+              const isSelected = selectedAction === a && isAgent;
+              const isTarget = targetAction === a && isHighlighted;
+              const isBest = bestAction === a;
+              
+              const positions = {
+                up: 'top-1 left-1/2 -translate-x-1/2',
+                right: 'right-1 top-1/2 -translate-y-1/2',
+                down: 'bottom-1 left-1/2 -translate-x-1/2',
+                left: 'left-1 top-1/2 -translate-y-1/2'
+              };
+              
+              return (
+                <div key={action.name} className={`
+                  absolute ${positions[action.name]} ${env.width > 6 ? 'text-[9px] px-0.5' : 'text-xs px-1.5'} font-mono py-0.5 rounded
+                  transition-all duration-300
+                  ${isSelected ? 'bg-cyan-500 text-white scale-125 font-bold' : ''}
+                  ${isTarget ? `${accent} text-white scale-125 font-bold animate-pulse` : ''}
+                  ${!isSelected && !isTarget && isBest ? 'text-emerald-400 font-semibold' : ''}
+                  ${!isSelected && !isTarget && !isBest ? 'text-slate-400' : ''}
+                `}>
+                  {qValues[a].toFixed(1)}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Triangles coloured by each action's value; the chosen and bootstrapped actions are outlined */}
+        {cellView === 'triangles' && valued && (
+          <svg viewBox="0 0 100 100" className="absolute inset-0 w-full h-full">
+            {ACTIONS.map((action, a) => {
+              const outlined = (selectedAction === a && isAgent) || (targetAction === a && isHighlighted);
+              return (
+                <polygon key={action.name} points={TRIANGLES[action.name]} fill={valueColor(qValues[a], valueScale)}
+                  stroke={outlined ? '#ffffff' : '#0f172a'} strokeWidth={outlined ? 4 : 1}>
+                  <title>{`${action.arrow} ${qValues[a].toFixed(2)}`}</title>
+                </polygon>
+              );
+            })}
+          </svg>
+        )}
+
+        {/* Eligibility traces, fading as they decay */}
+        {traces && traces[state].some(e => e > 0) && (
+          <svg viewBox="0 0 100 100" className="absolute inset-0 w-full h-full pointer-events-none">
+            {ACTIONS.map((action, a) => (
+              <polygon key={action.name} points={TRIANGLES[action.name]} fill="#facc15"
+                fillOpacity={Math.min(1, traces[state][a]) * 0.6} />
+            ))}
+          </svg>
+        )}
+
+        {cellView === 'heatmap' && valued && (
+          <div className={`absolute bottom-0.5 right-1 font-mono text-slate-200 ${env.width > 6 ? 'text-[9px]' : 'text-xs'}`}>
+            {Math.max(...qValues).toFixed(1)}
+          </div>
+        )}
+
+        {/* Greedy action; a dot while every action is still tied */}
+        {cellView === 'policy' && valued && !isAgent && (
+          <div className={`absolute inset-0 flex items-center justify-center font-bold ${env.width > 6 ? 'text-2xl' : 'text-4xl'} ${
+            qValues.every(q => q === qValues[0]) ? 'text-slate-600' : 'text-emerald-400'
+          }`}>
+            {qValues.every(q => q === qValues[0]) ? '·' : ACTIONS[bestAction].arrow}
+          </div>
+        )}
         
         {/* Cell labels */}
         {isGoalCell && <div className="absolute inset-0 flex items-center justify-center text-2xl">🎯</div>}
-        {isDangerCell && <div className="absolute inset-0 flex items-center justify-center text-2xl">⚡</div>}
-        {isStart && !isAgent && <div className="absolute inset-0 flex items-center justify-center text-lg text-blue-300">START</div>}
+        {isDangerCell && <div className="absolute inset-0 flex items-center justify-center text-2xl">{cell.reset ? '🕳️' : '⚡'}</div>}
+        {isStart && !isAgent && cellView !== 'policy' && (
+          <div className={`absolute inset-0 flex items-center justify-center text-blue-300 ${env.width > 6 ? 'text-xs' : 'text-lg'}`}>START</div>
+        )}
         
         {/* Agent */}
         {isAgent && (
@@ -282,38 +724,149 @@ export default function RLVisualization() {
     );
   };
 
-  const UpdateFormula = ({ info, algorithm }) => {
+  const DiffCell = ({ state }) => {
+    const cell = env.cells[state];
+    if (cell.type === 'wall') {
+      return <div className={`${cellSize} border-2 bg-slate-950 border-slate-800`} />;
+    }
+    if (!isValued(cell)) {
+      return (
+        <div className={`${cellSize} border-2 border-slate-700 bg-slate-900 flex items-center justify-center text-xl`}>
+          {cell.type === 'goal' ? '🎯' : cell.reset ? '🕳️' : '⚡'}
+        </div>
+      );
+    }
+    const diffs = qDiff.diffs[state];
+    return (
+      <div className={`relative ${cellSize} border-2 border-slate-700`}>
+        <svg viewBox="0 0 100 100" className="absolute inset-0 w-full h-full">
+          {ACTIONS.map((action, a) => (
+            <polygon key={action.name} points={TRIANGLES[action.name]} fill={diffColor(diffs[a], qDiff.maxAbs)}
+              stroke="#0f172a" strokeWidth={1}>
+              <title>{`${action.arrow} ${diffs[a] >= 0 ? '+' : ''}${diffs[a].toFixed(2)}`}</title>
+            </polygon>
+          ))}
+        </svg>
+      </div>
+    );
+  };
+
+  const UpdateFormula = ({ info, view, tableCount, pending }) => {
     if (!info) return null;
+
+    if (info.updates.length === 0) {
+      return (
+        <div className={`p-4 rounded-xl border-2 ${view.formula} text-sm text-slate-300`}>
+          No update yet: {pending} of {info.params.n} rewards collected since the oldest pending step.
+        </div>
+      );
+    }
     
-    const isSarsa = algorithm === 'sarsa';
-    const targetValue = isSarsa ? info.nextQ : info.maxQ;
-    const targetLabel = isSarsa ? `Q(s', a')` : `max Q(s', a')`;
-    const newQ = info.oldQ + alpha * (info.reward + gamma * targetValue - info.oldQ);
-    
-    return (
-      <div className={`
-        p-4 rounded-xl border-2 transition-all duration-500
-        ${updatePhase === 'update' ? 'scale-105' : ''}
-        ${isSarsa ? 'bg-orange-950/50 border-orange-500/50' : 'bg-purple-950/50 border-purple-500/50'}
-      `}>
-        <div className="font-mono text-sm space-y-2">
-          <div className="text-slate-300">
-            Q({info.state}, {info.action}) ← {info.oldQ.toFixed(2)} + {alpha} × [
+    const traced = info.updates[0].trace !== undefined;
+    const footer = (
+      <div className="flex gap-4 pt-2 border-t border-slate-700 text-xs mono text-slate-400">
+        <span>
+          α = {info.params.stepSize !== 'visits'
+            ? formatNumber(info.params.alpha, 3)
+            : traced ? '1/N(s, a)' : info.updates.map(update => `1/${Math.round(1 / update.alpha)}`).join(', ')}
+        </span>
+        <span>γ = {formatNumber(info.params.gamma, 3)}</span>
+        <span>ε = {formatNumber(info.params.epsilon, 3)}</span>
+        {traced && <span>λ = {formatNumber(info.params.lambda, 3)}</span>}
+      </div>
+    );
+
+    if (traced) {
+      const [visited] = info.updates;
+      return (
+        <div className={`
+          p-4 rounded-xl border-2 transition-all duration-500 space-y-3
+          ${updatePhase === 'update' ? 'scale-105' : ''}
+          ${view.formula}
+        `}>
+          <div className="font-mono text-sm flex items-center gap-2 flex-wrap">
+            <span className="text-slate-300">δ =</span>
+            <span className="text-yellow-400">{visited.rewards[0].toFixed(1)}</span>
+            {visited.bootstrap ? (
+              <>
+                <span className="text-slate-400">+ {formatNumber(info.params.gamma, 3)} ×</span>
+                <span className={`px-2 py-1 rounded font-bold text-white ${view.chip}`}>
+                  {visited.bootstrap.label} = {visited.bootstrap.value.toFixed(2)}
+                </span>
+              </>
+            ) : (
+              <span className="text-slate-500">(terminal: no bootstrap)</span>
+            )}
+            <span className="text-slate-400">- {visited.oldQ.toFixed(2)}</span>
+            <span className="text-emerald-400 font-bold">= {visited.delta.toFixed(3)}</span>
           </div>
-          <div className="pl-4 flex items-center gap-2">
-            <span className="text-yellow-400">{info.reward.toFixed(1)}</span>
-            <span className="text-slate-400">+</span>
-            <span className="text-slate-400">{gamma} ×</span>
-            <span className={`px-2 py-1 rounded font-bold ${isSarsa ? 'bg-orange-600 text-white' : 'bg-purple-600 text-white'}`}>
-              {targetLabel} = {targetValue.toFixed(2)}
-            </span>
-            <span className="text-slate-400">- {info.oldQ.toFixed(2)}</span>
-            <span className="text-slate-300">]</span>
+          <div className="text-xs text-slate-400">
+            Every traced pair moves by α·δ·e(s, a) ({info.updates.length} {info.updates.length === 1 ? 'pair' : 'pairs'}):
           </div>
-          <div className="text-emerald-400 font-bold pt-2 border-t border-slate-600">
-            = {newQ.toFixed(3)}
+          <div className="font-mono text-xs space-y-1 max-h-40 overflow-y-auto">
+            {info.updates.map(update => (
+              <div key={`${update.state}-${update.action}`} className="text-slate-300">
+                Q({formatState(env, update.state)}, {ACTIONS[update.action].arrow}) ← {update.oldQ.toFixed(2)} + {formatNumber(update.alpha, 3)} × δ ×{' '}
+                <span className="text-yellow-300">{update.trace.toFixed(2)}</span> ={' '}
+                <span className="text-emerald-400">{update.newQ.toFixed(3)}</span>
+              </div>
+            ))}
           </div>
+          <div className="text-xs text-slate-400">
+            {info.transition.done
+              ? 'Episode over: all traces are cleared.'
+              : info.tracesCut
+                ? "a' is exploratory: Watkins cuts all traces to 0."
+                : `Then every trace decays by γλ = ${formatNumber(info.params.gamma * info.params.lambda, 3)}.`}
+          </div>
+          {footer}
         </div>
+      );
+    }
+
+    return (
+      <div className={`
+        p-4 rounded-xl border-2 transition-all duration-500 space-y-3
+        ${updatePhase === 'update' ? 'scale-105' : ''}
+        ${view.formula}
+      `}>
+        {info.updates.map((update, i) => {
+          const table = tableCount > 1 ? `Q${'AB'[update.table]}` : 'Q';
+          const stepGamma = formatNumber(info.params.gamma, 3);
+          const returnValue = update.rewards.reduce((sum, r, k) => sum + Math.pow(info.params.gamma, k) * r, 0);
+          const discount = update.rewards.length === 1 ? stepGamma : `${stepGamma}^${update.rewards.length}`;
+          return (
+            <div key={i} className="font-mono text-sm space-y-2">
+              <div className="text-slate-300">
+                {table}({formatState(env, update.state)}, {ACTIONS[update.action].arrow}) ← {update.oldQ.toFixed(2)} + {formatNumber(update.alpha, 3)} × [
+              </div>
+              <div className="pl-4 flex items-center gap-2 flex-wrap">
+                <span className="text-yellow-400">
+                  {update.rewards.length === 1
+                    ? update.rewards[0].toFixed(1)
+                    : `Σγᵏr = ${returnValue.toFixed(2)}`}
+                </span>
+                {update.bootstrap ? (
+                  <>
+                    <span className="text-slate-400">+</span>
+                    <span className="text-slate-400">{discount} ×</span>
+                    <span className={`px-2 py-1 rounded font-bold text-white ${view.chip}`}>
+                      {update.bootstrap.label} = {update.bootstrap.value.toFixed(2)}
+                    </span>
+                  </>
+                ) : (
+                  <span className="text-slate-500">(terminal: no bootstrap)</span>
+                )}
+                <span className="text-slate-400">- {update.oldQ.toFixed(2)}</span>
+                <span className="text-slate-300">]</span>
+              </div>
+              <div className="text-emerald-400 font-bold pt-2 border-t border-slate-600">
+                = {update.newQ.toFixed(3)}
+              </div>
+            </div>
+          );
+        })}
+        {footer}
       </div>
     );
   };
@@ -344,138 +897,314 @@ export default function RLVisualization() {
           }`}>
           {isPlaying ? '⏸ Pause' : '▶ Play'}
         </button>
+        <button onClick={stepBack} disabled={isPlaying || timeline.position === 0}
+          className="px-6 py-3 bg-blue-900 hover:bg-blue-800 rounded-xl font-semibold transition-all disabled:opacity-50">
+          ⏮ Back
+        </button>
         <button onClick={performStep} disabled={isPlaying}
           className="px-6 py-3 bg-blue-600 hover:bg-blue-500 rounded-xl font-semibold transition-all disabled:opacity-50">
           ⏭ Step
         </button>
-        <button onClick={reset}
+        <button onClick={() => reset()}
           className="px-6 py-3 bg-slate-600 hover:bg-slate-500 rounded-xl font-semibold transition-all">
           🔄 Reset
         </button>
+        <div className="flex items-center gap-2 bg-slate-800 px-4 py-2 rounded-xl">
+          <span className="text-sm text-slate-400">Seed:</span>
+          <input type="number" value={seed}
+            onChange={e => changeSeed(parseInt(e.target.value, 10))}
+            className="w-20 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-sm mono" />
+        </div>
         <div className="flex items-center gap-2 bg-slate-800 px-4 py-2 rounded-xl">
           <span className="text-sm text-slate-400">Speed:</span>
           <input type="range" min="200" max="1500" value={1700 - speed} 
             onChange={e => setSpeed(1700 - e.target.value)}
             className="w-24" />
         </div>
+        <div className="flex items-center gap-2 bg-slate-800 px-4 py-2 rounded-xl">
+          <span className="text-sm text-slate-400">Map:</span>
+          <select value={preset ?? ''}
+            onChange={e => changeEnvironment(PRESETS[e.target.value].env, e.target.value)}
+            className="bg-slate-900 border border-slate-600 rounded px-2 py-1 text-sm">
+            {Object.entries(PRESETS).map(([id, { label }]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+            {!preset && <option value="" disabled>Imported</option>}
+          </select>
+        </div>
+        <div className="flex items-center gap-2 bg-slate-800 px-4 py-2 rounded-xl">
+          <button onClick={() => downloadEnvironment(env, { gamma }, 'td-learning.json')}
+            className="text-sm text-slate-300 hover:text-white">
+            ⬇ Export
+          </button>
+          <span className="text-slate-600">|</span>
+          <button onClick={environmentImport.open}
+            className="text-sm text-slate-300 hover:text-white">
+            ⬆ Import
+          </button>
+          <input ref={environmentImport.inputRef} type="file" accept="application/json,.json"
+            onChange={environmentImport.onChange} className="hidden" />
+        </div>
         <div className="flex items-center gap-4 bg-slate-800 px-4 py-2 rounded-xl">
-          <span className="text-sm">Episode: <span className="text-cyan-400 font-bold">{episode}</span></span>
           <span className="text-sm">Step: <span className="text-cyan-400 font-bold">{step}</span></span>
         </div>
       </div>
 
+      {/* Algorithm picker */}
+      <div className="flex justify-center items-center gap-2 mb-6 flex-wrap">
+        <span className="text-sm text-slate-400">Compare {MIN_COMPARED}–{MAX_COMPARED}:</span>
+        {ALGORITHM_IDS.map(id => {
+          const active = algorithms.includes(id);
+          const locked = active ? algorithms.length <= MIN_COMPARED : algorithms.length >= MAX_COMPARED;
+          return (
+            <button key={id} onClick={() => toggleAlgorithm(id)} disabled={locked}
+              className={`px-3 py-1.5 rounded-lg text-sm font-semibold border transition-all disabled:cursor-not-allowed ${
+                active
+                  ? `${ALGORITHM_VIEWS[id].badge} border-transparent`
+                  : 'bg-slate-800 text-slate-500 border-slate-700 hover:text-slate-300 disabled:opacity-50'
+              }`}>
+              {TD_ALGORITHMS[id].name}
+            </button>
+          );
+        })}
+        {algorithms.includes('nStepSarsa') && (
+          <div className="flex items-center gap-2 bg-slate-800 px-4 py-1.5 rounded-lg">
+            <span className="text-sm text-slate-400">n = {n}</span>
+            <input type="range" min="1" max={MAX_N_STEPS} value={n}
+              onChange={e => setN(Number(e.target.value))}
+              className="w-24" />
+          </div>
+        )}
+        {algorithms.some(id => TD_ALGORITHMS[id].usesTraces) && (
+          <div className="flex items-center gap-2 bg-slate-800 px-4 py-1.5 rounded-lg">
+            <span className="text-sm text-slate-400 w-16">λ = {formatNumber(lambda, 2)}</span>
+            <input type="range" min="0" max="1" step="0.05" value={lambda}
+              onChange={e => setLambda(Number(e.target.value))}
+              className="w-24" />
+            <select value={traceType} onChange={e => setTraceType(e.target.value)}
+              className="bg-slate-900 border border-slate-600 rounded px-2 py-1 text-sm text-slate-200">
+              {TRACE_TYPES.map(id => <option key={id} value={id}>{TRACE_TYPE_LABELS[id]}</option>)}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {/* Grid rendering */}
+      <div className="flex justify-center items-center gap-2 mb-6 flex-wrap">
+        <span className="text-sm text-slate-400">Cells:</span>
+        {Object.entries(CELL_VIEWS).map(([id, label]) => (
+          <button key={id} onClick={() => setCellView(id)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-semibold border transition-all ${
+              cellView === id
+                ? 'bg-cyan-600 text-white border-transparent'
+                : 'bg-slate-800 text-slate-500 border-slate-700 hover:text-slate-300'
+            }`}>
+            {label}
+          </button>
+        ))}
+        <button onClick={() => setShowDiff(!showDiff)}
+          className={`px-3 py-1.5 rounded-lg text-sm font-semibold border transition-all ${
+            showDiff
+              ? 'bg-purple-600 text-white border-transparent'
+              : 'bg-slate-800 text-slate-500 border-slate-700 hover:text-slate-300'
+          }`}>
+          Δ {TD_ALGORITHMS[diffPair[0]].name} − {TD_ALGORITHMS[diffPair[1]].name}
+        </button>
+        {(cellView === 'heatmap' || cellView === 'triangles') && (
+          <div className="flex items-center gap-2 bg-slate-800 px-4 py-1.5 rounded-lg text-xs mono text-slate-400">
+            <span>{valueScale.low.toFixed(1)}</span>
+            <div className="w-32 h-3 rounded" style={{
+              background: `linear-gradient(to right, ${[0, 0.25, 0.5, 0.75, 1].map(t => valueColor(t, { low: 0, high: 1 })).join(', ')})`,
+            }} />
+            <span>{valueScale.high.toFixed(1)}</span>
+            <span className="text-slate-500">{cellView === 'heatmap' ? 'max_a Q(s, a)' : 'Q(s, a)'}</span>
+          </div>
+        )}
+      </div>
+
+      {environmentImport.error && (
+        <div className="max-w-xl mx-auto mb-6 p-4 rounded-xl bg-red-950/50 border border-red-500/50 text-red-300 text-sm whitespace-pre-line">
+          {environmentImport.error}
+          <button onClick={environmentImport.clearError} className="block mt-2 text-red-400 hover:text-red-300">
+            Dismiss
+          </button>
+        </div>
+      )}
+
       {/* Phase Indicator */}
       <div className="flex justify-center mb-6">
         <div className="flex gap-2 bg-slate-800/50 p-2 rounded-xl">
-          {['idle', 'action', 'nextState', 'update'].map((phase, i) => (
+          {Object.keys(PHASE_LABELS).map((phase, i) => (
             <div key={phase} className={`
               px-4 py-2 rounded-lg text-sm font-medium transition-all
               ${updatePhase === phase ? 'bg-cyan-600 text-white' : 'bg-slate-700 text-slate-400'}
             `}>
-              {i + 1}. {phase === 'idle' ? 'Ready' : phase === 'action' ? 'Choose Action' : 
-                phase === 'nextState' ? 'Observe Next' : 'Update Q'}
+              {i + 1}. {PHASE_LABELS[phase]}
             </div>
           ))}
         </div>
       </div>
 
-      {/* Main Content */}
-      <div className="grid grid-cols-1 xl:grid-cols-2 gap-8 max-w-7xl mx-auto">
-        
-        {/* SARSA Panel */}
-        <div className="bg-slate-800/30 rounded-2xl p-6 border-2 border-orange-500/30">
-          <div className="flex items-center gap-3 mb-4">
-            <div className="w-4 h-4 rounded-full bg-orange-500 animate-pulse"></div>
-            <h2 className="text-2xl font-bold text-orange-400">SARSA</h2>
-            <span className="px-3 py-1 bg-orange-600/30 text-orange-300 rounded-full text-sm font-semibold">
-              ON-POLICY
+      {/* Timeline */}
+      <div className="max-w-4xl mx-auto mb-6 bg-slate-800/50 rounded-xl p-4 space-y-3">
+        <div className="flex items-center gap-3 text-sm">
+          <span className="text-slate-400 whitespace-nowrap">Timeline</span>
+          <input type="range" min="0" max={timeline.frames.length - 1} value={timeline.position}
+            onChange={e => { setIsPlaying(false); scrubTo(Number(e.target.value)); }}
+            className="flex-1" />
+          <span className="mono text-slate-300 whitespace-nowrap">
+            {timeline.position + 1} / {timeline.frames.length}
+          </span>
+          <button onClick={() => scrubTo(timeline.frames.length - 1)} disabled={isLive}
+            className="px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-200 disabled:opacity-50">
+            Latest
+          </button>
+        </div>
+        <div className="flex items-center gap-2 text-sm text-slate-400 flex-wrap">
+          <span>Jump to</span>
+          <select value={jump.agent} onChange={e => setJump({ ...jump, agent: Number(e.target.value) })}
+            className="bg-slate-900 border border-slate-600 rounded px-2 py-1 text-sm text-slate-200">
+            {algorithms.map((id, i) => <option key={id} value={i}>{TD_ALGORITHMS[id].name}</option>)}
+          </select>
+          <span>episode</span>
+          <input type="number" min="1" value={jump.episode}
+            onChange={e => setJump({ ...jump, episode: parseInt(e.target.value, 10) || 1 })}
+            className="w-16 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-sm mono text-slate-200" />
+          <span>step</span>
+          <input type="number" min="0" value={jump.step}
+            onChange={e => setJump({ ...jump, step: parseInt(e.target.value, 10) || 0 })}
+            className="w-16 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-sm mono text-slate-200" />
+          <button onClick={jumpToEpisodeStep}
+            className="px-3 py-1 rounded-lg bg-cyan-700 hover:bg-cyan-600 text-white">
+            Go
+          </button>
+          {!isLive && (
+            <span className="ml-auto text-amber-400">
+              Replaying history: Step moves through recorded frames until the latest one
             </span>
-          </div>
-          
-          <div className="bg-slate-900/50 rounded-xl p-4 mb-4">
-            <p className="text-slate-300 text-sm leading-relaxed">
-              Uses the <span className="text-orange-400 font-bold">actual next action a'</span> that will be taken 
-              (sampled from the same ε-greedy policy). Learns Q<sup>π</sup> — the value of the policy being followed.
-            </p>
-          </div>
+          )}
+        </div>
+        {jump.error && <div className="text-sm text-red-400">{jump.error}</div>}
+      </div>
 
-          <div className="flex justify-center mb-4">
-            <div className="grid grid-cols-4 gap-1">
-              {Array.from({ length: GRID_SIZE }, (_, r) =>
-                Array.from({ length: GRID_SIZE }, (_, c) => (
-                  <GridCell key={`sarsa-${r}-${c}`} row={r} col={c} 
-                    qTable={sarsaQ} agentPos={sarsaState} highlight={sarsaHighlight}
-                    algorithm="sarsa" selectedAction={sarsaAction} 
-                    nextAction={sarsaNextAction} maxAction={null} />
-                ))
-              )}
-            </div>
-          </div>
+      {/* Main Content */}
+      <div className={`grid grid-cols-1 gap-8 mx-auto ${
+        env.width > 6 ? 'max-w-7xl' : algorithms.length === 3 ? '2xl:grid-cols-3 max-w-[100rem]' : 'xl:grid-cols-2 max-w-7xl'
+      }`}>
+        {algorithms.map((id, i) => {
+          const algorithm = TD_ALGORITHMS[id];
+          const view = ALGORITHM_VIEWS[id];
+          const agent = agents[i];
+          if (!agent) return null;
+          const { info } = agent;
+          // The action in s' the update bootstraps from (a' for on-policy methods)
+          const targetAction = info ? info.nextAction ?? info.updates[0]?.bootstrap?.action ?? null : null;
+          return (
+            <div key={id} className={`bg-slate-800/30 rounded-2xl p-6 border-2 ${view.border}`}>
+              <div className="flex items-center gap-3 mb-4">
+                <div className={`w-4 h-4 rounded-full animate-pulse ${view.dot}`}></div>
+                <h2 className={`text-2xl font-bold ${view.title}`}>{algorithm.name}</h2>
+                <span className={`px-3 py-1 rounded-full text-sm font-semibold ${view.badge}`}>
+                  {algorithm.onPolicy ? 'ON-POLICY' : 'OFF-POLICY'}
+                </span>
+                <span className="ml-auto text-sm text-slate-400">
+                  Episode <span className="text-cyan-400 font-bold">{agent.episode}</span>
+                  {' · '}step {agent.episodeSteps} · G = {agent.episodeReturn.toFixed(1)}
+                </span>
+              </div>
+              
+              <div className="bg-slate-900/50 rounded-xl p-4 mb-4">
+                <p className="text-slate-300 text-sm leading-relaxed">{view.description}</p>
+              </div>
 
-          {/* SARSA Key Insight */}
-          <div className={`
-            p-4 rounded-xl border-2 mb-4 transition-all duration-300
-            ${updatePhase === 'nextState' || updatePhase === 'update' ? 
-              'bg-orange-900/40 border-orange-400 scale-102' : 'bg-slate-800/50 border-slate-600'}
-          `}>
-            <div className="text-sm font-semibold text-orange-300 mb-2">🔑 THE KEY DIFFERENCE:</div>
-            <div className="text-slate-200">
-              Bootstrap target uses <span className="bg-orange-600 px-2 py-1 rounded font-mono font-bold">Q(s', a')</span>
-              <br />
-              <span className="text-slate-400 text-sm">where a' is the action we WILL actually take next</span>
-            </div>
-          </div>
+              <div className="flex justify-center mb-4">
+                <div className="grid gap-1" style={{ gridTemplateColumns: `repeat(${env.width}, auto)` }}>
+                  {env.cells.map((_, s) => (
+                    <GridCell key={`${id}-${s}`} state={s} 
+                      qTable={actionValues(agent.learner)} traces={agent.learner.traces} agentPos={agent.position}
+                      highlight={info ? info.transition.nextState : null}
+                      accent={view.accent} selectedAction={agent.action} 
+                      targetAction={targetAction} />
+                  ))}
+                </div>
+              </div>
 
-          <UpdateFormula info={sarsaUpdateInfo} algorithm="sarsa" />
-        </div>
+              {/* Key Insight */}
+              <div className={`
+                p-4 rounded-xl border-2 mb-4 transition-all duration-300
+                ${updatePhase === 'nextState' || updatePhase === 'update' ? 
+                  `${view.insight} scale-102` : 'bg-slate-800/50 border-slate-600'}
+              `}>
+                <div className={`text-sm font-semibold mb-2 ${view.insightTitle}`}>🔑 THE KEY DIFFERENCE:</div>
+                <div className="text-slate-200">
+                  Bootstrap target uses <span className={`px-2 py-1 rounded font-mono font-bold ${view.chip}`}>{view.keyTarget}</span>
+                  <br />
+                  <span className="text-slate-400 text-sm">{view.keyNote}</span>
+                </div>
+              </div>
 
-        {/* Q-Learning Panel */}
-        <div className="bg-slate-800/30 rounded-2xl p-6 border-2 border-purple-500/30">
-          <div className="flex items-center gap-3 mb-4">
-            <div className="w-4 h-4 rounded-full bg-purple-500 animate-pulse"></div>
-            <h2 className="text-2xl font-bold text-purple-400">Q-Learning</h2>
-            <span className="px-3 py-1 bg-purple-600/30 text-purple-300 rounded-full text-sm font-semibold">
-              OFF-POLICY
-            </span>
-          </div>
-          
-          <div className="bg-slate-900/50 rounded-xl p-4 mb-4">
-            <p className="text-slate-300 text-sm leading-relaxed">
-              Uses <span className="text-purple-400 font-bold">max over all actions</span> regardless of what 
-              action will actually be taken. Learns Q* — the optimal value function.
-            </p>
-          </div>
+              <UpdateFormula info={info} view={view} tableCount={agent.learner.tables.length}
+                pending={info ? info.learner.trajectory.length : 0} />
 
-          <div className="flex justify-center mb-4">
-            <div className="grid grid-cols-4 gap-1">
-              {Array.from({ length: GRID_SIZE }, (_, r) =>
-                Array.from({ length: GRID_SIZE }, (_, c) => (
-                  <GridCell key={`ql-${r}-${c}`} row={r} col={c} 
-                    qTable={qLearningQ} agentPos={qLearningState} highlight={qLearningHighlight}
-                    algorithm="qlearning" selectedAction={qLearningAction} 
-                    nextAction={null} maxAction={qLearningMaxAction} />
-                ))
-              )}
+              {/* Episode history */}
+              <div className="mt-4 bg-slate-900/50 rounded-xl p-4">
+                <div className="text-sm font-semibold text-slate-300 mb-2">Episode History</div>
+                {agent.history.length === 0 ? (
+                  <div className="text-sm text-slate-500">No finished episodes yet</div>
+                ) : (
+                  <div className="max-h-40 overflow-y-auto">
+                    <table className="w-full text-sm mono">
+                      <thead className="text-slate-500">
+                        <tr>
+                          <th className="text-left font-normal">Episode</th>
+                          <th className="text-right font-normal">Length</th>
+                          <th className="text-right font-normal">Return</th>
+                        </tr>
+                      </thead>
+                      <tbody className="text-slate-300">
+                        {[...agent.history].reverse().map(record => (
+                          <tr key={record.episode}>
+                            <td>{record.episode}</td>
+                            <td className="text-right">{record.length}</td>
+                            <td className="text-right">{record.return.toFixed(1)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
             </div>
-          </div>
+          );
+        })}
+      </div>
 
-          {/* Q-Learning Key Insight */}
-          <div className={`
-            p-4 rounded-xl border-2 mb-4 transition-all duration-300
-            ${updatePhase === 'nextState' || updatePhase === 'update' ? 
-              'bg-purple-900/40 border-purple-400 scale-102' : 'bg-slate-800/50 border-slate-600'}
-          `}>
-            <div className="text-sm font-semibold text-purple-300 mb-2">🔑 THE KEY DIFFERENCE:</div>
-            <div className="text-slate-200">
-              Bootstrap target uses <span className="bg-purple-600 px-2 py-1 rounded font-mono font-bold">max Q(s', a)</span>
-              <br />
-              <span className="text-slate-400 text-sm">regardless of what action we'll actually take</span>
+      {/* Q difference between two compared algorithms */}
+      {showDiff && qDiff && (
+        <div className="max-w-4xl mx-auto mt-8 bg-slate-800/30 rounded-2xl p-6 border-2 border-purple-500/40">
+          <div className="flex items-center gap-4 mb-2 flex-wrap">
+            <h2 className="text-xl font-bold text-slate-200">
+              Q<sub>{TD_ALGORITHMS[diffPair[0]].name}</sub> − Q<sub>{TD_ALGORITHMS[diffPair[1]].name}</sub>
+            </h2>
+            <div className="flex items-center gap-2 text-xs mono text-slate-400">
+              <span>−{qDiff.maxAbs.toFixed(1)}</span>
+              <div className="w-32 h-3 rounded" style={{
+                background: `linear-gradient(to right, ${diffColor(-1, 1)}, ${diffColor(0, 1)}, ${diffColor(1, 1)})`,
+              }} />
+              <span>+{qDiff.maxAbs.toFixed(1)}</span>
+            </div>
+          </div>
+          <p className="text-sm text-slate-400 mb-4">
+            Per state-action: green where {TD_ALGORITHMS[diffPair[0]].name} values the action more, red where it values it less.
+            {diffPair[0] === 'sarsa' && diffPair[1] === 'qlearning' && ' SARSA learns the value of the ε-greedy policy it follows, so next to danger its values are lower than Q-learning\'s greedy ones.'}
+          </p>
+          <div className="flex justify-center">
+            <div className="grid gap-1" style={{ gridTemplateColumns: `repeat(${env.width}, auto)` }}>
+              {env.cells.map((_, s) => <DiffCell key={s} state={s} />)}
             </div>
           </div>
-
-          <UpdateFormula info={qLearningUpdateInfo} algorithm="qlearning" />
         </div>
-      </div>
+      )}
 
       {/* Legend & Explanation */}
       <div className="max-w-4xl mx-auto mt-8 grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -488,43 +1217,205 @@ export default function RLVisualization() {
             </div>
             <div className="flex items-center gap-2">
               <span className="text-2xl">🎯</span>
-              <span className="text-slate-300">Goal (+10)</span>
+              <span className="text-slate-300">Goal ({formatReward(env.rewards.goal)})</span>
             </div>
             <div className="flex items-center gap-2">
-              <span className="text-2xl">⚡</span>
-              <span className="text-slate-300">Danger (-5)</span>
+              <span className="text-2xl">{env.cells.some(cell => cell.reset) ? '🕳️' : '⚡'}</span>
+              <span className="text-slate-300">
+                {env.cells.some(cell => cell.reset) ? 'Cliff' : 'Danger'} ({formatReward(env.rewards.pit)}{env.cells.some(cell => cell.reset) ? ', back to start' : ''})
+              </span>
             </div>
             <div className="flex items-center gap-2">
               <div className="w-5 h-5 bg-cyan-500 rounded"></div>
               <span className="text-slate-300">Current action</span>
             </div>
-            <div className="flex items-center gap-2">
-              <div className="w-5 h-5 bg-orange-500 rounded"></div>
-              <span className="text-slate-300">SARSA: a' (next action)</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-5 h-5 bg-purple-500 rounded"></div>
-              <span className="text-slate-300">Q-L: max action</span>
-            </div>
+            {algorithms.some(id => TD_ALGORITHMS[id].usesTraces) && (
+              <div className="flex items-center gap-2">
+                <div className="w-5 h-5 bg-yellow-400/60 rounded"></div>
+                <span className="text-slate-300">Eligibility trace e(s, a)</span>
+              </div>
+            )}
+            {algorithms.filter(id => ALGORITHM_VIEWS[id].legend).map(id => (
+              <div key={id} className="flex items-center gap-2">
+                <div className={`w-5 h-5 rounded ${ALGORITHM_VIEWS[id].accent}`}></div>
+                <span className="text-slate-300">{TD_ALGORITHMS[id].name}: {ALGORITHM_VIEWS[id].legend}</span>
+              </div>
+            ))}
           </div>
         </div>
         
         <div className="bg-slate-800/50 rounded-xl p-5">
           <h3 className="font-bold text-lg mb-3 text-slate-200">Why This Matters</h3>
           <div className="text-sm text-slate-300 space-y-2">
-            <p><span className="text-orange-400 font-semibold">SARSA</span> accounts for exploration mistakes — it learns the value <em>including</em> the risk of ε-greedy exploration.</p>
-            <p><span className="text-purple-400 font-semibold">Q-Learning</span> assumes optimal future behavior — it can learn from any data but may underestimate danger.</p>
+            {algorithms.map(id => (
+              <p key={id}><span className={`font-semibold ${ALGORITHM_VIEWS[id].title}`}>{TD_ALGORITHMS[id].name}</span> {ALGORITHM_VIEWS[id].why}</p>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Hyperparameters and schedules */}
+      <div className="max-w-7xl mx-auto mt-8 bg-slate-800/30 rounded-2xl p-6 border-2 border-slate-700">
+        <div className="flex items-center gap-4 mb-4 flex-wrap">
+          <h2 className="text-xl font-bold text-slate-200">Hyperparameters</h2>
+          <span className="text-sm text-slate-400">Changes apply from the next step and to headless runs</span>
+        </div>
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="space-y-3 text-sm">
+            {[
+              ['α', alpha, setAlpha, 0.01, 1, 0.01, stepSize === 'visits'],
+              ['γ', gamma, setGamma, 0, 1, 0.01, false],
+              [epsilonSchedule === 'constant' ? 'ε' : 'ε₀', epsilon, setEpsilon, 0, 1, 0.01, false],
+            ].map(([label, value, setValue, min, max, stepValue, disabled]) => (
+              <label key={label} className={`flex items-center gap-3 ${disabled ? 'opacity-50' : ''}`}>
+                <span className="w-8 mono text-slate-300">{label}</span>
+                <input type="range" min={min} max={max} step={stepValue} value={value} disabled={disabled}
+                  onChange={e => setValue(Number(e.target.value))}
+                  className="flex-1" />
+                <span className="w-12 text-right mono text-cyan-400">{formatNumber(value, 2)}</span>
+              </label>
+            ))}
+            <div className="flex gap-4 flex-wrap">
+              <label className="flex items-center gap-2 text-slate-400">
+                Step size:
+                <select value={stepSize} onChange={e => setStepSize(e.target.value)}
+                  className="bg-slate-900 border border-slate-600 rounded px-2 py-1 text-sm text-slate-200">
+                  {STEP_SIZES.map(id => <option key={id} value={id}>{STEP_SIZE_LABELS[id]}</option>)}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 text-slate-400">
+                ε schedule:
+                <select value={epsilonSchedule} onChange={e => setEpsilonSchedule(e.target.value)}
+                  className="bg-slate-900 border border-slate-600 rounded px-2 py-1 text-sm text-slate-200">
+                  {EPSILON_SCHEDULES.map(id => <option key={id} value={id}>{EPSILON_SCHEDULE_LABELS[id]}</option>)}
+                </select>
+              </label>
+            </div>
+            {(epsilonSchedule === 'linear' || epsilonSchedule === 'exponential') && (
+              <>
+                <label className="flex items-center gap-3">
+                  <span className="w-8 mono text-slate-300">εₘᵢₙ</span>
+                  <input type="range" min="0.01" max="0.5" step="0.01" value={epsilonMin}
+                    onChange={e => setEpsilonMin(Number(e.target.value))}
+                    className="flex-1" />
+                  <span className="w-12 text-right mono text-cyan-400">{formatNumber(epsilonMin, 2)}</span>
+                </label>
+                <label className="flex items-center gap-3">
+                  <span className="w-8 mono text-slate-300">T</span>
+                  <input type="range" min={MIN_DECAY_STEPS} max={MAX_DECAY_STEPS} step="100" value={decaySteps}
+                    onChange={e => setDecaySteps(Number(e.target.value))}
+                    className="flex-1" />
+                  <span className="w-12 text-right mono text-cyan-400">{decaySteps}</span>
+                </label>
+              </>
+            )}
+            <p className="text-xs text-slate-500 leading-relaxed">
+              {epsilonSchedule === 'constant' && 'ε stays fixed, so the agents keep exploring forever and the on-policy methods learn the value of an ε-greedy policy.'}
+              {epsilonSchedule === 'linear' && `ε falls in a straight line from ε₀ to εₘᵢₙ over the first ${decaySteps} steps of each agent.`}
+              {epsilonSchedule === 'exponential' && `ε shrinks by a constant factor per step, reaching εₘᵢₙ after ${decaySteps} steps.`}
+              {epsilonSchedule === 'glie' && 'ε = ε₀ / k in episode k: every action is still tried infinitely often, but the policy becomes greedy in the limit; with α = 1/N(s, a) SARSA then converges to Q*.'}
+              {stepSize === 'visits' && ' With α = 1/N(s, a) each Q-value is the running average of its targets; since bootstrapped targets keep moving, old ones weigh as much as new ones and learning can stall.'}
+            </p>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <div className="text-xs text-slate-400 mb-1">
+                ε per {epsilonSchedule === 'glie' ? 'episode' : 'step'} (lines: each agent now)
+              </div>
+              <ResponsiveContainer width="100%" height={160}>
+                <LineChart data={epsilonScheduleData} margin={{ top: 5, right: 10, left: -20, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
+                  <XAxis dataKey="t" type="number" domain={['dataMin', 'dataMax']} stroke="#4b5563" tick={{ fill: '#6b7280', fontSize: 10 }} />
+                  <YAxis domain={[0, 1]} stroke="#4b5563" tick={{ fill: '#6b7280', fontSize: 10 }} />
+                  <Line dataKey="epsilon" stroke="#22d3ee" strokeWidth={2} dot={false} isAnimationActive={false} />
+                  {agents.map((agent, i) => (
+                    <ReferenceLine key={algorithms[i]} x={epsilonSchedule === 'glie' ? agent.episode : agent.steps}
+                      stroke={ALGORITHM_VIEWS[algorithms[i]].stroke} strokeDasharray="4 2" />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+            <div>
+              <div className="text-xs text-slate-400 mb-1">α per update of the same (s, a)</div>
+              <ResponsiveContainer width="100%" height={160}>
+                <LineChart data={stepSizeData} margin={{ top: 5, right: 10, left: -20, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
+                  <XAxis dataKey="visits" stroke="#4b5563" tick={{ fill: '#6b7280', fontSize: 10 }} />
+                  <YAxis domain={[0, 1]} stroke="#4b5563" tick={{ fill: '#6b7280', fontSize: 10 }} />
+                  <Line dataKey="alpha" stroke="#a78bfa" strokeWidth={2} dot={false} isAnimationActive={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
           </div>
         </div>
       </div>
 
-      {/* Hyperparameters */}
-      <div className="max-w-xl mx-auto mt-6 bg-slate-800/30 rounded-xl p-4">
-        <div className="flex justify-center gap-8 text-sm mono">
-          <span>α = {alpha}</span>
-          <span>γ = {gamma}</span>
-          <span>ε = {epsilon}</span>
+      {/* Headless benchmark */}
+      <div className="max-w-7xl mx-auto mt-8 bg-slate-800/30 rounded-2xl p-6 border-2 border-slate-700">
+        <div className="flex items-center gap-4 mb-4 flex-wrap">
+          <h2 className="text-xl font-bold text-slate-200">Learning Curves</h2>
+          <span className="text-sm text-slate-400">Return per episode, mean over runs with 95% band</span>
+          <div className="flex-1" />
+          {[
+            ['Episodes', benchmarkEpisodes, setBenchmarkEpisodes, BENCHMARK_EPISODES],
+            ['Runs', benchmarkRuns, setBenchmarkRuns, BENCHMARK_RUNS],
+            ['Smoothing', smoothing, setSmoothing, SMOOTHING_WINDOWS],
+          ].map(([label, value, setValue, options]) => (
+            <label key={label} className="flex items-center gap-2 text-sm text-slate-400">
+              {label}:
+              <select value={value} onChange={e => setValue(Number(e.target.value))}
+                className="bg-slate-900 border border-slate-600 rounded px-2 py-1 text-sm text-slate-200">
+                {options.map(option => <option key={option} value={option}>{option}</option>)}
+              </select>
+            </label>
+          ))}
+          {benchmarkProgress ? (
+            <button onClick={cancelBenchmark}
+              className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-xl font-semibold transition-all">
+              ✕ Cancel ({benchmarkProgress.done}/{benchmarkProgress.total} runs)
+            </button>
+          ) : (
+            <button onClick={runBenchmark}
+              className="px-4 py-2 bg-cyan-600 hover:bg-cyan-500 rounded-xl font-semibold transition-all">
+              ⚡ Run headless
+            </button>
+          )}
         </div>
+        {benchmarkProgress && (
+          <div className="h-1 mb-4 bg-slate-700 rounded-full overflow-hidden">
+            <div className="h-full bg-cyan-500 transition-all"
+              style={{ width: `${(benchmarkProgress.done / benchmarkProgress.total) * 100}%` }} />
+          </div>
+        )}
+        {benchmarkData ? (
+          <ResponsiveContainer width="100%" height={320}>
+            <ComposedChart data={benchmarkData.rows} margin={{ top: 10, right: 20, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
+              <XAxis dataKey="episode" stroke="#4b5563" tick={{ fill: '#6b7280', fontSize: 11 }} />
+              <YAxis stroke="#4b5563" tick={{ fill: '#6b7280', fontSize: 11 }}
+                domain={[benchmarkData.yMin, 'auto']} allowDataOverflow />
+              <Tooltip
+                contentStyle={{ background: '#0f172a', border: '1px solid #334155', fontSize: 12 }}
+                formatter={(value) => (Array.isArray(value) ? value.map(v => v.toFixed(1)).join(' – ') : value.toFixed(1))}
+              />
+              <Legend />
+              {benchmark.algorithms.map(id => (
+                <Area key={`${id}Band`} dataKey={`${id}Band`} name={`${TD_ALGORITHMS[id].name} 95%`}
+                  stroke="none" fill={ALGORITHM_VIEWS[id].stroke} fillOpacity={0.15}
+                  isAnimationActive={false} legendType="none" />
+              ))}
+              {benchmark.algorithms.map(id => (
+                <Line key={id} dataKey={id} name={TD_ALGORITHMS[id].name} stroke={ALGORITHM_VIEWS[id].stroke}
+                  strokeWidth={2} dot={false} isAnimationActive={false} />
+              ))}
+            </ComposedChart>
+          </ResponsiveContainer>
+        ) : (
+          <div className="text-center text-slate-500 py-12">
+            Trains each compared algorithm from scratch for many episodes with the settings below, without animation.
+            {preset !== 'cliff' && ' Try the Cliff Walking map to see SARSA choose the safe path.'}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,14 +1,39 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { createRng, DEFAULT_SEED } from '../lib/math';
+import { ACTIONS, createGridworld, sampleStep, getNextState } from '../lib/gridworld';
+import { downloadEnvironment, useEnvironmentImport } from '../lib/environmentFile';
 
-const GRID_SIZE = 4;
-const ACTIONS = ['↑', '→', '↓', '←'];
-const ACTION_DELTAS = { '↑': [-1, 0], '→': [0, 1], '↓': [1, 0], '←': [0, -1] };
 const RMAX = 100;
 const KNOWN_THRESHOLD = 1;
 const GAMMA = 0.9;
 
+const ENVIRONMENT = createGridworld({
+  layout: [
+    'S...',
+    '..#.',
+    '....',
+    '...G',
+  ],
+  rewards: { empty: -1, start: -1, goal: 50 },
+  cellRewards: [{ x: 1, y: 2, reward: 10 }],
+  gamma: GAMMA,
+});
+
+// Non-terminal cells that pay out are drawn as treasure
+const isTreasure = (cell) => !cell.terminal && cell.reward > 0;
+
+const formatReward = (r) => `${r > 0 ? '+' : ''}${r}`;
+
+// Every distinct reward paid by the matching cells, e.g. "+10, +5"
+const legendRewards = (env, matches) => [...new Set(env.cells.filter(matches).map(cell => cell.reward))]
+  .map(formatReward)
+  .join(', ');
+
+const formatPos = (env, s) => `[${env.cells[s].x}, ${env.cells[s].y}]`;
+
 const RmaxVisualization = () => {
-  const [agentPos, setAgentPos] = useState([0, 0]);
+  const [env, setEnv] = useState(ENVIRONMENT);
+  const [agentPos, setAgentPos] = useState(env.start);
   const [visitCounts, setVisitCounts] = useState({});
   const [transitionCounts, setTransitionCounts] = useState({});
   const [rewardEstimates, setRewardEstimates] = useState({});
@@ -21,98 +46,75 @@ const RmaxVisualization = () => {
   const [lastAction, setLastAction] = useState(null);
   const [totalReward, setTotalReward] = useState(0);
   const [message, setMessage] = useState("Welcome, brave explorer! Click 'Begin Journey' to watch the agent learn.");
+  const rngRef = useRef(createRng(DEFAULT_SEED));
 
-  const goalPos = [GRID_SIZE - 1, GRID_SIZE - 1];
-  const obstaclePos = [1, 2];
-  const treasurePos = [2, 1];
+  const getSAKey = (s, a) => `${s},${a}`;
 
-  const getStateKey = (pos) => `${pos[0]},${pos[1]}`;
-  const getSAKey = (pos, action) => `${pos[0]},${pos[1]},${action}`;
-
-  const isValidPos = (pos) => {
-    return pos[0] >= 0 && pos[0] < GRID_SIZE && 
-           pos[1] >= 0 && pos[1] < GRID_SIZE &&
-           !(pos[0] === obstaclePos[0] && pos[1] === obstaclePos[1]);
-  };
-
-  const getNextPos = (pos, action) => {
-    const delta = ACTION_DELTAS[action];
-    const newPos = [pos[0] + delta[0], pos[1] + delta[1]];
-    return isValidPos(newPos) ? newPos : pos;
-  };
-
-  const getReward = (pos) => {
-    if (pos[0] === goalPos[0] && pos[1] === goalPos[1]) return 50;
-    if (pos[0] === treasurePos[0] && pos[1] === treasurePos[1]) return 10;
-    return -1;
-  };
-
-  const isKnown = useCallback((pos, action) => {
-    const key = getSAKey(pos, action);
+  const isKnown = useCallback((s, a) => {
+    const key = getSAKey(s, a);
     return (visitCounts[key] || 0) >= KNOWN_THRESHOLD;
   }, [visitCounts]);
 
-  const getEffectiveReward = useCallback((pos, action) => {
-    if (isKnown(pos, action)) {
-      const key = getSAKey(pos, action);
-      return rewardEstimates[key] || 0;
-    }
-    return RMAX;
-  }, [isKnown, rewardEstimates]);
-
   const computeQValues = useCallback(() => {
     const newQ = {};
     
-    for (let i = 0; i < GRID_SIZE; i++) {
-      for (let j = 0; j < GRID_SIZE; j++) {
-        if (i === obstaclePos[0] && j === obstaclePos[1]) continue;
+    // Value of landing in s' under the current optimistic Q (terminals end the episode)
+    const getNextValue = (next) => {
+      if (env.cells[next].terminal) return 0;
+      let maxNextQ = 0;
+      for (let nextAction = 0; nextAction < ACTIONS.length; nextAction++) {
+        maxNextQ = Math.max(maxNextQ, qValues[getSAKey(next, nextAction)] || 0);
+      }
+      return maxNextQ;
+    };
+    
+    env.cells.forEach((cell, s) => {
+      if (cell.type === 'wall') return;
+      
+      for (let a = 0; a < ACTIONS.length; a++) {
+        const key = getSAKey(s, a);
         
-        const pos = [i, j];
-        for (const action of ACTIONS) {
-          const key = getSAKey(pos, action);
+        if (!isKnown(s, a)) {
+          newQ[key] = RMAX / (1 - env.gamma);
+        } else {
+          const reward = rewardEstimates[key] || 0;
+          const counts = transitionCounts[key] ?? { [getNextState(env, s, a)]: 1 };
+          const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
           
-          if (!isKnown(pos, action)) {
-            newQ[key] = RMAX / (1 - GAMMA);
-          } else {
-            const nextPos = getNextPos(pos, action);
-            const reward = rewardEstimates[key] || 0;
-            
-            let maxNextQ = 0;
-            for (const nextAction of ACTIONS) {
-              const nextKey = getSAKey(nextPos, nextAction);
-              maxNextQ = Math.max(maxNextQ, qValues[nextKey] || 0);
-            }
-            
-            newQ[key] = reward + GAMMA * maxNextQ;
+          // Expectation over the empirical transition model
+          let expectedNext = 0;
+          for (const [next, n] of Object.entries(counts)) {
+            expectedNext += (n / total) * getNextValue(Number(next));
           }
+          
+          newQ[key] = reward + env.gamma * expectedNext;
         }
       }
-    }
+    });
     
     return newQ;
-  }, [isKnown, rewardEstimates, qValues]);
+  }, [env, isKnown, rewardEstimates, transitionCounts, qValues]);
 
-  const selectAction = useCallback((pos) => {
-    let bestAction = ACTIONS[0];
+  const selectAction = useCallback((s) => {
+    let bestAction = 0;
     let bestQ = -Infinity;
     
-    for (const action of ACTIONS) {
-      const key = getSAKey(pos, action);
-      const q = qValues[key] || (isKnown(pos, action) ? 0 : RMAX / (1 - GAMMA));
+    for (let a = 0; a < ACTIONS.length; a++) {
+      const key = getSAKey(s, a);
+      const q = qValues[key] || (isKnown(s, a) ? 0 : RMAX / (1 - env.gamma));
       
       if (q > bestQ) {
         bestQ = q;
-        bestAction = action;
+        bestAction = a;
       }
     }
     
     return bestAction;
-  }, [qValues, isKnown]);
+  }, [env, qValues, isKnown]);
 
   const takeStep = useCallback(() => {
     const action = selectAction(agentPos);
-    const nextPos = getNextPos(agentPos, action);
-    const reward = getReward(nextPos);
+    const { state: nextPos, reward, done } = sampleStep(env, agentPos, action, rngRef.current);
     const saKey = getSAKey(agentPos, action);
     
     const wasKnown = isKnown(agentPos, action);
@@ -122,6 +124,11 @@ const RmaxVisualization = () => {
       [saKey]: (prev[saKey] || 0) + 1
     }));
     
+    setTransitionCounts(prev => ({
+      ...prev,
+      [saKey]: { ...prev[saKey], [nextPos]: (prev[saKey]?.[nextPos] || 0) + 1 }
+    }));
+    
     setRewardEstimates(prev => {
       const oldCount = visitCounts[saKey] || 0;
       const oldEst = prev[saKey] || 0;
@@ -130,7 +137,7 @@ const RmaxVisualization = () => {
     });
     
     if (!wasKnown && (visitCounts[saKey] || 0) + 1 >= KNOWN_THRESHOLD) {
-      setMessage(`✨ The path ${action} from [${agentPos}] is now KNOWN! No more fairy tales needed here.`);
+      setMessage(`✨ The path ${ACTIONS[action].arrow} from ${formatPos(env, agentPos)} is now KNOWN! No more fairy tales needed here.`);
     } else if (!wasKnown) {
       setShowFairyTale({ pos: agentPos, action });
       setMessage(`🏰 Unknown territory! The agent imagines a fairy tale land with reward ${RMAX}...`);
@@ -142,9 +149,9 @@ const RmaxVisualization = () => {
     setTotalReward(prev => prev + reward);
     setStep(prev => prev + 1);
     
-    if (nextPos[0] === goalPos[0] && nextPos[1] === goalPos[1]) {
+    if (done) {
       setMessage(`🎉 Reached the castle! Episode ${episode + 1} complete. Total reward: ${(totalReward + reward).toFixed(1)}`);
-      setAgentPos([0, 0]);
+      setAgentPos(env.start);
       setEpisode(prev => prev + 1);
       setTotalReward(0);
     } else {
@@ -152,7 +159,7 @@ const RmaxVisualization = () => {
     }
     
     setTimeout(() => setShowFairyTale(null), 300);
-  }, [agentPos, selectAction, isKnown, visitCounts, episode, totalReward]);
+  }, [env, agentPos, selectAction, isKnown, visitCounts, episode, totalReward]);
 
   useEffect(() => {
     const newQ = computeQValues();
@@ -167,8 +174,8 @@ const RmaxVisualization = () => {
     return () => clearInterval(interval);
   }, [isRunning, takeStep, speed]);
 
-  const reset = () => {
-    setAgentPos([0, 0]);
+  const reset = (nextEnv = env) => {
+    setAgentPos(nextEnv.start);
     setVisitCounts({});
     setTransitionCounts({});
     setRewardEstimates({});
@@ -178,27 +185,38 @@ const RmaxVisualization = () => {
     setIsRunning(false);
     setTotalReward(0);
     setMessage("Fresh start! All memories erased. The world is full of mystery again.");
+    rngRef.current = createRng(DEFAULT_SEED);
   };
 
-  const getVisitCount = (pos, action) => visitCounts[getSAKey(pos, action)] || 0;
+  // Unknown pairs are worth Rmax / (1 − γ), which has no finite value without discounting
+  const environmentImport = useEnvironmentImport((spec) => {
+    const imported = createGridworld(spec);
+    setEnv(imported);
+    reset(imported);
+    setMessage('A new kingdom appears on the map! The world is full of mystery again.');
+  }, (spec) => (spec.gamma >= 1 ? `R-Max needs a discount below 1 ("gamma" is ${spec.gamma})` : null));
+
+  const getVisitCount = (s, a) => visitCounts[getSAKey(s, a)] || 0;
   
-  const getCellColor = (i, j) => {
-    if (i === goalPos[0] && j === goalPos[1]) return 'linear-gradient(135deg, #ffd700 0%, #ff8c00 100%)';
-    if (i === obstaclePos[0] && j === obstaclePos[1]) return 'linear-gradient(135deg, #2d3436 0%, #636e72 100%)';
-    if (i === treasurePos[0] && j === treasurePos[1]) return 'linear-gradient(135deg, #a29bfe 0%, #6c5ce7 100%)';
+  const getCellColor = (s) => {
+    const cell = env.cells[s];
+    if (cell.type === 'goal') return 'linear-gradient(135deg, #ffd700 0%, #ff8c00 100%)';
+    if (cell.type === 'wall') return 'linear-gradient(135deg, #2d3436 0%, #636e72 100%)';
+    if (cell.type === 'pit') return 'linear-gradient(135deg, #c0392b 0%, #641e16 100%)';
+    if (isTreasure(cell)) return 'linear-gradient(135deg, #a29bfe 0%, #6c5ce7 100%)';
     
     let totalVisits = 0;
-    for (const action of ACTIONS) {
-      totalVisits += getVisitCount([i, j], action);
+    for (let a = 0; a < ACTIONS.length; a++) {
+      totalVisits += getVisitCount(s, a);
     }
     const alpha = Math.min(totalVisits / 20, 0.6);
     return `rgba(116, 185, 255, ${alpha})`;
   };
 
-  const getMaxQ = (pos) => {
+  const getMaxQ = (s) => {
     let maxQ = -Infinity;
-    for (const action of ACTIONS) {
-      const key = getSAKey(pos, action);
+    for (let a = 0; a < ACTIONS.length; a++) {
+      const key = getSAKey(s, a);
       maxQ = Math.max(maxQ, qValues[key] || 0);
     }
     return maxQ === -Infinity ? 0 : maxQ;
@@ -309,24 +327,22 @@ const RmaxVisualization = () => {
             
             <div style={{
               display: 'grid',
-              gridTemplateColumns: `repeat(${GRID_SIZE}, 90px)`,
+              gridTemplateColumns: `repeat(${env.width}, 90px)`,
               gap: '4px',
               marginBottom: '20px'
             }}>
-              {[...Array(GRID_SIZE)].map((_, i) => (
-                [...Array(GRID_SIZE)].map((_, j) => {
-                  const isAgent = agentPos[0] === i && agentPos[1] === j;
-                  const isGoal = i === goalPos[0] && j === goalPos[1];
-                  const isObstacle = i === obstaclePos[0] && j === obstaclePos[1];
-                  const isTreasure = i === treasurePos[0] && j === treasurePos[1];
-                  const isFairyTale = showFairyTale && 
-                    showFairyTale.pos[0] === i && showFairyTale.pos[1] === j;
+              {env.cells.map((cell, s) => {
+                  const isAgent = agentPos === s;
+                  const isGoal = cell.type === 'goal';
+                  const isObstacle = cell.type === 'wall';
+                  const isTreasureCell = isTreasure(cell);
+                  const isFairyTale = showFairyTale && showFairyTale.pos === s;
                   
                   return (
-                    <div key={`${i}-${j}`} style={{
+                    <div key={s} style={{
                       width: '90px',
                       height: '90px',
-                      background: getCellColor(i, j),
+                      background: getCellColor(s),
                       borderRadius: '12px',
                       display: 'flex',
                       flexDirection: 'column',
@@ -358,7 +374,8 @@ const RmaxVisualization = () => {
                       )}
                       {isGoal && !isAgent && <div style={{ fontSize: '2rem' }}>🏰</div>}
                       {isObstacle && <div style={{ fontSize: '2rem' }}>🌲</div>}
-                      {isTreasure && !isAgent && <div style={{ fontSize: '2rem' }}>💎</div>}
+                      {cell.type === 'pit' && !isAgent && <div style={{ fontSize: '2rem' }}>🐉</div>}
+                      {isTreasureCell && !isAgent && <div style={{ fontSize: '2rem' }}>💎</div>}
                       
                       {!isObstacle && (
                         <div style={{
@@ -370,13 +387,12 @@ const RmaxVisualization = () => {
                           padding: '2px 6px',
                           borderRadius: '4px'
                         }}>
-                          V: {getMaxQ([i, j]).toFixed(0)}
+                          V: {getMaxQ(s).toFixed(0)}
                         </div>
                       )}
                     </div>
                   );
-                })
-              ))}
+                })}
             </div>
 
             {/* Legend */}
@@ -388,8 +404,8 @@ const RmaxVisualization = () => {
               fontSize: '0.9rem'
             }}>
               <span>🧙‍♂️ Agent</span>
-              <span>🏰 Goal (+50)</span>
-              <span>💎 Treasure (+10)</span>
+              <span>🏰 Goal ({legendRewards(env, cell => cell.type === 'goal') || formatReward(env.rewards.goal)})</span>
+              {env.cells.some(isTreasure) && <span>💎 Treasure ({legendRewards(env, isTreasure)})</span>}
               <span>🌲 Forest (blocked)</span>
             </div>
           </div>
@@ -444,7 +460,7 @@ const RmaxVisualization = () => {
                   👣 One Step
                 </button>
                 
-                <button onClick={reset} style={{
+                <button onClick={() => reset()} style={{
                   background: 'linear-gradient(135deg, #9b59b6 0%, #8e44ad 100%)',
                   border: 'none',
                   color: '#fff',
@@ -458,6 +474,58 @@ const RmaxVisualization = () => {
                 </button>
               </div>
               
+              <div style={{ display: 'flex', gap: '10px', justifyContent: 'center', marginBottom: '15px' }}>
+                {[
+                  { label: '📜 Export Map', onClick: () => downloadEnvironment(env, {}, 'rmax-kingdom.json') },
+                  { label: '🗺️ Import Map', onClick: environmentImport.open },
+                ].map(({ label, onClick }) => (
+                  <button key={label} onClick={onClick} style={{
+                    background: 'transparent',
+                    border: '1px solid rgba(244, 228, 188, 0.4)',
+                    color: '#f4e4bc',
+                    padding: '8px 16px',
+                    borderRadius: '25px',
+                    cursor: 'pointer',
+                    fontFamily: "'Cinzel', serif",
+                    fontSize: '0.85rem'
+                  }}>
+                    {label}
+                  </button>
+                ))}
+                <input
+                  ref={environmentImport.inputRef}
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={environmentImport.onChange}
+                  style={{ display: 'none' }}
+                />
+              </div>
+              {environmentImport.error && (
+                <div style={{
+                  background: 'rgba(231, 76, 60, 0.15)',
+                  border: '1px solid rgba(231, 76, 60, 0.5)',
+                  borderRadius: '10px',
+                  padding: '10px 15px',
+                  marginBottom: '15px',
+                  fontSize: '0.9rem',
+                  whiteSpace: 'pre-line'
+                }}>
+                  {environmentImport.error}
+                  <button onClick={environmentImport.clearError} style={{
+                    display: 'block',
+                    marginTop: '6px',
+                    background: 'none',
+                    border: 'none',
+                    color: '#e74c3c',
+                    cursor: 'pointer',
+                    padding: 0,
+                    fontFamily: 'inherit'
+                  }}>
+                    Dismiss
+                  </button>
+                </div>
+              )}
+              
               <div style={{ textAlign: 'center' }}>
                 <label style={{ display: 'block', marginBottom: '8px' }}>
                   Speed: {speed}ms
@@ -519,18 +587,18 @@ const RmaxVisualization = () => {
                 marginTop: 0,
                 fontSize: '1.3rem'
               }}>
-                📜 Knowledge at [{agentPos[0]}, {agentPos[1]}]
+                📜 Knowledge at {formatPos(env, agentPos)}
               </h2>
               
               <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '10px' }}>
-                {ACTIONS.map(action => {
-                  const visits = getVisitCount(agentPos, action);
+                {ACTIONS.map((action, a) => {
+                  const visits = getVisitCount(agentPos, a);
                   const known = visits >= KNOWN_THRESHOLD;
-                  const key = getSAKey(agentPos, action);
-                  const q = qValues[key] || (known ? 0 : RMAX / (1 - GAMMA));
+                  const key = getSAKey(agentPos, a);
+                  const q = qValues[key] || (known ? 0 : RMAX / (1 - env.gamma));
                   
                   return (
-                    <div key={action} style={{
+                    <div key={action.name} style={{
                       background: known 
                         ? 'rgba(39, 174, 96, 0.2)'
                         : 'rgba(255, 215, 0, 0.15)',
@@ -542,7 +610,7 @@ const RmaxVisualization = () => {
                       textAlign: 'center'
                     }}>
                       <div style={{ fontSize: '1.5rem', marginBottom: '5px' }}>
-                        {action}
+                        {action.arrow}
                       </div>
                       <div style={{ fontSize: '0.85rem' }}>
                         Visits: {visits}/{KNOWN_THRESHOLD}
@@ -1,126 +1,272 @@
-import React, { useState, useEffect, useCallback } from 'react';
-
-const GRID_SIZE = 5;
-const ACTIONS = [
-  { name: 'up', dx: 0, dy: -1, arrow: '↑' },
-  { name: 'right', dx: 1, dy: 0, arrow: '→' },
-  { name: 'down', dx: 0, dy: 1, arrow: '↓' },
-  { name: 'left', dx: -1, dy: 0, arrow: '←' },
-];
-
-// Initial grid setup
-const createInitialGrid = () => {
-  const grid = [];
-  for (let y = 0; y < GRID_SIZE; y++) {
-    const row = [];
-    for (let x = 0; x < GRID_SIZE; x++) {
-      row.push({
-        value: 0,
-        reward: -0.04, // Small negative reward to encourage reaching goal
-        isWall: false,
-        isGoal: false,
-        isPit: false,
-        policy: null,
-      });
-    }
-    grid.push(row);
-  }
-  // Set goal state (high reward)
-  grid[0][GRID_SIZE - 1].reward = 1;
-  grid[0][GRID_SIZE - 1].isGoal = true;
-  
-  // Set pit (negative reward)
-  grid[1][GRID_SIZE - 1].reward = -1;
-  grid[1][GRID_SIZE - 1].isPit = true;
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import {
+  BarChart, Bar, Cell, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer,
+} from 'recharts';
+import {
+  ACTIONS,
+  CELL_CODES,
+  MAX_GRID_DIMENSION,
+  createGridworld,
+  getActionValue,
+  getTransitions,
+  setCellType,
+  setCellReward as setSpecCellReward,
+  toCoords,
+} from '../lib/gridworld';
+import { SWEEP_MODES, createPlanner, createSweepModel, plannerStep, countBackups } from '../lib/valueIteration';
+import { createRng, DEFAULT_SEED } from '../lib/math';
+import { downloadEnvironment, useEnvironmentImport } from '../lib/environmentFile';
+import {
+  readUrlState,
+  useUrlStateSync,
+  formatNumber,
+  formatNumberList,
+  parseEnum,
+  parseNumber,
+  parseNumberList,
+} from '../lib/urlState';
+
+const DEFAULT_GRID_SIZE = 5;
+const MIN_GRID_SIZE = 3;
+const MAX_GRID_SIZE = 8;
+const MAX_SLIP = 0.5;
+
+// Converged once the largest change of a sweep (or Bellman error, when prioritized) is below this
+const CONVERGENCE_THRESHOLD = 0.0001;
+
+// Milliseconds without a change to γ, slip or the map before the modes' backups are counted
+const BACKUP_COUNT_DELAY = 300;
+
+const SWEEP_MODE_LABELS = {
+  sync: 'Synchronous (Jacobi)',
+  gaussSeidel: 'Gauss-Seidel (in place)',
+  async: 'Asynchronous (random order)',
+  prioritized: 'Prioritized sweeping',
+};
+
+const SWEEP_MODE_SHORT_LABELS = { sync: 'Jacobi', gaussSeidel: 'G-S', async: 'Async', prioritized: 'Prioritized' };
+
+const SWEEP_MODE_COLORS = { sync: '#60a5fa', gaussSeidel: '#a78bfa', async: '#f472b6', prioritized: '#fbbf24' };
+
+// Actions whose Q is within this of the best are flagged as (near-)ties in the cell inspector
+const TIE_TOLERANCES = [0, 1e-6, 1e-3, 1e-2];
+
+// Editor cycles through these on click
+const EDIT_CYCLE = ['empty', 'wall', 'goal', 'pit', 'start'];
+const REWARDS = { empty: -0.04, start: -0.04, goal: 1, pit: -1 };
+
+const formatReward = (r) => `${r > 0 ? '+' : ''}${r}`;
+
+// Every distinct reward paid by cells of a type on the map, or the type's reward if there are none
+const legendRewards = (env, type) => {
+  const rewards = [...new Set(env.cells.filter(cell => cell.type === type).map(cell => cell.reward))];
+  return (rewards.length > 0 ? rewards : [env.rewards[type]]).map(formatReward).join(', ');
+};
+
+// Initial grid setup; the default layout is placed relative to the grid size
+const createDefaultSpec = (size = DEFAULT_GRID_SIZE) => {
+  const rows = Array.from({ length: size }, () => Array(size).fill('.'));
+  // Goal (high reward) in the top-right corner with the pit below it
+  rows[0][size - 1] = 'G';
+  rows[1][size - 1] = 'P';
+  rows[size - 1][0] = 'S';
   
   // Set walls
-  grid[1][1].isWall = true;
-  grid[2][1].isWall = true;
-  grid[3][3].isWall = true;
+  [[1, 1], [2, 1], [3, 3]]
+    .filter(([y, x]) => y < size - 1 && x < size - 1)
+    .forEach(([y, x]) => { rows[y][x] = '#'; });
   
-  return grid;
+  return { layout: rows.map(row => row.join('')), rewards: REWARDS };
+};
+
+// URL-safe cell codes ('#' would end the hash query)
+const URL_CODES = { empty: 'e', wall: 'w', goal: 'g', pit: 'p', start: 's' };
+
+// Map as one code per cell (row-major) and its width, plus "index_reward" pairs for
+// non-default rewards and the terminal indices when they differ from goals and pits
+const encodeMap = (env) => {
+  const rewards = [];
+  env.cells.forEach((cell, s) => {
+    if (cell.type !== 'wall' && cell.reward !== REWARDS[cell.type]) rewards.push(s, cell.reward);
+  });
+  const params = {
+    map: env.cells.map(cell => URL_CODES[cell.type]).join(''),
+    cols: String(env.width),
+    rewards: formatNumberList(rewards),
+  };
+  if (env.spec.terminals) {
+    params.terminals = formatNumberList(env.spec.terminals.map(({ x, y }) => y * env.width + x));
+  }
+  return params;
+};
+
+const decodeMap = (params) => {
+  const map = params.get('map');
+  if (!map) return undefined;
+  const width = parseNumber(params.get('cols'), { integer: true, min: 1, max: MAX_GRID_DIMENSION })
+    ?? Math.round(Math.sqrt(map.length));
+  const height = map.length / width;
+  const types = [...map].map(code => EDIT_CYCLE.find(type => URL_CODES[type] === code));
+  if (!Number.isInteger(height) || height > MAX_GRID_DIMENSION || types.includes(undefined)) {
+    return undefined;
+  }
+  const layout = [];
+  for (let y = 0; y < height; y++) {
+    layout.push(types.slice(y * width, (y + 1) * width).map(type => CELL_CODES[type]).join(''));
+  }
+  const toCell = (s) => ({ x: s % width, y: Math.floor(s / width) });
+  const inGrid = (s) => Number.isInteger(s) && s >= 0 && s < map.length;
+  const cellRewards = (parseNumberList(params.get('rewards') ?? '', 2) ?? [])
+    .filter(([s]) => inGrid(s))
+    .map(([s, reward]) => ({ ...toCell(s), reward }));
+  const terminals = parseNumberList(params.get('terminals'))?.filter(inGrid).map(toCell);
+  return { layout, rewards: REWARDS, cellRewards, terminals };
+};
+
+// Shareable configuration (see lib/urlState)
+const URL_STATE = {
+  version: 1,
+  encode: (state) => ({
+    gamma: formatNumber(state.gamma),
+    slip: formatNumber(state.slip),
+    mode: state.mode,
+    ...encodeMap(state.env),
+  }),
+  decode: (params) => ({
+    gamma: parseNumber(params.get('gamma'), { min: 0, max: 0.99 }),
+    slip: parseNumber(params.get('slip'), { min: 0, max: MAX_SLIP }),
+    mode: parseEnum(params.get('mode'), SWEEP_MODES),
+    spec: decodeMap(params),
+  }),
 };
 
 const ValueIterationViz = () => {
-  const [grid, setGrid] = useState(createInitialGrid());
-  const [gamma, setGamma] = useState(0.9);
-  const [iteration, setIteration] = useState(0);
+  const [initial] = useState(() => readUrlState(URL_STATE));
+  const [spec, setSpec] = useState(initial.spec ?? createDefaultSpec());
+  const env = useMemo(() => createGridworld(spec), [spec]);
+  const [mode, setMode] = useState(initial.mode ?? 'sync');
+  // Values, greedy policy and sweep bookkeeping (see lib/valueIteration)
+  const [planner, setPlanner] = useState(() => createPlanner(env.numStates));
+  const { values, policy, maxDelta, converged } = planner;
+  const iteration = planner.sweeps;
+  // Values before the last completed sweep (null until one completes), and before the current one
+  const [previousValues, setPreviousValues] = useState(null);
+  const [sweepStartValues, setSweepStartValues] = useState(planner.values);
+  const rngRef = useRef(createRng(DEFAULT_SEED)); // sweep orders of the asynchronous mode
+  // One entry per completed sweep { iteration, delta, policyChanged }, and the greedy policy
+  // after the last one to compare the next against
+  const [convergence, setConvergence] = useState({ sweeps: [], policy: null });
+  const [gamma, setGamma] = useState(initial.gamma ?? 0.9);
+  const [slip, setSlip] = useState(initial.slip ?? 0);
+  const sweepModel = useMemo(() => createSweepModel(env, slip), [env, slip]);
   const [isRunning, setIsRunning] = useState(false);
   const [speed, setSpeed] = useState(500);
   const [selectedCell, setSelectedCell] = useState(null);
-  const [maxDelta, setMaxDelta] = useState(0);
-  const [converged, setConverged] = useState(false);
+  const [editMode, setEditMode] = useState(false);
+  const [tieTolerance, setTieTolerance] = useState(1e-3);
 
-  // Get next state given action (handles boundaries and walls)
-  const getNextState = useCallback((x, y, action, currentGrid) => {
-    const newX = x + action.dx;
-    const newY = y + action.dy;
-    
-    // Check boundaries
-    if (newX < 0 || newX >= GRID_SIZE || newY < 0 || newY >= GRID_SIZE) {
-      return { x, y }; // Stay in place
-    }
-    
-    // Check walls
-    if (currentGrid[newY][newX].isWall) {
-      return { x, y }; // Stay in place
-    }
-    
-    return { x: newX, y: newY };
-  }, []);
+  // Size for the slider and the default map; imported maps may be larger or not square
+  const gridSize = Math.min(Math.max(env.width, MIN_GRID_SIZE), MAX_GRID_SIZE);
+
+  // Rows of cells for rendering: the model's cell plus its current value and greedy action
+  const grid = useMemo(() => Array.from({ length: env.height }, (_, y) =>
+    env.cells.slice(y * env.width, (y + 1) * env.width).map((cell, x) => ({
+      value: values[y * env.width + x],
+      reward: cell.reward,
+      isWall: cell.type === 'wall',
+      isGoal: cell.type === 'goal',
+      isPit: cell.type === 'pit',
+      isStart: cell.type === 'start',
+      isTerminal: cell.terminal,
+      policy: policy[y * env.width + x] === null ? null : ACTIONS[policy[y * env.width + x]],
+      // Backed up by the last single-cell step
+      justUpdated: mode !== 'sync' && planner.updated.includes(y * env.width + x),
+    }))
+  ), [env, values, policy, mode, planner.updated]);
 
-  // Perform one iteration of value iteration
+  const selected = selectedCell && selectedCell.y < env.height && selectedCell.x < env.width
+    ? { ...selectedCell, cell: grid[selectedCell.y][selectedCell.x] }
+    : null;
+
+  useUrlStateSync(URL_STATE, { gamma, slip, mode, env });
+
+  // Q-value decomposition of the selected cell under the current values, i.e. what the next sweep
+  // computes for it, with each action's change from the Q-values before the last completed sweep
+  const inspector = (() => {
+    if (!selected || selected.cell.isWall || selected.cell.isTerminal) return null;
+    const s = selected.y * env.width + selected.x;
+    const actions = ACTIONS.map((action, a) => {
+      const transitions = getTransitions(env, s, a, slip).map(t => ({
+        ...t,
+        ...toCoords(env, t.state),
+        discounted: gamma * values[t.state],
+        contribution: t.prob * (t.reward + gamma * values[t.state]),
+      }));
+      return {
+        action,
+        transitions,
+        q: transitions.reduce((sum, t) => sum + t.contribution, 0),
+        previousQ: previousValues ? getActionValue(env, previousValues, s, a, gamma, slip) : null,
+      };
+    });
+    // Same rule as the planner's backups: a strict > keeps the first of equal actions
+    const best = actions.reduce((b, entry, a) => (entry.q > actions[b].q ? a : b), 0);
+    const tied = ACTIONS.map((_, a) => a).filter(a => actions[best].q - actions[a].q <= tieTolerance);
+    return { actions, best, tied };
+  })();
+
+  // One step of the selected mode: a whole sweep for Jacobi, a single backup otherwise
   const performIteration = useCallback(() => {
     if (converged) return;
-    
-    setGrid(prevGrid => {
-      const newGrid = prevGrid.map(row => row.map(cell => ({ ...cell })));
-      let maxChange = 0;
-      
-      for (let y = 0; y < GRID_SIZE; y++) {
-        for (let x = 0; x < GRID_SIZE; x++) {
-          const cell = prevGrid[y][x];
-          
-          // Skip walls, goals, and pits (terminal states)
-          if (cell.isWall || cell.isGoal || cell.isPit) {
-            newGrid[y][x].value = cell.isGoal ? 1 : (cell.isPit ? -1 : 0);
-            continue;
-          }
-          
-          // Calculate Q-value for each action
-          let bestValue = -Infinity;
-          let bestAction = null;
-          
-          for (const action of ACTIONS) {
-            const nextState = getNextState(x, y, action, prevGrid);
-            const nextValue = prevGrid[nextState.y][nextState.x].value;
-            const qValue = cell.reward + gamma * nextValue;
-            
-            if (qValue > bestValue) {
-              bestValue = qValue;
-              bestAction = action;
-            }
-          }
-          
-          const change = Math.abs(bestValue - cell.value);
-          maxChange = Math.max(maxChange, change);
-          
-          newGrid[y][x].value = bestValue;
-          newGrid[y][x].policy = bestAction;
-        }
-      }
-      
-      setMaxDelta(maxChange);
-      if (maxChange < 0.0001) {
-        setConverged(true);
-        setIsRunning(false);
+    const next = plannerStep(planner, env, mode, { gamma, slip, epsilon: CONVERGENCE_THRESHOLD }, rngRef.current, sweepModel);
+    setPlanner(next);
+    if (next.sweeps > planner.sweeps) {
+      setPreviousValues(sweepStartValues);
+      setSweepStartValues(next.values);
+      const policyChanged = next.policy.some((a, s) => a !== (convergence.policy ?? [])[s]);
+      setConvergence({
+        sweeps: [...convergence.sweeps, { iteration: next.sweeps, delta: next.maxDelta, policyChanged }],
+        policy: next.policy,
+      });
+    }
+    if (next.converged) setIsRunning(false);
+  }, [env, sweepModel, planner, sweepStartValues, mode, gamma, slip, converged, convergence]);
+
+  // ‖V_k − V_{k−1}‖∞ per sweep against the contraction γ^(k−1)·‖V_1 − V_0‖∞ and the bound
+  // ‖V_k − V*‖∞ ≤ γ/(1−γ)·‖V_k − V_{k−1}‖∞; zeros are left out of the log axis
+  const convergenceData = convergence.sweeps.map(({ iteration: k, delta }) => ({
+    iteration: k,
+    delta: delta > 0 ? delta : null,
+    contraction: convergence.sweeps[0].delta > 0 ? convergence.sweeps[0].delta * Math.pow(gamma, k - 1) : null,
+    bound: delta > 0 && gamma > 0 ? (gamma / (1 - gamma)) * delta : null,
+  }));
+  const lastPolicyChange = convergence.sweeps.filter(entry => entry.policyChanged).pop()?.iteration ?? null;
+  const errorBound = convergence.sweeps.length > 0 ? (gamma / (1 - gamma)) * maxDelta : null;
+
+  // Backups each mode needs to converge on the current map, computed without animation. Counting
+  // waits until γ, slip and the map stop changing, then runs one mode per timer tick outside render;
+  // null while it is pending.
+  const [backupCounts, setBackupCounts] = useState(null);
+  useEffect(() => {
+    setBackupCounts(null);
+    const counts = [];
+    let timer;
+    const countNext = () => {
+      const id = SWEEP_MODES[counts.length];
+      counts.push({
+        id,
+        label: SWEEP_MODE_SHORT_LABELS[id],
+        backups: countBackups(env, id, { gamma, slip, epsilon: CONVERGENCE_THRESHOLD }, createRng(DEFAULT_SEED)),
+      });
+      if (counts.length < SWEEP_MODES.length) {
+        timer = setTimeout(countNext, 0);
+      } else {
+        setBackupCounts(counts);
       }
-      
-      return newGrid;
-    });
-    
-    setIteration(prev => prev + 1);
-  }, [gamma, getNextState, converged]);
+    };
+    timer = setTimeout(countNext, BACKUP_COUNT_DELAY);
+    return () => clearTimeout(timer);
+  }, [env, gamma, slip]);
 
   // Auto-run effect
   useEffect(() => {
@@ -133,14 +279,61 @@ const ValueIterationViz = () => {
     return () => clearInterval(interval);
   }, [isRunning, speed, performIteration]);
 
+  // Clears values; a running sweep keeps going (on the new map after an edit)
+  const restartIteration = (numStates = env.numStates) => {
+    const fresh = createPlanner(numStates);
+    setPlanner(fresh);
+    setPreviousValues(null);
+    setSweepStartValues(fresh.values);
+    setConvergence({ sweeps: [], policy: null });
+    rngRef.current = createRng(DEFAULT_SEED);
+  };
+
   // Reset function
   const handleReset = () => {
-    setGrid(createInitialGrid());
-    setIteration(0);
     setIsRunning(false);
     setSelectedCell(null);
-    setMaxDelta(0);
-    setConverged(false);
+    restartIteration();
+  };
+
+  // Editor: clicking a cell cycles its type (at most one start cell)
+  const cycleCellType = (x, y) => {
+    const current = env.cells[y * env.width + x].type;
+    const type = EDIT_CYCLE[(EDIT_CYCLE.indexOf(current) + 1) % EDIT_CYCLE.length];
+    let nextSpec = setCellType(spec, x, y, type);
+    if (type === 'start') {
+      env.cells
+        .filter(cell => cell.type === 'start')
+        .forEach(cell => { nextSpec = setCellType(nextSpec, cell.x, cell.y, 'empty'); });
+    }
+    setSpec(nextSpec);
+    restartIteration();
+  };
+
+  const setCellReward = (x, y, reward) => {
+    if (!Number.isFinite(reward)) return;
+    setSpec(setSpecCellReward(spec, x, y, reward));
+    restartIteration();
+  };
+
+  const resizeGrid = (size) => {
+    setSpec(createDefaultSpec(size));
+    setSelectedCell(null);
+    restartIteration(size * size);
+  };
+
+  const environmentImport = useEnvironmentImport((imported) => {
+    setSpec(imported);
+    if (imported.gamma !== undefined) setGamma(Math.min(imported.gamma, 0.99));
+    setSlip(Math.min(imported.slip ?? 0, MAX_SLIP));
+    setEditMode(false);
+    setSelectedCell(null);
+    restartIteration(imported.layout.length * imported.layout[0].length);
+  });
+
+  const handleCellClick = (x, y) => {
+    if (editMode) cycleCellType(x, y);
+    setSelectedCell({ x, y });
   };
 
   // Get color based on value
@@ -150,7 +343,7 @@ const ValueIterationViz = () => {
     if (cell.isPit) return '#ef4444';
     
     // Normalize value to color
-    const normalized = (value + 1) / 2; // Map -1 to 1 → 0 to 1
+    const normalized = Math.max(0, Math.min(1, (value + 1) / 2)); // Map -1 to 1 → 0 to 1
     const hue = normalized * 120; // Red (0) to Green (120)
     const saturation = Math.min(Math.abs(value) * 100, 70);
     return `hsl(${hue}, ${saturation}%, ${35 + normalized * 20}%)`;
@@ -191,7 +384,7 @@ const ValueIterationViz = () => {
             }}>
               <div style={{
                 display: 'grid',
-                gridTemplateColumns: `repeat(${GRID_SIZE}, 1fr)`,
+                gridTemplateColumns: `repeat(${env.width}, 1fr)`,
                 gap: '4px',
                 marginBottom: '20px',
               }}>
@@ -199,7 +392,7 @@ const ValueIterationViz = () => {
                   row.map((cell, x) => (
                     <div
                       key={`${x}-${y}`}
-                      onClick={() => setSelectedCell({ x, y, cell })}
+                      onClick={() => handleCellClick(x, y)}
                       style={{
                         aspectRatio: '1',
                         background: getValueColor(cell.value, cell),
@@ -208,17 +401,21 @@ const ValueIterationViz = () => {
                         flexDirection: 'column',
                         alignItems: 'center',
                         justifyContent: 'center',
-                        cursor: 'pointer',
+                        cursor: editMode ? 'crosshair' : 'pointer',
                         transition: 'all 0.3s ease',
                         border: selectedCell?.x === x && selectedCell?.y === y
                           ? '3px solid #f472b6'
-                          : '1px solid rgba(255,255,255,0.1)',
+                          : cell.justUpdated
+                            ? '2px solid #fbbf24'
+                            : '1px solid rgba(255,255,255,0.1)',
                         position: 'relative',
                         boxShadow: cell.isGoal 
                           ? '0 0 20px rgba(16, 185, 129, 0.5)' 
                           : cell.isPit 
                             ? '0 0 20px rgba(239, 68, 68, 0.5)' 
-                            : 'none',
+                            : cell.justUpdated
+                              ? '0 0 20px rgba(251, 191, 36, 0.6)'
+                              : 'none',
                       }}
                     >
                       {cell.isWall ? (
@@ -249,6 +446,16 @@ const ValueIterationViz = () => {
                           )}
                         </>
                       )}
+                      {cell.isStart && (
+                        <span style={{
+                          position: 'absolute',
+                          top: '2px',
+                          left: '4px',
+                          fontSize: '0.7rem',
+                        }}>
+                          🚩
+                        </span>
+                      )}
                       {/* Coordinates */}
                       <span style={{
                         position: 'absolute',
@@ -273,12 +480,71 @@ const ValueIterationViz = () => {
                 fontSize: '0.8rem',
                 color: '#94a3b8',
               }}>
-                <span>🏆 Goal (+1)</span>
-                <span>💀 Pit (-1)</span>
+                <span>🏆 Goal ({legendRewards(env, 'goal')})</span>
+                <span>💀 Pit ({legendRewards(env, 'pit')})</span>
                 <span>🧱 Wall</span>
+                <span>🚩 Start</span>
                 <span style={{ color: '#fbbf24' }}>↑→↓← Policy</span>
               </div>
             </div>
+
+            {/* Convergence */}
+            <div style={{
+              marginTop: '16px',
+              background: 'rgba(30, 41, 59, 0.5)',
+              borderRadius: '16px',
+              padding: '24px',
+              border: '1px solid rgba(148, 163, 184, 0.1)',
+            }}>
+              <h3 style={{ 
+                fontSize: '0.9rem', 
+                color: '#a78bfa', 
+                marginBottom: '12px',
+                textTransform: 'uppercase',
+                letterSpacing: '0.1em',
+              }}>
+                Convergence
+              </h3>
+              {mode === 'prioritized' ? (
+                <p style={{ fontSize: '0.8rem', color: '#64748b', margin: 0 }}>
+                  Prioritized sweeping backs up single cells without ever completing a sweep, so there is no
+                  ‖V_k − V_k−1‖∞ per iteration. Pick a sweep-based backup order to plot it.
+                </p>
+              ) : convergenceData.length === 0 ? (
+                <p style={{ fontSize: '0.8rem', color: '#64748b', margin: 0 }}>
+                  Complete a sweep to start the plot.
+                </p>
+              ) : (
+                <>
+                  <ResponsiveContainer width="100%" height={220}>
+                    <LineChart data={convergenceData} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
+                      <XAxis dataKey="iteration" stroke="#4b5563" tick={{ fill: '#6b7280', fontSize: 10 }} />
+                      <YAxis scale="log" domain={['auto', 'auto']} allowDataOverflow stroke="#4b5563"
+                        tick={{ fill: '#6b7280', fontSize: 10 }} tickFormatter={(v) => v.toExponential(0)} />
+                      <Tooltip
+                        contentStyle={{ background: '#0f172a', border: '1px solid #334155', fontSize: 12 }}
+                        formatter={(value) => (value === null ? '–' : value.toExponential(3))}
+                      />
+                      <Legend wrapperStyle={{ fontSize: 11 }} />
+                      <Line dataKey="delta" name="‖V_k − V_k−1‖∞" stroke="#a78bfa" strokeWidth={2} dot={false} isAnimationActive={false} />
+                      <Line dataKey="contraction" name="γ^(k−1)·‖V_1 − V_0‖∞" stroke="#64748b" strokeDasharray="5 5" dot={false} isAnimationActive={false} />
+                      <Line dataKey="bound" name="bound on ‖V_k − V*‖∞" stroke="#f472b6" strokeDasharray="2 3" dot={false} isAnimationActive={false} />
+                      {lastPolicyChange !== null && (
+                        <ReferenceLine x={lastPolicyChange} stroke="#fbbf24" strokeDasharray="4 2"
+                          label={{ value: 'policy fixed', fill: '#fbbf24', fontSize: 10, position: 'insideTopRight' }} />
+                      )}
+                    </LineChart>
+                  </ResponsiveContainer>
+                  <p style={{ fontSize: '0.8rem', color: '#94a3b8', marginTop: '8px', marginBottom: 0, lineHeight: '1.6' }}>
+                    The greedy policy last changed in sweep <span style={{ color: '#fbbf24' }}>{lastPolicyChange}</span>
+                    {converged
+                      ? <>, the values converged only in sweep <span style={{ color: '#a78bfa' }}>{iteration}</span>: the policy is usually right long before the values are.</>
+                      : <> of {iteration} so far.</>}
+                  </p>
+                </>
+              )}
+            </div>
           </div>
 
           {/* Controls & Info Section */}
@@ -308,12 +574,25 @@ const ValueIterationViz = () => {
                   background: 'rgba(96, 165, 250, 0.1)',
                   borderRadius: '8px',
                 }}>
-                  <span>Iteration</span>
+                  <span>{mode === 'sync' ? 'Iteration' : 'Sweeps'}</span>
                   <span style={{ 
                     fontWeight: '700', 
                     color: '#60a5fa',
                     fontSize: '1.2rem',
-                  }}>{iteration}</span>
+                  }}>{mode === 'prioritized' ? '–' : iteration}</span>
+                </div>
+                <div style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  padding: '12px',
+                  background: 'rgba(251, 191, 36, 0.1)',
+                  borderRadius: '8px',
+                }}>
+                  <span>Backups</span>
+                  <span style={{ 
+                    fontWeight: '700', 
+                    color: '#fbbf24',
+                  }}>{planner.backups}</span>
                 </div>
                 <div style={{
                   display: 'flex',
@@ -322,12 +601,27 @@ const ValueIterationViz = () => {
                   background: 'rgba(167, 139, 250, 0.1)',
                   borderRadius: '8px',
                 }}>
-                  <span>Max Δ</span>
+                  <span>{mode === 'prioritized' ? 'Max Bellman error' : 'Max Δ'}</span>
                   <span style={{ 
                     fontWeight: '700', 
                     color: '#a78bfa',
                   }}>{maxDelta.toFixed(6)}</span>
                 </div>
+                {errorBound !== null && (
+                  <div style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    padding: '12px',
+                    background: 'rgba(244, 114, 182, 0.1)',
+                    borderRadius: '8px',
+                  }}>
+                    <span>‖V − V*‖∞ ≤</span>
+                    <span style={{ 
+                      fontWeight: '700', 
+                      color: '#f472b6',
+                    }}>{errorBound.toFixed(6)}</span>
+                  </div>
+                )}
                 {converged && (
                   <div style={{
                     padding: '12px',
@@ -341,6 +635,25 @@ const ValueIterationViz = () => {
                   </div>
                 )}
               </div>
+              <div style={{ marginTop: '16px', fontSize: '0.75rem', color: '#94a3b8' }}>
+                Backups to reach max Δ &lt; {CONVERGENCE_THRESHOLD} on this map{backupCounts ? '' : ' (counting…)'}
+              </div>
+              <ResponsiveContainer width="100%" height={160}>
+                <BarChart data={backupCounts ?? []} margin={{ top: 10, right: 5, left: -15, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
+                  <XAxis dataKey="label" stroke="#4b5563" tick={{ fill: '#6b7280', fontSize: 10 }} />
+                  <YAxis stroke="#4b5563" tick={{ fill: '#6b7280', fontSize: 10 }} />
+                  <Tooltip
+                    contentStyle={{ background: '#0f172a', border: '1px solid #334155', fontSize: 12 }}
+                    formatter={(value) => [value ?? 'did not converge', 'backups']}
+                  />
+                  <Bar dataKey="backups" isAnimationActive={false}>
+                    {(backupCounts ?? []).map(entry => (
+                      <Cell key={entry.id} fill={SWEEP_MODE_COLORS[entry.id]} fillOpacity={entry.id === mode ? 1 : 0.4} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
             </div>
 
             {/* Controls Panel */}
@@ -361,6 +674,37 @@ const ValueIterationViz = () => {
                 Controls
               </h3>
               
+              {/* Backup order */}
+              <div style={{ marginBottom: '20px' }}>
+                <label style={{ display: 'block', marginBottom: '8px', fontSize: '0.85rem' }}>
+                  Backup order
+                </label>
+                <select
+                  value={mode}
+                  onChange={(e) => {
+                    setMode(e.target.value);
+                    handleReset();
+                  }}
+                  style={{
+                    width: '100%',
+                    padding: '8px',
+                    borderRadius: '8px',
+                    border: '1px solid rgba(148, 163, 184, 0.3)',
+                    background: 'rgba(15, 23, 42, 0.8)',
+                    color: '#e2e8f0',
+                    fontFamily: 'inherit',
+                  }}
+                >
+                  {SWEEP_MODES.map(id => <option key={id} value={id}>{SWEEP_MODE_LABELS[id]}</option>)}
+                </select>
+                <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '4px' }}>
+                  {mode === 'sync' && 'Each step is a full sweep computed from the previous values.'}
+                  {mode === 'gaussSeidel' && 'One cell per step, row by row; later cells already use the new values.'}
+                  {mode === 'async' && 'One cell per step, each sweep in a new random order.'}
+                  {mode === 'prioritized' && 'One cell per step: always the one with the largest Bellman error |max Q − V|.'}
+                </div>
+              </div>
+
               {/* Gamma Slider */}
               <div style={{ marginBottom: '20px' }}>
                 <label style={{ 
@@ -389,6 +733,39 @@ const ValueIterationViz = () => {
                 />
               </div>
 
+              {/* Slip Slider */}
+              <div style={{ marginBottom: '20px' }}>
+                <label style={{ 
+                  display: 'flex', 
+                  justifyContent: 'space-between',
+                  marginBottom: '8px',
+                  fontSize: '0.85rem',
+                }}>
+                  <span>Slip probability</span>
+                  <span style={{ color: '#60a5fa', fontWeight: '600' }}>{slip.toFixed(2)}</span>
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max={MAX_SLIP}
+                  step="0.05"
+                  value={slip}
+                  onChange={(e) => {
+                    setSlip(parseFloat(e.target.value));
+                    handleReset();
+                  }}
+                  style={{
+                    width: '100%',
+                    accentColor: '#60a5fa',
+                  }}
+                />
+                <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '4px' }}>
+                  {slip === 0
+                    ? 'Deterministic moves'
+                    : `${Math.round((1 - slip) * 100)}% intended, ${Math.round(slip * 50)}% each perpendicular`}
+                </div>
+              </div>
+
               {/* Speed Slider */}
               <div style={{ marginBottom: '20px' }}>
                 <label style={{ 
@@ -471,8 +848,159 @@ const ValueIterationViz = () => {
               </button>
             </div>
 
+            {/* Map Editor */}
+            <div style={{
+              background: 'rgba(30, 41, 59, 0.5)',
+              borderRadius: '16px',
+              padding: '20px',
+              marginBottom: '16px',
+              border: '1px solid rgba(148, 163, 184, 0.1)',
+            }}>
+              <h3 style={{ 
+                fontSize: '0.9rem', 
+                color: '#10b981', 
+                marginBottom: '16px',
+                textTransform: 'uppercase',
+                letterSpacing: '0.1em',
+              }}>
+                Map Editor
+              </h3>
+
+              {/* Grid Size Slider */}
+              <div style={{ marginBottom: '16px' }}>
+                <label style={{ 
+                  display: 'flex', 
+                  justifyContent: 'space-between',
+                  marginBottom: '8px',
+                  fontSize: '0.85rem',
+                }}>
+                  <span>Grid size</span>
+                  <span style={{ color: '#10b981', fontWeight: '600' }}>{env.width}×{env.height}</span>
+                </label>
+                <input
+                  type="range"
+                  min={MIN_GRID_SIZE}
+                  max={MAX_GRID_SIZE}
+                  step="1"
+                  value={gridSize}
+                  onChange={(e) => resizeGrid(parseInt(e.target.value))}
+                  style={{
+                    width: '100%',
+                    accentColor: '#10b981',
+                  }}
+                />
+              </div>
+
+              <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+                <button
+                  onClick={() => setEditMode(!editMode)}
+                  style={{
+                    flex: 1,
+                    padding: '10px',
+                    borderRadius: '8px',
+                    border: 'none',
+                    background: editMode
+                      ? 'linear-gradient(135deg, #10b981, #059669)'
+                      : 'rgba(148, 163, 184, 0.2)',
+                    color: 'white',
+                    fontWeight: '600',
+                    cursor: 'pointer',
+                  }}
+                >
+                  {editMode ? '✓ Editing' : '✎ Edit Map'}
+                </button>
+                <button
+                  onClick={() => resizeGrid(gridSize)}
+                  style={{
+                    flex: 1,
+                    padding: '10px',
+                    borderRadius: '8px',
+                    border: '1px solid rgba(148, 163, 184, 0.3)',
+                    background: 'transparent',
+                    color: '#94a3b8',
+                    fontWeight: '600',
+                    cursor: 'pointer',
+                  }}
+                >
+                  Default Map
+                </button>
+              </div>
+              <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+                <button
+                  onClick={() => downloadEnvironment(env, { gamma, slip }, 'value-iteration.json')}
+                  style={{
+                    flex: 1,
+                    padding: '10px',
+                    borderRadius: '8px',
+                    border: '1px solid rgba(148, 163, 184, 0.3)',
+                    background: 'transparent',
+                    color: '#94a3b8',
+                    fontWeight: '600',
+                    cursor: 'pointer',
+                  }}
+                >
+                  ⬇ Export
+                </button>
+                <button
+                  onClick={environmentImport.open}
+                  style={{
+                    flex: 1,
+                    padding: '10px',
+                    borderRadius: '8px',
+                    border: '1px solid rgba(148, 163, 184, 0.3)',
+                    background: 'transparent',
+                    color: '#94a3b8',
+                    fontWeight: '600',
+                    cursor: 'pointer',
+                  }}
+                >
+                  ⬆ Import
+                </button>
+                <input
+                  ref={environmentImport.inputRef}
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={environmentImport.onChange}
+                  style={{ display: 'none' }}
+                />
+              </div>
+              {environmentImport.error && (
+                <div style={{
+                  marginBottom: '12px',
+                  padding: '10px',
+                  borderRadius: '8px',
+                  background: 'rgba(239, 68, 68, 0.1)',
+                  border: '1px solid rgba(239, 68, 68, 0.4)',
+                  color: '#fca5a5',
+                  fontSize: '0.75rem',
+                  whiteSpace: 'pre-line',
+                }}>
+                  {environmentImport.error}
+                  <button
+                    onClick={environmentImport.clearError}
+                    style={{
+                      display: 'block',
+                      marginTop: '6px',
+                      background: 'none',
+                      border: 'none',
+                      color: '#f87171',
+                      cursor: 'pointer',
+                      padding: 0,
+                    }}
+                  >
+                    Dismiss
+                  </button>
+                </div>
+              )}
+              <p style={{ fontSize: '0.75rem', color: '#64748b', lineHeight: '1.5' }}>
+                {editMode
+                  ? 'Click a cell to cycle empty → wall → goal → pit → start. Set its reward in the cell panel below.'
+                  : 'Turn on editing to change the map. Values are recomputed from scratch after every edit.'}
+              </p>
+            </div>
+
             {/* Selected Cell Info */}
-            {selectedCell && (
+            {selected && (
               <div style={{
                 background: 'rgba(30, 41, 59, 0.5)',
                 borderRadius: '16px',
@@ -486,18 +1014,122 @@ const ValueIterationViz = () => {
                   textTransform: 'uppercase',
                   letterSpacing: '0.1em',
                 }}>
-                  Cell ({selectedCell.x}, {selectedCell.y})
+                  Cell ({selected.x}, {selected.y})
                 </h3>
                 <div style={{ fontSize: '0.85rem', lineHeight: '1.8' }}>
-                  <div><span style={{ color: '#94a3b8' }}>Value:</span> <span style={{ color: '#60a5fa' }}>{selectedCell.cell.value.toFixed(4)}</span></div>
-                  <div><span style={{ color: '#94a3b8' }}>Reward:</span> <span style={{ color: '#10b981' }}>{selectedCell.cell.reward}</span></div>
-                  <div><span style={{ color: '#94a3b8' }}>Policy:</span> <span style={{ color: '#fbbf24' }}>{selectedCell.cell.policy?.name || 'N/A'}</span></div>
+                  <div><span style={{ color: '#94a3b8' }}>Value:</span> <span style={{ color: '#60a5fa' }}>{selected.cell.value.toFixed(4)}</span></div>
+                  <div><span style={{ color: '#94a3b8' }}>Reward:</span> {editMode && !selected.cell.isWall ? (
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={selected.cell.reward}
+                      onChange={(e) => setCellReward(selected.x, selected.y, parseFloat(e.target.value))}
+                      style={{
+                        width: '80px',
+                        padding: '2px 6px',
+                        borderRadius: '4px',
+                        border: '1px solid rgba(148, 163, 184, 0.3)',
+                        background: 'rgba(15, 23, 42, 0.8)',
+                        color: '#10b981',
+                      }}
+                    />
+                  ) : (
+                    <span style={{ color: '#10b981' }}>{selected.cell.reward}</span>
+                  )}</div>
+                  <div><span style={{ color: '#94a3b8' }}>Policy:</span> <span style={{ color: '#fbbf24' }}>{selected.cell.policy?.name || 'N/A'}</span></div>
                   <div><span style={{ color: '#94a3b8' }}>Type:</span> {
-                    selectedCell.cell.isGoal ? '🏆 Goal' :
-                    selectedCell.cell.isPit ? '💀 Pit' :
-                    selectedCell.cell.isWall ? '🧱 Wall' : 'Normal'
+                    selected.cell.isGoal ? '🏆 Goal' :
+                    selected.cell.isPit ? '💀 Pit' :
+                    selected.cell.isWall ? '🧱 Wall' :
+                    selected.cell.isStart ? '🚩 Start' : 'Normal'
                   }</div>
                 </div>
+                {inspector && (
+                  <div style={{ marginTop: '12px', fontSize: '0.75rem' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                      <span style={{ color: '#94a3b8' }}>Q(s, a) = Σ P·[R + γ·V(s')]</span>
+                      <label style={{ color: '#64748b' }}>
+                        Tie tolerance{' '}
+                        <select
+                          value={tieTolerance}
+                          onChange={(e) => setTieTolerance(Number(e.target.value))}
+                          style={{
+                            padding: '1px 4px',
+                            borderRadius: '4px',
+                            border: '1px solid rgba(148, 163, 184, 0.3)',
+                            background: 'rgba(15, 23, 42, 0.8)',
+                            color: '#e2e8f0',
+                            fontSize: '0.75rem',
+                          }}
+                        >
+                          {TIE_TOLERANCES.map(tol => <option key={tol} value={tol}>{tol === 0 ? 'exact' : tol}</option>)}
+                        </select>
+                      </label>
+                    </div>
+                    {inspector.actions.map(({ action, transitions, q, previousQ }, a) => {
+                      const isBest = a === inspector.best;
+                      const isTied = !isBest && inspector.tied.includes(a);
+                      return (
+                        <div key={action.name} style={{
+                          marginBottom: '8px',
+                          padding: '6px 8px',
+                          borderRadius: '8px',
+                          border: `1px solid ${isBest ? '#fbbf24' : isTied ? 'rgba(251, 146, 60, 0.6)' : 'rgba(148, 163, 184, 0.15)'}`,
+                          background: isBest ? 'rgba(251, 191, 36, 0.08)' : 'transparent',
+                        }}>
+                          <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+                            <span style={{ color: isBest ? '#fbbf24' : '#cbd5e1' }}>
+                              {action.arrow} {action.name}
+                              {isBest && ' · argmax'}
+                              {isTied && (
+                                <span style={{ color: '#fb923c' }}>
+                                  {q === inspector.actions[inspector.best].q ? ' · tie' : ' · near tie'}
+                                </span>
+                              )}
+                            </span>
+                            <span>
+                              <span style={{ color: '#60a5fa' }}>{q.toFixed(4)}</span>
+                              {previousQ !== null && (
+                                <span style={{ color: q - previousQ >= 0 ? '#10b981' : '#ef4444', marginLeft: '6px' }}>
+                                  {q - previousQ >= 0 ? '+' : ''}{(q - previousQ).toFixed(4)}
+                                </span>
+                              )}
+                            </span>
+                          </div>
+                          <table style={{ width: '100%', borderCollapse: 'collapse', fontFamily: 'monospace' }}>
+                            <thead>
+                              <tr style={{ color: '#64748b', textAlign: 'right' }}>
+                                <th style={{ textAlign: 'left', fontWeight: '500' }}>s'</th>
+                                <th style={{ fontWeight: '500' }}>P</th>
+                                <th style={{ fontWeight: '500' }}>R</th>
+                                <th style={{ fontWeight: '500' }}>γ·V(s')</th>
+                                <th style={{ fontWeight: '500' }}>P·[R+γV]</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {transitions.map(t => (
+                                <tr key={`${t.state}-${t.reward}`} style={{ textAlign: 'right' }}>
+                                  <td style={{ textAlign: 'left' }}>({t.x}, {t.y})</td>
+                                  <td>{t.prob.toFixed(2)}</td>
+                                  <td>{t.reward}</td>
+                                  <td>{t.discounted.toFixed(3)}</td>
+                                  <td style={{ color: '#a78bfa' }}>{t.contribution.toFixed(3)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      );
+                    })}
+                    <div style={{ color: '#64748b', lineHeight: '1.5' }}>
+                      {previousValues && `Changes are against the Q-values before sweep ${iteration}${mode !== 'sync' && planner.order.length > 0 ? ', so they include the backups of the sweep in progress' : ''}. `}
+                      {mode === 'prioritized' && 'Prioritized sweeping never completes a sweep, so there are no earlier Q-values to compare against. '}
+                      {inspector.tied.length > 1
+                        ? `${inspector.tied.map(a => ACTIONS[a].arrow).join(' ')} are within ${tieTolerance} of the best Q; the sweep's > comparison keeps the first (${ACTIONS[inspector.best].arrow}), so the arrow shown depends on action order.`
+                        : 'The argmax is unique.'}
+                    </div>
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -543,7 +1175,7 @@ const ValueIterationViz = () => {
                   borderRadius: '4px',
                   fontSize: '0.8rem',
                 }}>
-                  V(s) = max[R(s) + γ·V(s')]
+                  V(s) = max_a Σ P(s'|s,a)·[R(s') + γ·V(s')]
                 </code>
               </p>
             </div>
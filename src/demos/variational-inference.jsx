@@ -1,17 +1,12 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Area, AreaChart, Legend, ReferenceLine } from 'recharts';
 import { Play, Pause, RotateCcw, ChevronRight, Info } from 'lucide-react';
-
-// Gaussian PDF
-const gaussian = (x, mean, std) => {
-  const coefficient = 1 / (std * Math.sqrt(2 * Math.PI));
-  const exponent = -0.5 * Math.pow((x - mean) / std, 2);
-  return coefficient * Math.exp(exponent);
-};
+import { normalPDF } from '../lib/math';
+import { readUrlState, useUrlStateSync, formatNumber, parseNumber } from '../lib/urlState';
 
 // True posterior (mixture of Gaussians for interesting shape)
 const truePosterior = (x) => {
-  return 0.6 * gaussian(x, 2, 0.8) + 0.4 * gaussian(x, -1, 1.2);
+  return 0.6 * normalPDF(x, 2, 0.8) + 0.4 * normalPDF(x, -1, 1.2);
 };
 
 // KL divergence approximation (numerical integration)
@@ -19,7 +14,7 @@ const computeKL = (qMean, qStd) => {
   let kl = 0;
   const dx = 0.1;
   for (let x = -8; x <= 8; x += dx) {
-    const q = gaussian(x, qMean, qStd);
+    const q = normalPDF(x, qMean, qStd);
     const p = truePosterior(x);
     if (q > 1e-10 && p > 1e-10) {
       kl += q * Math.log(q / p) * dx;
@@ -51,10 +46,38 @@ const optimizationStep = (qMean, qStd, learningRate = 0.08) => {
   return { mean: newMean, std: newStd };
 };
 
+const DEFAULT_START = { mean: -3, std: 2.5 };
+
+const initialHistory = (start) => [{
+  iteration: 0,
+  kl: computeKL(start.mean, start.std),
+  elbo: computeELBO(start.mean, start.std),
+  mean: start.mean,
+  std: start.std
+}];
+
+// Shareable configuration (see lib/urlState)
+const URL_STATE = {
+  version: 1,
+  encode: (state) => ({
+    qMean: formatNumber(state.start.mean),
+    qStd: formatNumber(state.start.std),
+  }),
+  decode: (params) => {
+    const mean = parseNumber(params.get('qMean'), { min: -5, max: 5 });
+    const std = parseNumber(params.get('qStd'), { min: 0.3, max: 4 });
+    if (mean === undefined && std === undefined) return {};
+    return { start: { mean: mean ?? DEFAULT_START.mean, std: std ?? DEFAULT_START.std } };
+  },
+};
+
 export default function VariationalInferenceViz() {
+  const [initial] = useState(() => readUrlState(URL_STATE));
+  const [start, setStart] = useState(initial.start ?? DEFAULT_START);
+  
   // Variational parameters
-  const [qMean, setQMean] = useState(-3);
-  const [qStd, setQStd] = useState(2.5);
+  const [qMean, setQMean] = useState(start.mean);
+  const [qStd, setQStd] = useState(start.std);
   const [iteration, setIteration] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
   const [history, setHistory] = useState([]);
@@ -70,7 +93,7 @@ export default function VariationalInferenceViz() {
     for (let x = -6; x <= 6; x += 0.1) {
       data.push({
         x: x.toFixed(2),
-        q: gaussian(x, qMean, qStd),
+        q: normalPDF(x, qMean, qStd),
         p: truePosterior(x),
       });
     }
@@ -79,11 +102,11 @@ export default function VariationalInferenceViz() {
 
   // Initialize history
   useEffect(() => {
-    const initialKL = computeKL(-3, 2.5);
-    const initialELBO = computeELBO(-3, 2.5);
-    setHistory([{ iteration: 0, kl: initialKL, elbo: initialELBO, mean: -3, std: 2.5 }]);
+    setHistory(initialHistory(start));
   }, []);
 
+  useUrlStateSync(URL_STATE, { start });
+
   // Step function
   const step = useCallback(() => {
     if (iteration >= maxIterations) {
@@ -116,14 +139,18 @@ export default function VariationalInferenceViz() {
   }, [isPlaying, step, speed]);
 
   // Reset function
-  const reset = () => {
+  const reset = (nextStart = start) => {
     setIsPlaying(false);
-    setQMean(-3);
-    setQStd(2.5);
+    setQMean(nextStart.mean);
+    setQStd(nextStart.std);
     setIteration(0);
-    const initialKL = computeKL(-3, 2.5);
-    const initialELBO = computeELBO(-3, 2.5);
-    setHistory([{ iteration: 0, kl: initialKL, elbo: initialELBO, mean: -3, std: 2.5 }]);
+    setHistory(initialHistory(nextStart));
+  };
+
+  const changeStart = (field, value) => {
+    const nextStart = { ...start, [field]: value };
+    setStart(nextStart);
+    reset(nextStart);
   };
 
   const distributionData = generateDistributionData();
@@ -425,7 +452,7 @@ export default function VariationalInferenceViz() {
         flexWrap: 'wrap'
       }}>
         <button
-          onClick={reset}
+          onClick={() => reset()}
           style={{
             background: 'rgba(239, 68, 68, 0.15)',
             border: '1px solid rgba(239, 68, 68, 0.4)',
@@ -520,6 +547,45 @@ export default function VariationalInferenceViz() {
             }}
           />
         </div>
+
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '10px',
+          background: 'rgba(20, 20, 35, 0.6)',
+          padding: '8px 16px',
+          borderRadius: '10px',
+          border: '1px solid rgba(255,255,255,0.06)'
+        }}>
+          <span style={{ fontSize: '0.75rem', color: '#6b7280' }}>Start μ:</span>
+          <input
+            type="range"
+            min="-5"
+            max="5"
+            step="0.1"
+            value={start.mean}
+            onChange={(e) => changeStart('mean', parseFloat(e.target.value))}
+            style={{
+              width: '80px',
+              accentColor: '#00d4ff'
+            }}
+          />
+          <span style={{ fontSize: '0.75rem', color: '#00d4ff', minWidth: '32px' }}>{start.mean.toFixed(1)}</span>
+          <span style={{ fontSize: '0.75rem', color: '#6b7280' }}>σ:</span>
+          <input
+            type="range"
+            min="0.3"
+            max="4"
+            step="0.1"
+            value={start.std}
+            onChange={(e) => changeStart('std', parseFloat(e.target.value))}
+            style={{
+              width: '80px',
+              accentColor: '#00d4ff'
+            }}
+          />
+          <span style={{ fontSize: '0.75rem', color: '#00d4ff', minWidth: '32px' }}>{start.std.toFixed(1)}</span>
+        </div>
       </div>
 
       {/* Footer Note */}
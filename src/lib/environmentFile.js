@@ -0,0 +1,62 @@
+import { useRef, useState } from 'react';
+import { parseEnvironment, serializeEnvironment } from './gridworld';
+
+// Saving and loading gridworld environments as JSON files (format: see lib/gridworld)
+
+export const downloadEnvironment = (env, options, filename = 'gridworld.json') => {
+  const json = JSON.stringify(serializeEnvironment(env, options), null, 2);
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Calls onLoad(spec) for a valid file, onError(message) otherwise
+export const readEnvironmentFile = (file, onLoad, onError) => {
+  const reader = new FileReader();
+  reader.onload = () => {
+    let spec;
+    try {
+      spec = parseEnvironment(reader.result);
+    } catch (error) {
+      onError(error.message);
+      return;
+    }
+    onLoad(spec);
+  };
+  reader.onerror = () => onError('The file could not be read');
+  reader.readAsText(file);
+};
+
+// Wiring for an "Import environment" button backed by a hidden file input:
+//   <input ref={inputRef} type="file" onChange={onChange} hidden /> and a button calling open()
+// `check(spec)` may return a message to reject a valid file the demo cannot use.
+export const useEnvironmentImport = (onImport, check = () => null) => {
+  const inputRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  const open = () => inputRef.current?.click();
+
+  const onChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow re-importing the same file
+    if (!file) return;
+    readEnvironmentFile(
+      file,
+      (spec) => {
+        const problem = check(spec);
+        if (problem) {
+          setError(`Could not import ${file.name}:\n${problem}`);
+          return;
+        }
+        setError(null);
+        onImport(spec);
+      },
+      (message) => setError(`Could not import ${file.name}:\n${message}`),
+    );
+  };
+
+  return { inputRef, open, onChange, error, clearError: () => setError(null) };
+};
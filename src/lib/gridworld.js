@@ -0,0 +1,370 @@
+import { solve } from './math';
+
+// Gridworld MDPs shared by the planning (value/policy iteration) and learning (TD, R-Max) demos.
+//
+// Cells are addressed as { x, y } (x = column, y = row, origin top-left) and states are their
+// row-major indices s = y * width + x. Rewards are paid on entering a cell, terminal states have
+// no outgoing transitions (V = 0), and walls are states that can never be entered.
+//
+// An environment is described by a plain JSON spec (see ENVIRONMENT_SCHEMA):
+//   version      file format version (ENVIRONMENT_VERSION); only required in files
+//   layout       rows of cell codes: '.' empty, '#' wall, 'S' start, 'G' goal, 'P' pit
+//   rewards      reward for entering each cell type
+//   cellRewards  optional per-cell overrides [{ x, y, reward }]
+//   terminals    optional [{ x, y }] replacing the default (every goal and pit)
+//   resets       optional [{ x, y }] cells that pay their reward and send the agent back to the
+//                start instead of being entered (the cliff in Cliff Walking)
+//   gamma, slip  optional discount and slip probability
+// createGridworld turns a spec into the model the algorithms work on.
+
+export const ACTIONS = [
+  { name: 'up', dx: 0, dy: -1, arrow: '↑' },
+  { name: 'right', dx: 1, dy: 0, arrow: '→' },
+  { name: 'down', dx: 0, dy: 1, arrow: '↓' },
+  { name: 'left', dx: -1, dy: 0, arrow: '←' },
+];
+
+export const CELL_TYPES = ['empty', 'wall', 'start', 'goal', 'pit'];
+
+export const CELL_CODES = { empty: '.', wall: '#', start: 'S', goal: 'G', pit: 'P' };
+
+const TYPE_BY_CODE = Object.fromEntries(Object.entries(CELL_CODES).map(([type, code]) => [code, type]));
+
+export const DEFAULT_REWARDS = { empty: 0, start: 0, goal: 1, pit: -1 };
+
+export const ENVIRONMENT_VERSION = 1;
+
+export const MAX_GRID_DIMENSION = 16;
+
+export const ENVIRONMENT_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Gridworld environment',
+  type: 'object',
+  required: ['version', 'layout'],
+  properties: {
+    version: { type: 'integer', minimum: 1, maximum: ENVIRONMENT_VERSION },
+    layout: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_GRID_DIMENSION,
+      items: {
+        type: 'string',
+        minLength: 1,
+        maxLength: MAX_GRID_DIMENSION,
+        pattern: '^[.#SGP]*$',
+        errorMessage: 'may only contain the cell codes . # S G P',
+      },
+      description: 'Rows of equal length, top row first',
+    },
+    rewards: {
+      type: 'object',
+      properties: Object.fromEntries(['empty', 'start', 'goal', 'pit'].map(type => [type, { type: 'number' }])),
+      additionalProperties: false,
+    },
+    cellRewards: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['x', 'y', 'reward'],
+        properties: {
+          x: { type: 'integer', minimum: 0 },
+          y: { type: 'integer', minimum: 0 },
+          reward: { type: 'number' },
+        },
+      },
+    },
+    terminals: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['x', 'y'],
+        properties: {
+          x: { type: 'integer', minimum: 0 },
+          y: { type: 'integer', minimum: 0 },
+        },
+      },
+    },
+    resets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['x', 'y'],
+        properties: {
+          x: { type: 'integer', minimum: 0 },
+          y: { type: 'integer', minimum: 0 },
+        },
+      },
+    },
+    gamma: { type: 'number', minimum: 0, maximum: 1 },
+    slip: { type: 'number', minimum: 0, maximum: 1 },
+  },
+};
+
+export const createGridworld = (spec) => {
+  const height = spec.layout.length;
+  const width = spec.layout[0].length;
+  const rewards = { ...DEFAULT_REWARDS, ...spec.rewards };
+  const overrides = new Map((spec.cellRewards ?? []).map(({ x, y, reward }) => [y * width + x, reward]));
+  const terminals = spec.terminals && new Set(spec.terminals.map(({ x, y }) => y * width + x));
+  const resets = new Set((spec.resets ?? []).map(({ x, y }) => y * width + x));
+
+  const cells = [];
+  spec.layout.forEach((row, y) => {
+    [...row].forEach((code, x) => {
+      const s = y * width + x;
+      const type = TYPE_BY_CODE[code];
+      cells.push({
+        x,
+        y,
+        type,
+        reward: type === 'wall' ? 0 : overrides.get(s) ?? rewards[type],
+        terminal: terminals ? terminals.has(s) : type === 'goal' || type === 'pit',
+        reset: resets.has(s),
+      });
+    });
+  });
+
+  // Without an 'S' the agent starts in the first open, non-terminal cell (or any open one)
+  const start = [
+    cells.findIndex(cell => cell.type === 'start'),
+    cells.findIndex(cell => cell.type !== 'wall' && !cell.terminal),
+    cells.findIndex(cell => cell.type !== 'wall'),
+  ].find(s => s !== -1);
+  return {
+    spec,
+    width,
+    height,
+    numStates: cells.length,
+    cells,
+    rewards,
+    start,
+    gamma: spec.gamma ?? 0.9,
+    slip: spec.slip ?? 0,
+  };
+};
+
+export const toState = (env, x, y) => y * env.width + x;
+
+export const toCoords = (env, s) => ({ x: s % env.width, y: Math.floor(s / env.width) });
+
+export const isTerminal = (env, s) => env.cells[s].terminal;
+
+export const isWall = (env, s) => env.cells[s].type === 'wall';
+
+// Deterministic move; bumping into the border or a wall leaves the agent in place
+export const getNextState = (env, s, a) => {
+  const { x, y } = toCoords(env, s);
+  const nx = x + ACTIONS[a].dx;
+  const ny = y + ACTIONS[a].dy;
+  if (nx < 0 || nx >= env.width || ny < 0 || ny >= env.height) return s;
+  const next = toState(env, nx, ny);
+  return isWall(env, next) ? s : next;
+};
+
+// Slip model: the intended move succeeds with probability 1 - slip, otherwise the agent
+// veers to one of the two perpendicular directions with equal probability
+const getActionOutcomes = (a, slip) => {
+  if (slip === 0) return [{ a, prob: 1 }];
+  return [
+    { a, prob: 1 - slip },
+    { a: (a + 3) % ACTIONS.length, prob: slip / 2 },
+    { a: (a + 1) % ACTIONS.length, prob: slip / 2 },
+  ];
+};
+
+// P(s'|s,a) with the entering reward; outcomes landing on the same state with the same
+// reward are merged. Moving onto a reset cell pays its reward and lands on the start.
+export const getTransitions = (env, s, a, slip = env.slip) => {
+  if (isTerminal(env, s)) return [];
+  const transitions = [];
+  for (const outcome of getActionOutcomes(a, slip)) {
+    const entered = getNextState(env, s, outcome.a);
+    const { reward } = env.cells[entered];
+    const next = env.cells[entered].reset ? env.start : entered;
+    const existing = transitions.find(t => t.state === next && t.reward === reward);
+    if (existing) {
+      existing.prob += outcome.prob;
+    } else {
+      transitions.push({ state: next, prob: outcome.prob, reward });
+    }
+  }
+  return transitions;
+};
+
+// Q(s,a) = Σ P(s'|s,a)·[R(s') + γ·V(s')]
+export const getActionValue = (env, values, s, a, gamma = env.gamma, slip = env.slip) =>
+  getTransitions(env, s, a, slip).reduce((sum, t) => sum + t.prob * (t.reward + gamma * values[t.state]), 0);
+
+// V^π of a deterministic policy ([state] → action) solved exactly from (I − γP_π)V = R_π, where
+// R_π(s) = Σ P(s'|s,π(s))·R(s'); terminal and wall rows reduce to V = 0. Throws when the system
+// is singular, i.e. with γ = 1 and a policy that never reaches a terminal.
+export const evaluatePolicyExactly = (env, policy, gamma = env.gamma, slip = env.slip) => {
+  const A = env.cells.map((_, s) => env.cells.map((__, j) => (j === s ? 1 : 0)));
+  const b = env.cells.map(() => 0);
+  env.cells.forEach((cell, s) => {
+    if (cell.terminal || cell.type === 'wall') return;
+    for (const t of getTransitions(env, s, policy[s], slip)) {
+      A[s][t.state] -= gamma * t.prob;
+      b[s] += t.prob * t.reward;
+    }
+  });
+  return solve(A, b);
+};
+
+// Samples one environment step for the learning demos
+export const sampleStep = (env, s, a, random = Math.random, slip = env.slip) => {
+  if (isTerminal(env, s)) return { state: s, reward: 0, done: true };
+  const transitions = getTransitions(env, s, a, slip);
+  if (transitions.length === 1) {
+    const [t] = transitions;
+    return { state: t.state, reward: t.reward, done: isTerminal(env, t.state) };
+  }
+  let u = random();
+  let chosen = transitions[transitions.length - 1];
+  for (const t of transitions) {
+    if (u < t.prob) {
+      chosen = t;
+      break;
+    }
+    u -= t.prob;
+  }
+  return { state: chosen.state, reward: chosen.reward, done: isTerminal(env, chosen.state) };
+};
+
+// Spec edits used by the map editors; each returns a new spec
+export const setCellType = (spec, x, y, type) => ({
+  ...spec,
+  layout: spec.layout.map((row, ry) => (
+    ry === y ? row.slice(0, x) + CELL_CODES[type] + row.slice(x + 1) : row
+  )),
+  cellRewards: (spec.cellRewards ?? []).filter(c => c.x !== x || c.y !== y),
+  terminals: spec.terminals && [
+    ...spec.terminals.filter(c => c.x !== x || c.y !== y),
+    ...(type === 'goal' || type === 'pit' ? [{ x, y }] : []),
+  ],
+  resets: spec.resets && spec.resets.filter(c => c.x !== x || c.y !== y),
+});
+
+export const setCellReward = (spec, x, y, reward) => ({
+  ...spec,
+  cellRewards: [...(spec.cellRewards ?? []).filter(c => c.x !== x || c.y !== y), { x, y, reward }],
+});
+
+const TYPE_NAMES = { object: 'an object', array: 'an array', string: 'a string', number: 'a number', integer: 'an integer' };
+
+const hasType = (value, type) => {
+  if (type === 'object') return typeof value === 'object' && value !== null && !Array.isArray(value);
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  if (type === 'integer') return Number.isInteger(value);
+  return typeof value === type;
+};
+
+const tooShort = (label, min, unit) => (min === 1 ? `${label} must not be empty` : `${label} needs at least ${min} ${unit}`);
+
+// Messages for where `value` (at `path`, e.g. "cellRewards[0].x") breaks `schema`, covering the
+// JSON Schema keywords ENVIRONMENT_SCHEMA uses; a failed pattern reports the schema's `errorMessage`
+const schemaErrors = (schema, value, path = '') => {
+  const label = path === '' ? 'The environment' : /[.[]/.test(path) ? path : `"${path}"`;
+  if (schema.type && !hasType(value, schema.type)) return [`${label} must be ${TYPE_NAMES[schema.type]}`];
+
+  const errors = [];
+  const name = (key) => (path === '' ? key : `${path}.${key}`);
+  if (schema.type === 'object') {
+    (schema.required ?? []).filter(key => value[key] === undefined).forEach(key => {
+      errors.push(`${label} is missing "${key}"`);
+    });
+    Object.entries(schema.properties ?? {}).forEach(([key, property]) => {
+      if (value[key] !== undefined) errors.push(...schemaErrors(property, value[key], name(key)));
+    });
+    if (schema.additionalProperties === false) {
+      Object.keys(value).filter(key => !(key in schema.properties)).forEach(key => {
+        errors.push(`${name(key)} is not allowed; use ${Object.keys(schema.properties).join(', ')}`);
+      });
+    }
+  }
+  if (schema.type === 'array') {
+    if (value.length < (schema.minItems ?? 0)) errors.push(tooShort(label, schema.minItems, 'entries'));
+    if (value.length > (schema.maxItems ?? Infinity)) errors.push(`${label} has more than ${schema.maxItems} entries`);
+    if (schema.items) value.forEach((item, i) => errors.push(...schemaErrors(schema.items, item, `${path}[${i}]`)));
+  }
+  if (schema.type === 'string') {
+    if (value.length < (schema.minLength ?? 0)) errors.push(tooShort(label, schema.minLength, 'characters'));
+    if (value.length > (schema.maxLength ?? Infinity)) errors.push(`${label} has more than ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${label} ${schema.errorMessage ?? `must match ${schema.pattern}`}`);
+    }
+  }
+  if (value < schema.minimum) errors.push(`${label} must be at least ${schema.minimum}`);
+  if (value > schema.maximum) errors.push(`${label} must be at most ${schema.maximum}`);
+  return errors;
+};
+
+// Problems with an untrusted spec (e.g. an imported file), one readable message each: everything
+// ENVIRONMENT_SCHEMA describes, then the rules it cannot express
+export const validateEnvironment = (data) => {
+  const errors = schemaErrors(ENVIRONMENT_SCHEMA, data);
+  if (!hasType(data, 'object')) return errors;
+
+  const { layout } = data;
+  // Shape and positions can only be checked against a layout that matches the schema
+  if (layout === undefined || schemaErrors(ENVIRONMENT_SCHEMA.properties.layout, layout, 'layout').length > 0) {
+    return errors;
+  }
+
+  const height = layout.length;
+  const width = layout[0].length;
+  const shapeErrors = [];
+  layout.forEach((row, y) => {
+    if (row.length !== width) {
+      shapeErrors.push(`layout[${y}] has ${row.length} cells, expected ${width} like the first row`);
+    }
+  });
+  const starts = layout.join('').split('S').length - 1;
+  if (starts > 1) shapeErrors.push(`Layout has ${starts} start cells; at most one is allowed`);
+  if (![...layout.join('')].some(code => code !== '#')) shapeErrors.push('Layout has no open cells');
+  if (shapeErrors.length > 0) return [...errors, ...shapeErrors];
+
+  ['cellRewards', 'terminals', 'resets'].forEach(key => {
+    if (!Array.isArray(data[key])) return;
+    data[key].forEach((cell, i) => {
+      // Anything else wrong with the entry was already reported by the schema
+      if (!hasType(cell, 'object') || ![cell.x, cell.y].every(v => Number.isInteger(v) && v >= 0)) return;
+      if (cell.x >= width || cell.y >= height) {
+        errors.push(`${key}[${i}] (${cell.x}, ${cell.y}) is outside the ${width}×${height} grid`);
+      } else if (layout[cell.y][cell.x] === '#') {
+        errors.push(`${key}[${i}] (${cell.x}, ${cell.y}) is a wall`);
+      }
+    });
+  });
+
+  return errors;
+};
+
+// Spec from the text of an environment file; throws with every problem found
+export const parseEnvironment = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+  const errors = validateEnvironment(data);
+  if (errors.length > 0) throw new Error(errors.join('\n'));
+
+  // Missing rewards take the shared defaults, so a file behaves the same in every demo
+  const { version, layout, rewards, cellRewards, terminals, resets, gamma, slip } = data;
+  return { version, layout, rewards: { ...DEFAULT_REWARDS, ...rewards }, cellRewards, terminals, resets, gamma, slip };
+};
+
+// File contents for an environment, with the discount and slip currently in use
+export const serializeEnvironment = (env, { gamma = env.gamma, slip = env.slip } = {}) => ({
+  version: ENVIRONMENT_VERSION,
+  layout: env.spec.layout,
+  rewards: { ...DEFAULT_REWARDS, ...env.spec.rewards },
+  cellRewards: env.spec.cellRewards ?? [],
+  terminals: env.cells.filter(cell => cell.terminal).map(({ x, y }) => ({ x, y })),
+  resets: env.cells.filter(cell => cell.reset).map(({ x, y }) => ({ x, y })),
+  gamma,
+  slip,
+});
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_REWARDS, createGridworld, parseEnvironment, serializeEnvironment, validateEnvironment } from './gridworld';
+
+describe('createGridworld', () => {
+  it('starts on the S cell', () => {
+    expect(createGridworld({ layout: ['#G', '.S'] }).start).toBe(3);
+  });
+
+  it('falls back to the first open, non-terminal cell without an S', () => {
+    expect(createGridworld({ layout: ['#G', '..'] }).start).toBe(2);
+  });
+
+  it('never starts inside a wall', () => {
+    expect(createGridworld({ layout: ['#G'] }).start).toBe(1);
+  });
+});
+
+describe('parseEnvironment', () => {
+  it('fills in missing rewards from DEFAULT_REWARDS', () => {
+    const spec = parseEnvironment(JSON.stringify({ version: 1, layout: ['S.G'], rewards: { goal: 5 } }));
+    expect(spec.rewards).toEqual({ ...DEFAULT_REWARDS, goal: 5 });
+  });
+
+  it('reports every problem at once', () => {
+    expect(() => parseEnvironment(JSON.stringify({ layout: ['S.X'], gamma: 2 }))).toThrow(
+      'The environment is missing "version"\nlayout[0] may only contain the cell codes . # S G P\n"gamma" must be at most 1',
+    );
+  });
+});
+
+describe('validateEnvironment', () => {
+  it('checks the fields ENVIRONMENT_SCHEMA describes', () => {
+    expect(validateEnvironment({ version: 1, layout: ['S.G'], rewards: { goal: 'x', lava: 1 }, terminals: [{ x: 0 }] })).toEqual([
+      'rewards.goal must be a number',
+      'rewards.lava is not allowed; use empty, start, goal, pit',
+      'terminals[0] is missing "y"',
+    ]);
+  });
+
+  it('checks the layout shape and cell positions the schema cannot express', () => {
+    expect(validateEnvironment({ version: 1, layout: ['S.G', '.S'] })).toEqual([
+      'layout[1] has 2 cells, expected 3 like the first row',
+      'Layout has 2 start cells; at most one is allowed',
+    ]);
+    expect(validateEnvironment({ version: 1, layout: ['S#G'], cellRewards: [{ x: 1, y: 0, reward: 1 }], resets: [{ x: 3, y: 0 }] })).toEqual([
+      'cellRewards[0] (1, 0) is a wall',
+      'resets[0] (3, 0) is outside the 3×1 grid',
+    ]);
+  });
+
+  it('accepts every exported environment', () => {
+    const env = createGridworld({ layout: ['S.#', '.PG'], cellRewards: [{ x: 1, y: 0, reward: 2 }], gamma: 0.95 });
+    expect(validateEnvironment(serializeEnvironment(env))).toEqual([]);
+  });
+});
@@ -0,0 +1,27 @@
+import { choleskyDecomposition, solveTriangularLower, logDetFromCholesky } from './linalg';
+import { erfc } from './special';
+
+const LOG_TWO_PI = Math.log(2 * Math.PI);
+
+export const normalPDF = (x, mean = 0, std = 1) => {
+  const z = (x - mean) / std;
+  return Math.exp(-0.5 * z * z) / (std * Math.sqrt(2 * Math.PI));
+};
+
+export const normalLogPDF = (x, mean = 0, std = 1) => {
+  const z = (x - mean) / std;
+  return -0.5 * z * z - Math.log(std) - 0.5 * LOG_TWO_PI;
+};
+
+// Φ((x - mean) / std), written with erfc so the lower tail keeps full relative precision
+export const normalCDF = (x, mean = 0, std = 1) => 0.5 * erfc(-(x - mean) / (std * Math.SQRT2));
+
+// Multivariate normal log-density; cov must be symmetric positive-definite
+export const mvnLogPDF = (x, mean, cov) => {
+  const L = choleskyDecomposition(cov);
+  const v = solveTriangularLower(L, x.map((xi, i) => xi - mean[i]));
+  const mahalanobis = v.reduce((sum, vi) => sum + vi * vi, 0);
+  return -0.5 * (mahalanobis + logDetFromCholesky(L) + x.length * LOG_TWO_PI);
+};
+
+export const mvnPDF = (x, mean, cov) => Math.exp(mvnLogPDF(x, mean, cov));
@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { mvnLogPDF, mvnPDF, normalLogPDF, normalPDF } from './gaussian';
+
+describe('normalPDF', () => {
+  it('matches the standard normal density', () => {
+    expect(normalPDF(0)).toBeCloseTo(0.3989422804014327, 15);
+    expect(normalPDF(1)).toBeCloseTo(0.24197072451914337, 15);
+  });
+
+  it('scales with mean and std', () => {
+    expect(normalPDF(4, 2, 2)).toBeCloseTo(normalPDF(1) / 2, 15);
+  });
+
+  it('agrees with normalLogPDF', () => {
+    [-3, -0.5, 0, 1.7].forEach(x => expect(normalLogPDF(x, 0.3, 1.5)).toBeCloseTo(Math.log(normalPDF(x, 0.3, 1.5)), 12));
+  });
+});
+
+describe('mvnLogPDF', () => {
+  it('factorises for a diagonal covariance', () => {
+    const x = [0.5, -1];
+    const expected = normalLogPDF(0.5, 1, 2) + normalLogPDF(-1, 0, 0.5);
+    expect(mvnLogPDF(x, [1, 0], [[4, 0], [0, 0.25]])).toBeCloseTo(expected, 12);
+  });
+
+  it('matches the closed form for a correlated bivariate normal', () => {
+    const rho = 0.6;
+    const [x, y] = [0.4, -0.8];
+    const expected = -Math.log(2 * Math.PI * Math.sqrt(1 - rho * rho))
+      - (x * x - 2 * rho * x * y + y * y) / (2 * (1 - rho * rho));
+    expect(mvnLogPDF([x, y], [0, 0], [[1, rho], [rho, 1]])).toBeCloseTo(expected, 12);
+    expect(mvnPDF([x, y], [0, 0], [[1, rho], [rho, 1]])).toBeCloseTo(Math.exp(expected), 12);
+  });
+});
@@ -0,0 +1,5 @@
+export * from './linalg';
+export * from './special';
+export * from './gaussian';
+export * from './sampling';
+export * from './random';
@@ -0,0 +1,124 @@
+// Dense matrix utilities (matrices are arrays of row arrays)
+
+export const zeros = (rows, cols = rows) => Array(rows).fill(null).map(() => Array(cols).fill(0));
+
+export const identity = (n) => zeros(n).map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+
+export const transpose = (A) => A[0].map((_, i) => A.map(row => row[i]));
+
+export const matMul = (A, B) => {
+  const rowsA = A.length, colsA = A[0].length, colsB = B[0].length;
+  const result = zeros(rowsA, colsB);
+  for (let i = 0; i < rowsA; i++) {
+    for (let j = 0; j < colsB; j++) {
+      for (let k = 0; k < colsA; k++) {
+        result[i][j] += A[i][k] * B[k][j];
+      }
+    }
+  }
+  return result;
+};
+
+export const matVecMult = (M, v) => M.map(row => row.reduce((sum, val, i) => sum + val * v[i], 0));
+
+export const addMat = (A, B) => A.map((row, i) => row.map((val, j) => val + B[i][j]));
+
+export const scaleMat = (A, s) => A.map(row => row.map(val => val * s));
+
+export const dot = (a, b) => a.reduce((sum, val, i) => sum + val * b[i], 0);
+
+export const choleskyDecomposition = (A) => {
+  const n = A.length;
+  const L = zeros(n);
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = 0;
+      for (let k = 0; k < j; k++) {
+        sum += L[i][k] * L[j][k];
+      }
+      if (i === j) {
+        L[i][j] = Math.sqrt(Math.max(A[i][i] - sum, 1e-10));
+      } else {
+        L[i][j] = (A[i][j] - sum) / L[j][j];
+      }
+    }
+  }
+  return L;
+};
+
+// Solves L x = b for lower-triangular L
+export const solveTriangularLower = (L, b) => {
+  const n = L.length;
+  const x = Array(n).fill(0);
+  for (let i = 0; i < n; i++) {
+    let sum = b[i];
+    for (let j = 0; j < i; j++) {
+      sum -= L[i][j] * x[j];
+    }
+    x[i] = sum / L[i][i];
+  }
+  return x;
+};
+
+// Solves L^T x = b, reading the upper triangle from the lower factor L
+export const solveTriangularUpper = (L, b) => {
+  const n = L.length;
+  const x = Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = b[i];
+    for (let j = i + 1; j < n; j++) {
+      sum -= L[j][i] * x[j];
+    }
+    x[i] = sum / L[i][i];
+  }
+  return x;
+};
+
+// Solves A x = b given the Cholesky factor L of A
+export const choleskySolve = (L, b) => solveTriangularUpper(L, solveTriangularLower(L, b));
+
+// Inverse of a symmetric positive-definite matrix via its Cholesky factor
+export const choleskyInverse = (L) => {
+  const n = L.length;
+  const columns = identity(n).map(e => choleskySolve(L, e));
+  return transpose(columns);
+};
+
+// log|A| = 2 * sum(log L_ii)
+export const logDetFromCholesky = (L) => 2 * L.reduce((sum, row, i) => sum + Math.log(row[i]), 0);
+
+export const logDet = (A) => logDetFromCholesky(choleskyDecomposition(A));
+
+// Solves A x = b for a general square A (Gaussian elimination with partial pivoting)
+export const solve = (A, b) => {
+  const n = A.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-12) {
+      throw new Error('Matrix is singular');
+    }
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let r = col + 1; r < n; r++) {
+      const factor = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) {
+        M[r][c] -= factor * M[col][c];
+      }
+    }
+  }
+  const x = Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = M[i][n];
+    for (let j = i + 1; j < n; j++) {
+      sum -= M[i][j] * x[j];
+    }
+    x[i] = sum / M[i][i];
+  }
+  return x;
+};
+
+export const inverse = (A) => transpose(identity(A.length).map(e => solve(A, e)));
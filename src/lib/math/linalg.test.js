@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import {
+  choleskyDecomposition,
+  choleskyInverse,
+  choleskySolve,
+  identity,
+  inverse,
+  logDet,
+  matMul,
+  matVecMult,
+  solve,
+  transpose,
+} from './linalg';
+
+const SPD = [
+  [4, 2, 0.6],
+  [2, 5, 1],
+  [0.6, 1, 3],
+];
+
+const expectMatrixClose = (actual, expected, digits = 10) => {
+  actual.forEach((row, i) => row.forEach((value, j) => expect(value).toBeCloseTo(expected[i][j], digits)));
+};
+
+describe('choleskyDecomposition', () => {
+  it('returns a lower-triangular L with L·Lᵀ = A', () => {
+    const L = choleskyDecomposition(SPD);
+    L.forEach((row, i) => row.forEach((value, j) => {
+      if (j > i) expect(value).toBe(0);
+    }));
+    expectMatrixClose(matMul(L, transpose(L)), SPD);
+  });
+
+  it('factors a diagonal matrix into square roots', () => {
+    expect(choleskyDecomposition([[4, 0], [0, 9]])).toEqual([[2, 0], [0, 3]]);
+  });
+
+  it('inverts through the factor', () => {
+    expectMatrixClose(matMul(SPD, choleskyInverse(choleskyDecomposition(SPD))), identity(3));
+  });
+
+  it('solves A x = b through the factor', () => {
+    const x = [1, -2, 0.5];
+    const solved = choleskySolve(choleskyDecomposition(SPD), matVecMult(SPD, x));
+    solved.forEach((value, i) => expect(value).toBeCloseTo(x[i], 10));
+  });
+});
+
+describe('logDet', () => {
+  it('matches the log of the determinant', () => {
+    // det = 4(15 - 1) - 2(6 - 0.6) + 0.6(2 - 3) = 44.6
+    expect(logDet(SPD)).toBeCloseTo(Math.log(44.6), 10);
+  });
+
+  it('is zero for the identity', () => {
+    expect(logDet(identity(4))).toBe(0);
+  });
+});
+
+describe('solve', () => {
+  it('solves a general system that needs pivoting', () => {
+    const A = [
+      [0, 2, 1],
+      [1, -1, 0],
+      [3, 0, -2],
+    ];
+    const x = [2, 1, -1];
+    const solved = solve(A, matVecMult(A, x));
+    solved.forEach((value, i) => expect(value).toBeCloseTo(x[i], 12));
+  });
+
+  it('does not modify its arguments', () => {
+    const A = [[2, 1], [1, 3]];
+    const b = [1, 2];
+    solve(A, b);
+    expect(A).toEqual([[2, 1], [1, 3]]);
+    expect(b).toEqual([1, 2]);
+  });
+
+  it('throws for a singular matrix', () => {
+    expect(() => solve([[1, 2], [2, 4]], [1, 2])).toThrow('Matrix is singular');
+  });
+
+  it('gives the inverse', () => {
+    const A = [[0, 2, 1], [1, -1, 0], [3, 0, -2]];
+    expectMatrixClose(matMul(A, inverse(A)), identity(3));
+  });
+});
@@ -0,0 +1,37 @@
+// Seeded uniform [0, 1) generator (mulberry32); a drop-in replacement for Math.random
+export const createRng = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Independent stream for a named consumer, so adding draws in one place doesn't shift another
+export const createStream = (seed, name) => {
+  let h = seed >>> 0;
+  for (let i = 0; i < name.length; i++) {
+    h = Math.imul(h ^ name.charCodeAt(i), 0x9e3779b1);
+    h ^= h >>> 16;
+  }
+  return createRng(h);
+};
+
+export const randomInt = (n, random = Math.random) => Math.floor(random() * n);
+
+export const randomChoice = (items, random = Math.random) => items[randomInt(items.length, random)];
+
+// Fisher–Yates; returns a shuffled copy
+export const shuffle = (items, random = Math.random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1, random);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+export const DEFAULT_SEED = 42;
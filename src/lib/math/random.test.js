@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { createRng, createStream, randomInt, shuffle } from './random';
+
+describe('createRng', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const a = createRng(7);
+    const b = createRng(7);
+    const first = Array.from({ length: 5 }, a);
+    expect(Array.from({ length: 5 }, b)).toEqual(first);
+    expect(Array.from({ length: 5 }, createRng(8))).not.toEqual(first);
+  });
+
+  it('draws from [0, 1)', () => {
+    const values = Array.from({ length: 20000 }, createRng(1));
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...values)).toBeLessThan(1);
+    expect(values.reduce((sum, v) => sum + v, 0) / values.length).toBeCloseTo(0.5, 1);
+  });
+});
+
+describe('createStream', () => {
+  it('is deterministic per seed and name', () => {
+    expect(createStream(42, 'env')()).toBe(createStream(42, 'env')());
+    expect(createStream(42, 'env')()).not.toBe(createStream(42, 'agent')());
+    expect(createStream(42, 'env')()).not.toBe(createStream(43, 'env')());
+  });
+});
+
+describe('randomInt', () => {
+  it('draws integers below n', () => {
+    const random = createRng(3);
+    const values = Array.from({ length: 1000 }, () => randomInt(6, random));
+    expect(new Set(values)).toEqual(new Set([0, 1, 2, 3, 4, 5]));
+  });
+});
+
+describe('shuffle', () => {
+  it('returns a permutation and leaves its input alone', () => {
+    const items = [1, 2, 3, 4, 5, 6, 7, 8];
+    const shuffled = shuffle(items, createRng(5));
+    expect(items).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect([...shuffled].sort((a, b) => a - b)).toEqual(items);
+    expect(shuffle(items, createRng(5))).toEqual(shuffled);
+  });
+});
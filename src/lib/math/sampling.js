@@ -0,0 +1,55 @@
+import { matVecMult } from './linalg';
+
+// All samplers take a uniform [0, 1) generator so callers can pass a seeded one
+
+export const boxMuller = (random = Math.random) => {
+  const u1 = 1 - random(); // (0, 1], keeps the log finite
+  const u2 = random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+};
+
+export const sampleNormal = (mean = 0, std = 1, random = Math.random) => mean + std * boxMuller(random);
+
+// Draws mean + L z with z ~ N(0, I), where L is a Cholesky factor of the covariance
+export const sampleMVN = (mean, L, random = Math.random) => {
+  const z = mean.map(() => boxMuller(random));
+  const Lz = matVecMult(L, z);
+  return mean.map((m, i) => m + Lz[i]);
+};
+
+// Marsaglia–Tsang; shape < 1 is boosted by U^{1/shape}
+export const sampleGamma = (shape, random = Math.random) => {
+  if (shape < 1) {
+    return sampleGamma(shape + 1, random) * Math.pow(1 - random(), 1 / shape);
+  }
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x, v;
+    do {
+      x = boxMuller(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = 1 - random();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+      return d * v;
+    }
+  }
+};
+
+export const sampleBeta = (alpha, beta, random = Math.random) => {
+  const x = sampleGamma(alpha, random);
+  const y = sampleGamma(beta, random);
+  return x / (x + y);
+};
+
+export const sampleCategorical = (probs, random = Math.random) => {
+  const u = random() * probs.reduce((a, b) => a + b, 0);
+  let cumulative = 0;
+  for (let i = 0; i < probs.length; i++) {
+    cumulative += probs[i];
+    if (u < cumulative) return i;
+  }
+  return probs.length - 1;
+};
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { choleskyDecomposition } from './linalg';
+import { createRng } from './random';
+import { sampleBeta, sampleCategorical, sampleGamma, sampleMVN, sampleNormal } from './sampling';
+
+const SAMPLES = 20000;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const draw = (sampler) => Array.from({ length: SAMPLES }, sampler);
+
+describe('samplers', () => {
+  it('are reproducible with a seeded generator', () => {
+    const run = () => {
+      const random = createRng(11);
+      return [sampleNormal(0, 1, random), sampleGamma(0.5, random), sampleBeta(2, 3, random)];
+    };
+    expect(run()).toEqual(run());
+  });
+
+  it('sampleNormal has the requested moments', () => {
+    const random = createRng(13);
+    const values = draw(() => sampleNormal(2, 3, random));
+    expect(mean(values)).toBeCloseTo(2, 1);
+    const variance = mean(values.map(v => (v - 2) ** 2));
+    expect(Math.sqrt(variance)).toBeCloseTo(3, 1);
+  });
+
+  it.each([[0.5], [1], [2.5], [9]])('sampleGamma(%f) has mean equal to its shape', (shape) => {
+    const random = createRng(Math.round(shape * 10));
+    const values = draw(() => sampleGamma(shape, random));
+    expect(values.every(v => v > 0)).toBe(true);
+    expect(Math.abs(mean(values) - shape)).toBeLessThan(4 * Math.sqrt(shape / SAMPLES));
+  });
+
+  it.each([[1, 1], [2, 5], [0.5, 0.5]])('sampleBeta(%f, %f) has mean α / (α + β)', (alpha, beta) => {
+    const random = createRng(17);
+    const values = draw(() => sampleBeta(alpha, beta, random));
+    expect(values.every(v => v >= 0 && v <= 1)).toBe(true);
+    expect(mean(values)).toBeCloseTo(alpha / (alpha + beta), 2);
+  });
+
+  it('sampleMVN reproduces the covariance', () => {
+    const random = createRng(23);
+    const L = choleskyDecomposition([[1, 0.8], [0.8, 2]]);
+    const values = draw(() => sampleMVN([1, -1], L, random));
+    const covariance = mean(values.map(([x, y]) => (x - 1) * (y + 1)));
+    expect(mean(values.map(([x]) => x))).toBeCloseTo(1, 1);
+    expect(covariance).toBeCloseTo(0.8, 1);
+  });
+
+  it('sampleCategorical follows unnormalised weights', () => {
+    const random = createRng(29);
+    const values = draw(() => sampleCategorical([1, 3], random));
+    expect(mean(values)).toBeCloseTo(0.75, 1);
+  });
+});
@@ -0,0 +1,35 @@
+// Special functions
+
+const TWO_OVER_SQRT_PI = 2 / Math.sqrt(Math.PI);
+
+// erf(x) = 2/√π · e^{-x²} · Σ 2ⁿ x^{2n+1} / (1·3·…·(2n+1)); every term is positive, so no cancellation
+const erfSeries = (x) => {
+  let term = x;
+  let sum = x;
+  for (let n = 1; n < 200 && Math.abs(term) > 1e-17 * Math.abs(sum); n++) {
+    term *= (2 * x * x) / (2 * n + 1);
+    sum += term;
+  }
+  return TWO_OVER_SQRT_PI * Math.exp(-x * x) * sum;
+};
+
+// erfc(x) for x ≥ 2 via its continued fraction, evaluated bottom-up; below that it converges too slowly
+const erfcContinuedFraction = (x) => {
+  let f = x;
+  for (let k = 60; k >= 1; k--) {
+    f = x + (k / 2) / f;
+  }
+  return Math.exp(-x * x) / (Math.sqrt(Math.PI) * f);
+};
+
+export const erfc = (x) => {
+  if (x < 0) return 2 - erfc(-x);
+  // 1 - erf(x) would cancel in the tail, where erfc is small
+  if (x < 2) return 1 - erfSeries(x);
+  return erfcContinuedFraction(x);
+};
+
+export const erf = (x) => {
+  if (Math.abs(x) < 3) return erfSeries(x);
+  return x > 0 ? 1 - erfcContinuedFraction(x) : erfcContinuedFraction(-x) - 1;
+};
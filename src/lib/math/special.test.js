@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { erf, erfc } from './special';
+import { normalCDF } from './gaussian';
+
+// Reference values, correctly rounded to double precision
+const ERF = [
+  [0, 0],
+  [0.1, 0.1124629160182849],
+  [0.5, 0.5204998778130465],
+  [1, 0.8427007929497149],
+  [2, 0.9953222650189527],
+  [3.5, 0.9999992569016276],
+];
+
+const ERFC = [
+  [1, 0.15729920705028513],
+  [1.9, 7.209570764742533e-3],
+  [2.5, 4.069520174449590e-4],
+  [3, 2.209049699858544e-5],
+  [5, 1.537459794428035e-12],
+  [10, 2.088487583762545e-45],
+];
+
+const relativeError = (actual, expected) => Math.abs(actual - expected) / Math.abs(expected);
+
+describe('erf', () => {
+  it.each(ERF)('erf(%f)', (x, expected) => {
+    expect(erf(x)).toBeCloseTo(expected, 14);
+  });
+
+  it('is odd', () => {
+    ERF.forEach(([x]) => expect(erf(-x)).toBeCloseTo(-erf(x), 15));
+  });
+});
+
+describe('erfc', () => {
+  it.each(ERFC)('erfc(%f) to full relative precision', (x, expected) => {
+    expect(relativeError(erfc(x), expected)).toBeLessThan(1e-13);
+  });
+
+  it('satisfies erfc(-x) = 2 - erfc(x)', () => {
+    expect(erfc(-1)).toBeCloseTo(1.8427007929497148, 15);
+  });
+
+  it('agrees with 1 - erf away from the tail', () => {
+    [0.3, 1.2, 2.9].forEach(x => expect(erfc(x)).toBeCloseTo(1 - erf(x), 15));
+  });
+});
+
+describe('normalCDF', () => {
+  it('matches reference values', () => {
+    expect(normalCDF(0)).toBe(0.5);
+    expect(normalCDF(1.96)).toBeCloseTo(0.9750021048517795, 14);
+    expect(normalCDF(-1)).toBeCloseTo(0.15865525393145707, 14);
+  });
+
+  it('keeps relative precision in the lower tail', () => {
+    expect(relativeError(normalCDF(-5), 2.866515718791939e-7)).toBeLessThan(1e-13);
+    expect(relativeError(normalCDF(-10), 7.619853024160527e-24)).toBeLessThan(1e-13);
+  });
+
+  it('standardises with mean and std', () => {
+    expect(normalCDF(3, 1, 2)).toBeCloseTo(normalCDF(1), 15);
+  });
+});
@@ -0,0 +1,80 @@
+// Tiny fully connected network for the deep RL demos: tanh hidden layers, linear outputs.
+//
+// A network is plain data, { layers: [{ W, b }] } with W[out][in], so it can live in React
+// state, be copied for a target network and be drawn. Updates return new networks.
+
+const mapLayers = (net, fn) => ({ layers: net.layers.map(fn) });
+
+// Xavier/Glorot uniform weights, zero biases
+export const createMLP = (sizes, random = Math.random) => ({
+  layers: sizes.slice(1).map((outSize, i) => {
+    const inSize = sizes[i];
+    const limit = Math.sqrt(6 / (inSize + outSize));
+    return {
+      W: Array.from({ length: outSize }, () => Array.from({ length: inSize }, () => (random() * 2 - 1) * limit)),
+      b: Array(outSize).fill(0),
+    };
+  }),
+});
+
+export const cloneMLP = (net) => mapLayers(net, ({ W, b }) => ({ W: W.map(row => [...row]), b: [...b] }));
+
+// Returns the output and every layer's activation (input first), which backward needs
+export const forward = (net, input) => {
+  const activations = [input];
+  net.layers.forEach(({ W, b }, l) => {
+    const x = activations[l];
+    const isOutput = l === net.layers.length - 1;
+    activations.push(W.map((row, j) => {
+      const z = row.reduce((sum, w, i) => sum + w * x[i], b[j]);
+      return isOutput ? z : Math.tanh(z);
+    }));
+  });
+  return { output: activations[activations.length - 1], activations };
+};
+
+// Gradients of a loss with respect to every parameter, given dLoss/dOutput
+export const backward = (net, activations, outputGrad) => {
+  const grads = [];
+  let delta = outputGrad;
+  for (let l = net.layers.length - 1; l >= 0; l--) {
+    const x = activations[l];
+    grads[l] = {
+      W: delta.map(d => x.map(xi => d * xi)),
+      b: [...delta],
+    };
+    if (l > 0) {
+      // Through the weights, then through tanh: d/dz tanh(z) = 1 - tanh(z)²
+      const { W } = net.layers[l];
+      delta = x.map((xi, i) => (1 - xi * xi) * delta.reduce((sum, d, j) => sum + d * W[j][i], 0));
+    }
+  }
+  return { layers: grads };
+};
+
+// Plain gradient descent step θ ← θ − lr·∇θ
+export const sgdStep = (net, grads, learningRate) => mapLayers(net, ({ W, b }, l) => ({
+  W: W.map((row, j) => row.map((w, i) => w - learningRate * grads.layers[l].W[j][i])),
+  b: b.map((bj, j) => bj - learningRate * grads.layers[l].b[j]),
+}));
+
+// All parameters in a flat array (weights then biases, layer by layer)
+export const flattenMLP = (net) => net.layers.flatMap(({ W, b }) => [...W.flat(), ...b]);
+
+// Polyak averaging θ⁻ ← τ·θ + (1 − τ)·θ⁻ of a target towards an online network; τ = 1 copies it
+export const polyakUpdate = (target, online, tau) => mapLayers(target, ({ W, b }, l) => ({
+  W: W.map((row, j) => row.map((w, i) => tau * online.layers[l].W[j][i] + (1 - tau) * w)),
+  b: b.map((bj, j) => tau * online.layers[l].b[j] + (1 - tau) * bj),
+}));
+
+// Euclidean distance ‖θ − θ'‖ between the parameters of two networks of the same shape
+export const parameterDistance = (a, b) => {
+  const other = flattenMLP(b);
+  return Math.sqrt(flattenMLP(a).reduce((sum, w, i) => sum + (w - other[i]) ** 2, 0));
+};
+
+// Element-wise sum of gradients, e.g. the per-transition gradients of a minibatch
+export const sumGradients = (gradsList) => mapLayers(gradsList[0], ({ W, b }, l) => ({
+  W: W.map((row, j) => row.map((_, i) => gradsList.reduce((sum, g) => sum + g.layers[l].W[j][i], 0))),
+  b: b.map((_, j) => gradsList.reduce((sum, g) => sum + g.layers[l].b[j], 0)),
+}));
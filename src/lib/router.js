@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react';
+
+// Minimal hash router: "#/value-iteration?gamma=0.9" → { path: 'value-iteration', params }
+export const parseHash = (hash) => {
+  const raw = hash.replace(/^#\/?/, '');
+  const queryIndex = raw.indexOf('?');
+  const path = decodeURIComponent(queryIndex === -1 ? raw : raw.slice(0, queryIndex)).replace(/\/+$/, '');
+  const params = new URLSearchParams(queryIndex === -1 ? '' : raw.slice(queryIndex + 1));
+  return { path, params };
+};
+
+export const buildHash = (path, params) => {
+  const query = params ? new URLSearchParams(params).toString() : '';
+  return `#/${encodeURIComponent(path)}${query ? `?${query}` : ''}`;
+};
+
+export const navigate = (path, params) => {
+  window.location.hash = buildHash(path, params);
+};
+
+export const useHashLocation = () => {
+  const [location, setLocation] = useState(() => parseHash(window.location.hash));
+
+  useEffect(() => {
+    const onHashChange = () => setLocation(parseHash(window.location.hash));
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  return location;
+};
@@ -0,0 +1,266 @@
+import { ACTIONS, sampleStep } from './gridworld';
+import { randomInt } from './math';
+
+// Tabular TD control on the gridworld model (see lib/gridworld), shared by the TD demo's
+// step-by-step panels and its headless runs.
+//
+// A learner is plain data, { tables, visits, trajectory, traces }: one Q table ([state][action])
+// per estimator (two for Double Q-learning), how often each of their entries was updated, the not
+// yet updated steps of n-step methods and the eligibility traces e(s,a) of λ methods. An
+// algorithm's update(learner, transition, nextAction, params, random) never mutates; it returns the
+// next learner and a description of each Q-value it changed:
+//   { table, state, action, alpha, oldQ, rewards, bootstrap, target, newQ }
+// where target = Σ γ^i·rewards[i] + γ^rewards.length·bootstrap.value (no bootstrap at a terminal).
+// λ methods move every traced pair by α·δ·e(s,a) and add trace and delta; their target is the
+// one of the TD error δ of the visited pair, which comes first. Watkins's Q(λ) also returns
+// tracesCut, true when an exploratory a' cleared the traces.
+//
+// params holds gamma, n, lambda, traceType, the step size (alpha, or 1/N(s,a) when stepSize is
+// 'visits') and the exploration rate epsilon in effect for this step (see scheduledEpsilon).
+
+export const createQTable = (env) => Array.from({ length: env.numStates }, () => ACTIONS.map(() => 0));
+
+export const createLearner = (algorithm, env) => {
+  const tableCount = algorithm.tableCount ?? 1;
+  return {
+    tables: Array.from({ length: tableCount }, () => createQTable(env)),
+    visits: Array.from({ length: tableCount }, () => createQTable(env)),
+    trajectory: [],
+    ...(algorithm.usesTraces ? { traces: createQTable(env) } : {}),
+  };
+};
+
+export const TRACE_TYPES = ['accumulating', 'replacing'];
+
+// Traces that have decayed below this are dropped, so the set of updated pairs stays small
+const MIN_TRACE = 1e-4;
+
+export const EPSILON_SCHEDULES = ['constant', 'linear', 'exponential', 'glie'];
+
+export const STEP_SIZES = ['constant', 'visits'];
+
+// ε for an agent that has taken `step` steps and is in its `episode`-th episode. Linear and
+// exponential decay reach epsilonMin (which must be positive for exponential decay) after
+// decaySteps steps; GLIE uses ε/episode, which keeps exploring every pair but is greedy in the limit.
+export const scheduledEpsilon = ({ epsilon, epsilonSchedule = 'constant', epsilonMin = 0, decaySteps = 1 }, step, episode) => {
+  const floor = Math.min(epsilonMin, epsilon);
+  const progress = Math.min(step / decaySteps, 1);
+  switch (epsilonSchedule) {
+    case 'linear':
+      return epsilon + (floor - epsilon) * progress;
+    case 'exponential':
+      return floor === epsilon ? epsilon : epsilon * Math.pow(floor / epsilon, progress);
+    case 'glie':
+      return epsilon / episode;
+    default:
+      return epsilon;
+  }
+};
+
+// The Q table the learner acts on (the mean of both estimators for Double Q-learning)
+export const actionValues = (learner) => (learner.tables.length === 1
+  ? learner.tables[0]
+  : learner.tables[0].map((row, s) => row.map((_, a) => learner.tables.reduce((sum, t) => sum + t[s][a], 0) / learner.tables.length)));
+
+// First maximising action, so ties break the same way everywhere
+export const greedyAction = (qValues) => {
+  let best = 0;
+  for (let a = 1; a < qValues.length; a++) {
+    if (qValues[a] > qValues[best]) best = a;
+  }
+  return best;
+};
+
+export const epsilonGreedyAction = (qValues, epsilon, random = Math.random) => (
+  random() < epsilon ? randomInt(qValues.length, random) : greedyAction(qValues)
+);
+
+export const epsilonGreedyProbabilities = (qValues, epsilon) => {
+  const best = greedyAction(qValues);
+  return qValues.map((_, a) => epsilon / qValues.length + (a === best ? 1 - epsilon : 0));
+};
+
+const discountedSum = (rewards, gamma) => rewards.reduce((sum, r, i) => sum + Math.pow(gamma, i) * r, 0);
+
+const withValue = (table, s, a, value) => table.map((row, i) => (i === s ? row.map((q, j) => (j === a ? value : q)) : row));
+
+// Q(s,a) ← Q(s,a) + α·[G − Q(s,a)] on one table, where G is built from rewards and bootstrap
+const applyUpdate = (learner, tableIndex, state, action, rewards, bootstrap, params) => {
+  const count = learner.visits[tableIndex][state][action] + 1;
+  const alpha = params.stepSize === 'visits' ? 1 / count : params.alpha;
+  const oldQ = learner.tables[tableIndex][state][action];
+  const target = discountedSum(rewards, params.gamma) + (bootstrap ? Math.pow(params.gamma, rewards.length) * bootstrap.value : 0);
+  const newQ = oldQ + alpha * (target - oldQ);
+  return {
+    learner: {
+      ...learner,
+      tables: learner.tables.map((t, i) => (i === tableIndex ? withValue(t, state, action, newQ) : t)),
+      visits: learner.visits.map((v, i) => (i === tableIndex ? withValue(v, state, action, count) : v)),
+    },
+    update: { table: tableIndex, state, action, alpha, oldQ, rewards, bootstrap, target, newQ },
+  };
+};
+
+// One-step methods differ only in what they bootstrap from in s'
+const oneStep = (bootstrap) => (learner, transition, nextAction, params) => {
+  const { state, action, reward, nextState, done } = transition;
+  const result = applyUpdate(
+    learner, 0, state, action, [reward],
+    done ? null : bootstrap(learner.tables[0][nextState], nextAction, params),
+    params,
+  );
+  return { learner: result.learner, updates: [result.update] };
+};
+
+// TD(λ) control: the visited pair's trace is bumped (+1 accumulating, set to 1 replacing), every
+// traced pair moves by α·δ·e(s,a), then all traces decay by γλ and are cleared at a terminal.
+// With cutAfterExploration (Watkins) they are also cleared when a' is not greedy, because the
+// greedy policy being learned would not have taken it.
+const traceUpdate = (bootstrap, cutAfterExploration) => (learner, transition, nextAction, params) => {
+  const { state, action, reward, nextState, done } = transition;
+  const q = learner.tables[0];
+  const next = done ? null : bootstrap(q[nextState], nextAction);
+  const target = reward + (next ? params.gamma * next.value : 0);
+  const delta = target - q[state][action];
+  const visits = withValue(learner.visits[0], state, action, learner.visits[0][state][action] + 1);
+  const bumped = withValue(learner.traces, state, action, params.traceType === 'replacing' ? 1 : learner.traces[state][action] + 1);
+
+  // Only rows holding a trace change; the others are shared with the previous learner
+  const traced = (row) => row.some(e => e !== 0);
+  const updates = [];
+  const table = q.map((row, s) => (!traced(bumped[s]) ? row : row.map((oldQ, a) => {
+    const trace = bumped[s][a];
+    if (trace === 0) return oldQ;
+    const alpha = params.stepSize === 'visits' ? 1 / visits[s][a] : params.alpha;
+    const newQ = oldQ + alpha * delta * trace;
+    updates.push({ table: 0, state: s, action: a, alpha, trace, delta, oldQ, rewards: [reward], bootstrap: next, target, newQ });
+    return newQ;
+  })));
+  updates.sort((u, v) => Number(v.state === state && v.action === action) - Number(u.state === state && u.action === action));
+
+  const exploratory = cutAfterExploration && !done && q[nextState][nextAction] < Math.max(...q[nextState]);
+  const decay = done || exploratory ? 0 : params.gamma * params.lambda;
+  const traces = bumped.map(row => (!traced(row) ? row : row.map(e => (e * decay < MIN_TRACE ? 0 : e * decay))));
+  return { learner: { ...learner, tables: [table], visits: [visits], traces }, updates, tracesCut: exploratory };
+};
+
+export const TD_ALGORITHMS = {
+  sarsa: {
+    name: 'SARSA',
+    onPolicy: true,
+    update: oneStep((qNext, nextAction) => ({ label: "Q(s', a')", value: qNext[nextAction], action: nextAction })),
+  },
+  qlearning: {
+    name: 'Q-Learning',
+    onPolicy: false,
+    update: oneStep((qNext) => {
+      const best = greedyAction(qNext);
+      return { label: "max Q(s', a)", value: qNext[best], action: best };
+    }),
+  },
+  expectedSarsa: {
+    name: 'Expected SARSA',
+    onPolicy: false,
+    update: oneStep((qNext, _, { epsilon }) => ({
+      label: "Σ π(a|s')·Q(s', a)",
+      value: epsilonGreedyProbabilities(qNext, epsilon).reduce((sum, p, a) => sum + p * qNext[a], 0),
+      action: null,
+    })),
+  },
+  nStepSarsa: {
+    name: 'n-step SARSA',
+    onPolicy: true,
+    // Waits until n rewards are known, then updates the oldest step from its next n rewards and
+    // the pair n steps later; a terminal flushes every pending step. Lowering n mid-episode can
+    // leave more than n steps pending, and all of those now have their n rewards.
+    update: (learner, transition, nextAction, params) => {
+      const { state, action, reward, nextState, done } = transition;
+      let trajectory = [...learner.trajectory, { state, action, reward }];
+      let next = learner;
+      const updates = [];
+      while (trajectory.length >= params.n || (done && trajectory.length > 0)) {
+        const later = trajectory[params.n] ?? (done ? null : { state: nextState, action: nextAction });
+        const bootstrap = later && { label: "Q(s', a')", value: next.tables[0][later.state][later.action], action: later.action };
+        const rewards = trajectory.slice(0, params.n).map(step => step.reward);
+        const result = applyUpdate(next, 0, trajectory[0].state, trajectory[0].action, rewards, bootstrap, params);
+        next = result.learner;
+        updates.push(result.update);
+        trajectory = trajectory.slice(1);
+      }
+      return { learner: { ...next, trajectory }, updates };
+    },
+  },
+  doubleQ: {
+    name: 'Double Q-Learning',
+    onPolicy: false,
+    tableCount: 2,
+    // A coin picks the table to update; it selects a* in s' and the other table evaluates it
+    update: (learner, transition, _, params, random = Math.random) => {
+      const { state, action, reward, nextState, done } = transition;
+      const updated = random() < 0.5 ? 0 : 1;
+      const other = 1 - updated;
+      const best = greedyAction(learner.tables[updated][nextState]);
+      const names = ['A', 'B'];
+      const result = applyUpdate(
+        learner, updated, state, action, [reward],
+        done ? null : {
+          label: `Q${names[other]}(s', argmax Q${names[updated]})`,
+          value: learner.tables[other][nextState][best],
+          action: best,
+        },
+        params,
+      );
+      return { learner: result.learner, updates: [result.update] };
+    },
+  },
+  sarsaLambda: {
+    name: 'SARSA(λ)',
+    onPolicy: true,
+    usesTraces: true,
+    update: traceUpdate((qNext, nextAction) => ({ label: "Q(s', a')", value: qNext[nextAction], action: nextAction })),
+  },
+  watkinsQ: {
+    name: "Watkins's Q(λ)",
+    onPolicy: false,
+    // Needs a' before updating to know whether the traces survive
+    choosesNextAction: true,
+    usesTraces: true,
+    update: traceUpdate((qNext) => {
+      const best = greedyAction(qNext);
+      return { label: "max Q(s', a)", value: qNext[best], action: best };
+    }, true),
+  },
+};
+
+// Whether a' is drawn before the update (and then taken): on-policy methods bootstrap from it
+export const choosesNextAction = (algorithm) => algorithm.onPolicy || Boolean(algorithm.choosesNextAction);
+
+// Trains a fresh learner for whole episodes without animation (at most maxSteps each) and
+// returns the undiscounted return of every episode
+export const runEpisodes = (env, algorithm, params, episodes, random = Math.random, maxSteps = 1000) => {
+  let learner = createLearner(algorithm, env);
+  let steps = 0;
+  const returns = [];
+  for (let episode = 1; episode <= episodes; episode++) {
+    // An episode cut short by maxSteps must not leave pending steps or traces for the next one
+    learner = { ...learner, trajectory: [], ...(learner.traces ? { traces: createQTable(env) } : {}) };
+    let state = env.start;
+    let action = epsilonGreedyAction(actionValues(learner)[state], scheduledEpsilon(params, steps, episode), random);
+    let total = 0;
+    for (let t = 0; t < maxSteps; t++) {
+      const stepParams = { ...params, epsilon: scheduledEpsilon(params, steps, episode) };
+      const { state: nextState, reward, done } = sampleStep(env, state, action, random);
+      const nextAction = choosesNextAction(algorithm)
+        ? epsilonGreedyAction(actionValues(learner)[nextState], stepParams.epsilon, random)
+        : null;
+      learner = algorithm.update(learner, { state, action, reward, nextState, done }, nextAction, stepParams, random).learner;
+      total += reward;
+      steps++;
+      if (done) break;
+      state = nextState;
+      action = nextAction ?? epsilonGreedyAction(actionValues(learner)[state], scheduledEpsilon(params, steps, episode), random);
+    }
+    returns.push(total);
+  }
+  return returns;
+};
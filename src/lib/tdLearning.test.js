@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { createGridworld } from './gridworld';
+import { createRng } from './math';
+import { TD_ALGORITHMS, createLearner, runEpisodes } from './tdLearning';
+
+const ENV = createGridworld({ layout: ['S...', '....', '...G'], rewards: { empty: -1, start: -1, goal: 0 }, gamma: 1 });
+
+const PARAMS = { alpha: 0.5, gamma: 0.9, epsilon: 0.1, lambda: 0.8, traceType: 'accumulating' };
+
+describe('traceUpdate', () => {
+  it('shares the rows of states without a trace', () => {
+    const algorithm = TD_ALGORITHMS.sarsaLambda;
+    let learner = createLearner(algorithm, ENV);
+    learner = algorithm.update(learner, { state: 0, action: 1, reward: -1, nextState: 1, done: false }, 1, PARAMS).learner;
+    const { learner: next, updates } = algorithm.update(learner, { state: 1, action: 1, reward: -1, nextState: 2, done: false }, 1, PARAMS);
+
+    expect(updates.map(u => u.state)).toEqual([1, 0]);
+    expect(next.tables[0][0]).not.toBe(learner.tables[0][0]);
+    expect(next.tables[0][1]).not.toBe(learner.tables[0][1]);
+    next.tables[0].slice(2).forEach((row, i) => expect(row).toBe(learner.tables[0][i + 2]));
+    next.traces.slice(2).forEach((row, i) => expect(row).toBe(learner.traces[i + 2]));
+  });
+});
+
+describe('nStepSarsa', () => {
+  it('catches up with n rewards per update when n is lowered mid-episode', () => {
+    const algorithm = TD_ALGORITHMS.nStepSarsa;
+    const moves = [0, 1, 2, 3].map(s => ({ state: s, action: 2, reward: -(s + 1), nextState: s + 4, done: false }));
+    let learner = createLearner(algorithm, ENV);
+    moves.slice(0, 3).forEach(move => {
+      const result = algorithm.update(learner, move, 2, { ...PARAMS, n: 4 });
+      expect(result.updates).toEqual([]);
+      learner = result.learner;
+    });
+
+    const { learner: next, updates } = algorithm.update(learner, moves[3], 2, { ...PARAMS, n: 2 });
+    expect(updates.map(u => [u.state, u.rewards])).toEqual([[0, [-1, -2]], [1, [-2, -3]], [2, [-3, -4]]]);
+    expect(updates.map(u => u.bootstrap.action)).toEqual([2, 2, 2]);
+    expect(next.trajectory).toEqual([{ state: 3, action: 2, reward: -4 }]);
+  });
+});
+
+describe('runEpisodes', () => {
+  it('reduces SARSA(λ) to SARSA when λ = 0', () => {
+    const params = { ...PARAMS, lambda: 0 };
+    const sarsa = runEpisodes(ENV, TD_ALGORITHMS.sarsa, params, 30, createRng(1));
+    const sarsaLambda = runEpisodes(ENV, TD_ALGORITHMS.sarsaLambda, params, 30, createRng(1));
+    expect(sarsaLambda).toEqual(sarsa);
+  });
+});
@@ -0,0 +1,80 @@
+import { useEffect } from 'react';
+import { parseHash, buildHash } from './router';
+
+// Shareable demo configuration in the hash query ("#/demo-id?v=1&gamma=0.9").
+//
+// A demo describes its state with a codec:
+//   version     current format, written to the URL as `v`
+//   encode      state -> { key: string }
+//   decode      URLSearchParams -> partial state; keys that are missing or invalid come back undefined
+//   migrations  optional { [fromVersion]: params -> params }, each upgrading a link by one version
+//
+// Links without `v` or from a newer version are ignored and the demo keeps its defaults.
+
+const upgradeParams = (codec, params) => {
+  let version = parseInt(params.get('v'), 10);
+  if (!Number.isInteger(version) || version < 1 || version > codec.version) return null;
+
+  let upgraded = new URLSearchParams(params);
+  while (version < codec.version) {
+    const migrate = codec.migrations?.[version];
+    if (!migrate) return null;
+    upgraded = migrate(upgraded);
+    version += 1;
+  }
+  return upgraded;
+};
+
+// Initial state from the current URL, for use in useState initializers
+export const readUrlState = (codec) => {
+  const params = upgradeParams(codec, parseHash(window.location.hash).params);
+  if (!params) return {};
+
+  const decoded = codec.decode(params);
+  return Object.fromEntries(Object.entries(decoded).filter(([, value]) => value !== undefined));
+};
+
+// Mirrors state into the URL without adding history entries
+export const useUrlStateSync = (codec, state) => {
+  const query = new URLSearchParams({ v: String(codec.version), ...codec.encode(state) }).toString();
+
+  useEffect(() => {
+    const { path } = parseHash(window.location.hash);
+    const hash = buildHash(path, new URLSearchParams(query));
+    if (hash !== window.location.hash) {
+      window.history.replaceState(window.history.state, '', hash);
+    }
+  }, [query]);
+};
+
+// Field helpers shared by the codecs
+
+export const formatNumber = (value, digits = 4) => String(parseFloat(value.toFixed(digits)));
+
+export const parseNumber = (raw, { min = -Infinity, max = Infinity, integer = false } = {}) => {
+  if (raw === null || raw === '') return undefined;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value))) return undefined;
+  return Math.min(max, Math.max(min, value));
+};
+
+export const parseEnum = (raw, options) => (options.includes(raw) ? raw : undefined);
+
+export const parseBoolean = (raw) => (raw === '1' ? true : raw === '0' ? false : undefined);
+
+export const formatBoolean = (value) => (value ? '1' : '0');
+
+// Flat "_"-separated number lists, e.g. points as "x1_y1_x2_y2"
+export const formatNumberList = (values, digits = 4) => values.map(v => formatNumber(v, digits)).join('_');
+
+export const parseNumberList = (raw, tupleSize = 1) => {
+  if (raw === null) return undefined;
+  if (raw === '') return [];
+  const values = raw.split('_').map(Number);
+  if (values.some(v => !Number.isFinite(v)) || values.length % tupleSize !== 0) return undefined;
+  const tuples = [];
+  for (let i = 0; i < values.length; i += tupleSize) {
+    tuples.push(values.slice(i, i + tupleSize));
+  }
+  return tupleSize === 1 ? values : tuples;
+};
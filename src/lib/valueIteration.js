@@ -0,0 +1,161 @@
+import { ACTIONS, getActionValue, getTransitions } from './gridworld';
+import { shuffle } from './math';
+
+// Value iteration on the gridworld model (see lib/gridworld) in several backup orders, one step at
+// a time so the VI demo can animate them and count how many backups each one needs.
+//
+// A planner is plain data and never mutated:
+//   { values, policy, order, sweepDelta, priorities, backups, sweeps, updated, maxDelta, converged }
+// `order` holds the states still to be backed up in the current in-place sweep and `priorities`
+// the Bellman errors of prioritized sweeping (null until its first step). maxDelta is the
+// convergence measure: the largest change of the last complete sweep, or the largest Bellman error
+// left for prioritized sweeping.
+//
+// Modes:
+//   sync         Jacobi: a whole sweep per step, every backup reading the previous values
+//   gaussSeidel  in place, one backup per step in row-major order, later states see earlier updates
+//   async        in place, one backup per step, each sweep in a fresh random order
+//   prioritized  in place, always the state with the largest Bellman error; after backing it up
+//                only the priorities of its predecessors (the states whose backup reads it) change
+
+export const SWEEP_MODES = ['sync', 'gaussSeidel', 'async', 'prioritized'];
+
+// Walls are never entered and terminal states have no future value, so neither is backed up
+export const backedUpStates = (env) => env.cells
+  .map((cell, s) => (cell.type === 'wall' || cell.terminal ? null : s))
+  .filter(s => s !== null);
+
+// max_a Q(s, a) and its action; a strict > keeps the first of equal actions
+export const bellmanBackup = (env, values, s, gamma, slip) => {
+  let value = -Infinity;
+  let action = null;
+  ACTIONS.forEach((_, a) => {
+    const q = getActionValue(env, values, s, a, gamma, slip);
+    if (q > value) {
+      value = q;
+      action = a;
+    }
+  });
+  return { value, action };
+};
+
+export const bellmanError = (env, values, s, gamma, slip) => Math.abs(bellmanBackup(env, values, s, gamma, slip).value - values[s]);
+
+// For every state, the backed-up states that can move into it
+export const predecessors = (env, slip) => {
+  const sets = env.cells.map(() => new Set());
+  backedUpStates(env).forEach(p => ACTIONS.forEach((_, a) => {
+    getTransitions(env, p, a, slip).forEach(t => sets[t.state].add(p));
+  }));
+  return sets.map(set => [...set]);
+};
+
+// What plannerStep needs about env under a slip probability, built once rather than per backup:
+//   { states, backedUp, predecessors } with backedUp[s] true for the states in `states`
+export const createSweepModel = (env, slip) => {
+  const states = backedUpStates(env);
+  const backedUp = env.cells.map(() => false);
+  states.forEach(s => { backedUp[s] = true; });
+  return { states, backedUp, predecessors: predecessors(env, slip) };
+};
+
+export const createPlanner = (numStates) => ({
+  values: Array(numStates).fill(0),
+  policy: Array(numStates).fill(null),
+  order: [],
+  sweepDelta: 0,
+  priorities: null,
+  backups: 0,
+  sweeps: 0,
+  updated: [],
+  maxDelta: 0,
+  converged: false,
+});
+
+const withEntry = (array, i, value) => array.map((v, j) => (j === i ? value : v));
+
+// One step of `mode`; params holds gamma, slip and the convergence threshold epsilon, and model
+// must come from createSweepModel with the same env and slip
+export const plannerStep = (planner, env, mode, { gamma, slip, epsilon }, random = Math.random, model = createSweepModel(env, slip)) => {
+  const { states, backedUp } = model;
+  if (planner.converged || states.length === 0) return { ...planner, converged: true };
+
+  if (mode === 'sync') {
+    const values = [...planner.values];
+    const policy = [...planner.policy];
+    let maxDelta = 0;
+    states.forEach(s => {
+      const { value, action } = bellmanBackup(env, planner.values, s, gamma, slip);
+      maxDelta = Math.max(maxDelta, Math.abs(value - planner.values[s]));
+      values[s] = value;
+      policy[s] = action;
+    });
+    return {
+      ...planner,
+      values,
+      policy,
+      backups: planner.backups + states.length,
+      sweeps: planner.sweeps + 1,
+      updated: states,
+      maxDelta,
+      converged: maxDelta < epsilon,
+    };
+  }
+
+  if (mode === 'prioritized') {
+    // States are few, so a linear scan for the largest priority serves as the priority queue
+    const priorities = planner.priorities ?? env.cells.map((_, s) => (backedUp[s] ? bellmanError(env, planner.values, s, gamma, slip) : 0));
+    const s = priorities.reduce((best, p, i) => (p > priorities[best] ? i : best), 0);
+    if (priorities[s] < epsilon) {
+      return { ...planner, priorities, updated: [], maxDelta: priorities[s], converged: true };
+    }
+    const { value, action } = bellmanBackup(env, planner.values, s, gamma, slip);
+    const values = withEntry(planner.values, s, value);
+    const nextPriorities = [...priorities];
+    // Its own priority drops to the error left by self-transitions, if any
+    [s, ...model.predecessors[s]].forEach(p => {
+      if (backedUp[p]) nextPriorities[p] = bellmanError(env, values, p, gamma, slip);
+    });
+    return {
+      ...planner,
+      values,
+      policy: withEntry(planner.policy, s, action),
+      priorities: nextPriorities,
+      backups: planner.backups + 1,
+      updated: [s],
+      maxDelta: Math.max(...nextPriorities),
+    };
+  }
+
+  // In place: back up the next state of the sweep, starting a new sweep when it is done
+  const order = planner.order.length > 0
+    ? planner.order
+    : mode === 'async' ? shuffle(states, random) : states;
+  const [s, ...rest] = order;
+  const { value, action } = bellmanBackup(env, planner.values, s, gamma, slip);
+  const sweepDelta = Math.max(planner.order.length > 0 ? planner.sweepDelta : 0, Math.abs(value - planner.values[s]));
+  const sweepDone = rest.length === 0;
+  return {
+    ...planner,
+    values: withEntry(planner.values, s, value),
+    policy: withEntry(planner.policy, s, action),
+    order: rest,
+    sweepDelta,
+    backups: planner.backups + 1,
+    sweeps: planner.sweeps + (sweepDone ? 1 : 0),
+    updated: [s],
+    maxDelta: sweepDone ? sweepDelta : planner.maxDelta,
+    converged: sweepDone && sweepDelta < epsilon,
+  };
+};
+
+// Backups `mode` needs from zero values until it converges, or null beyond maxBackups
+export const countBackups = (env, mode, params, random = Math.random, maxBackups = 200000) => {
+  const model = createSweepModel(env, params.slip);
+  let planner = createPlanner(env.numStates);
+  while (!planner.converged) {
+    if (planner.backups > maxBackups) return null;
+    planner = plannerStep(planner, env, mode, params, random, model);
+  }
+  return planner.backups;
+};
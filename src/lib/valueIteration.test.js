@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { createGridworld } from './gridworld';
+import { createRng } from './math';
+import { SWEEP_MODES, countBackups, createPlanner, createSweepModel, plannerStep } from './valueIteration';
+
+const ENV = createGridworld({
+  layout: ['S...', '.#.P', '...G'],
+  rewards: { empty: -0.04, start: -0.04, goal: 1, pit: -1 },
+});
+
+const PARAMS = { gamma: 0.9, slip: 0.2, epsilon: 0.0001 };
+
+const solve = (mode) => {
+  const model = createSweepModel(ENV, PARAMS.slip);
+  const random = createRng(1);
+  let planner = createPlanner(ENV.numStates);
+  while (!planner.converged) planner = plannerStep(planner, ENV, mode, PARAMS, random, model);
+  return planner;
+};
+
+describe('createSweepModel', () => {
+  it('lists the open, non-terminal states and who can reach each state', () => {
+    const model = createSweepModel(ENV, 0);
+    expect(model.states).toEqual([0, 1, 2, 3, 4, 6, 8, 9, 10]);
+    expect(model.backedUp[5]).toBe(false);
+    expect([...model.predecessors[11]].sort((a, b) => a - b)).toEqual([10]);
+  });
+});
+
+describe('plannerStep', () => {
+  it('reaches the same values in every mode', () => {
+    const reference = solve('sync').values;
+    SWEEP_MODES.forEach(mode => {
+      solve(mode).values.forEach((v, s) => expect(v).toBeCloseTo(reference[s], 2));
+    });
+  });
+
+  it('needs fewer backups in place than synchronously', () => {
+    const counts = Object.fromEntries(SWEEP_MODES.map(mode => [mode, countBackups(ENV, mode, PARAMS, createRng(1))]));
+    expect(counts.gaussSeidel).toBeLessThan(counts.sync);
+    expect(counts.prioritized).toBeLessThan(counts.sync);
+  });
+});